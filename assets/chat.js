@@ -2,27 +2,55 @@
 
 // Import context module for system prompts and constants
 import {
-  buildSystemPrompt,
+  buildSystemPromptSections,
+  renderSections,
   selectRandomPromo,
   selectRandomQuip,
+  getPersonas,
+  resolvePersona,
   DataLoader
 } from './context.js';
 import { SITE_CONFIG } from './site-config.js';
-
-// Model configurations - updated for 2025
+import { createTokenCounter, fitSections } from './prompt-budget.js';
+import { sessionRandom, getSessionSeed, pick } from './random.js';
+import { findCitations, citationsInPrompt, renderCitationChips } from './citations.js';
+import { loadModelRegistry, normalizeModel, selectableModels, findModel, defaultModel, strongerModel, modelLabel } from './models.js';
+import { createDownloadTracker, formatProgress } from './download-progress.js';
+import { readFailures, recordFailure, clearFailure, fallbackChain } from './model-fallback.js';
+import { TransformersBackend, transformersSettings, configureTransformers } from './transformers-backend.js';
+import { supportsModuleWorkers, WorkerBackend } from './worker-backend.js';
+import { registerServiceWorker, offlineModelIds } from './offline.js';
+import { serverModel, OpenAIBackend } from './openai-backend.js';
+import { PRESETS, LENGTHS, resolvePresetName, choosePreset, presetValues, withLength } from './generation-presets.js';
+import { DEFAULT_STEPS, reachedStopString, createPostProcessor } from './post-process.js';
+import { checkOutput } from './quality-gate.js';
+
+// Model registry (assets/models.json), including broken entries kept for reference.
+// A chatServer from site-config.js comes first, so it's the default model.
+const SERVER_MODEL = serverModel(SITE_CONFIG.chatServer);
 const MODELS = [
-  { id: "HuggingFaceTB/SmolLM2-135M-Instruct", label: "SmolLM2 135M (Fast & Derpy)", dtype: "q4" },
-  { id: "HuggingFaceTB/SmolLM2-360M-Instruct", label: "SmolLM2 360M (Recommended)", dtype: "q4" },
-  { id: "Xenova/codegen-350M-mono", label: "Tiny Coder 350M (Weird)", dtype: "q4" },
-  { id: "Xenova/tiny-random-StableLmForCausalLM", label: "Tiny StableLM (Unstable Ideas)", dtype: "q4" },
-  { id: "onnx-community/TinyLlama-1.1B-Chat-v1.0-ONNX", label: "TinyLlama 1.1B (Actually Smart, but Slow)", dtype: "q4" },
+  ...(SERVER_MODEL ? [normalizeModel(SERVER_MODEL)] : []),
+  ...await loadModelRegistry(SITE_CONFIG.modelsPath || "assets/models.json")
 ];
 
-// Configuration with dynamic ranges for more natural, varied responses
+// Configuration: where the model runs, how prompts are trimmed and how generation parameters are picked
 const CONFIG = {
   CDN_URL: "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.2",
+  USE_WORKER: true, // Run the model in a module Worker so the page stays responsive
+  KV_CACHE: true, // Keep past key/values between turns so only the new part of the prompt is prefilled
+
+  // How each answer's generation parameters are chosen, from GENERATION_STRATEGIES below
+  PARAMS_STRATEGY: "preset",
+
+  // Clean-up steps run on the model's output, in order; a list of names from POST_PROCESSORS in
+  // post-process.js reorders or drops them
+  POST_PROCESS: DEFAULT_STEPS,
+
+  // Answers failing quality-gate.js's checks (language: expected answer language, null to skip that
+  // check; other keys override QUALITY_THRESHOLDS) are generated once more with retryPreset
+  QUALITY_GATE: { enabled: true, retryPreset: "precise", language: "en" },
 
-  // Dynamic ranges for generation parameters - values picked randomly for each response
+  // Ranges for the "random" strategy - values picked randomly for each response
   RANGES: {
     MAX_NEW_TOKENS: { min: 80, max: 200 },     // Vary response length per question
     TEMPERATURE: { min: 0.5, max: 1.3 },       // medium to high creativity
@@ -30,33 +58,57 @@ const CONFIG = {
     TOP_K: { min: 15, max: 25 },               // Top-K sampling range
     REPETITION_PENALTY: { min: 1.02, max: 1.15 }, // Avoid repetition variation
     HISTORY_LIMIT: { min: 5, max: 10 },        // Vary context history length
-    MAX_CONTEXT_LENGTH: { min: 800, max: 1100 } // Context window variation
+    MAX_CONTEXT_LENGTH: { min: 800, max: 1100 } // Prompt token budget variation
+  },
+
+  // Which prompt sections survive trimming longest (higher = kept longer)
+  PROMPT_PRIORITIES: {
+    user: 100,
+    base: 90,
+    persona: 85,
+    resume: 60,
+    passages: 40,
+    history: 20,
+    extra: 50 // Fixed sections from custom content sources
   },
 
   // Static configurations
   DEBUG: true,
 
-  // Helper function to get dynamic values
-  getDynamicValues() {
+  // Helper function to get dynamic values, drawn from the seeded session generator by default
+  getDynamicValues(random = sessionRandom) {
     const values = {};
     for (const [key, range] of Object.entries(this.RANGES)) {
       if (key.includes('TEMPERATURE') || key.includes('TOP_P') || key.includes('REPETITION_PENALTY')) {
         // Use more precision for float values
-        values[key] = Math.random() * (range.max - range.min) + range.min;
+        values[key] = random() * (range.max - range.min) + range.min;
       } else {
         // Use integers for token counts, limits, etc.
-        values[key] = Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+        values[key] = Math.floor(random() * (range.max - range.min + 1)) + range.min;
       }
     }
     return values;
   }
 };
 
+// Ways to pick an answer's generation parameters. Each gets { random, preset, length }: the seeded
+// session generator, a preset name from generation-presets.js and the visitor's length pick (or null).
+const GENERATION_STRATEGIES = {
+  // The preset's values, with its jitter if it has any
+  preset: ({ random, preset, length }) => presetValues(preset, { random, length }),
+  // Anything within RANGES, picked again for every answer
+  random: ({ random, length }) => withLength(CONFIG.getDynamicValues(random), length)
+};
+
 // Optional debug logging
 if (CONFIG.DEBUG) {
-  const sampleParams = CONFIG.getDynamicValues();
-  console.log("⚙️ AI parameter ranges:", CONFIG.RANGES);
-  console.log("📊 Sample dynamic values:", sampleParams);
+  console.log(`⚙️ Generation strategy: ${CONFIG.PARAMS_STRATEGY}`, CONFIG.PARAMS_STRATEGY === "random" ? CONFIG.RANGES : PRESETS);
+}
+
+// transformers.js from jsDelivr and models from the Hub, unless site-config's selfHosted says otherwise
+const TRANSFORMERS = transformersSettings(SITE_CONFIG.selfHosted, { cdnUrl: CONFIG.CDN_URL, baseUrl: document.baseURI });
+if (TRANSFORMERS.env.wasmPaths || TRANSFORMERS.env.localModelPath) {
+  console.log(`🏠 Self-hosted: runtime ${TRANSFORMERS.env.wasmPaths ? "vendored" : "from jsDelivr"}, models ${TRANSFORMERS.env.localModelPath || "from the Hub"}${TRANSFORMERS.env.allowRemoteModels ? "" : " only"}`);
 }
 
 // Global debug hooks for prompt and message inspection
@@ -66,9 +118,18 @@ let __CHAT_DEBUG__ = {
   lastFormatted: null,
   lastResponse: null,
   lastSelections: null,
+  lastBudget: null,
+  promptTemplate: null, // { id, version } of the template behind the latest answer
+  lastCitations: null, // { cited, known, unknown } passage IDs in the latest answer
+  timings: [], // { ttft, promptTokens, reusedTokens } per answer, ttft in ms
+  retries: [], // { model, preset, failures, scores, text, retryFailures, retryText, passed, offered } per degenerate answer
+  transcript: [],
+  seed: getSessionSeed(),
   enabled: CONFIG.DEBUG
 };
 
+console.log(`🌱 Session seed: ${getSessionSeed()} (open the page with ?seed=${getSessionSeed()} to replay this conversation)`);
+
 if (typeof window !== 'undefined') {
   window.__CHAT_DEBUG__ = __CHAT_DEBUG__;
 }
@@ -77,18 +138,35 @@ if (typeof window !== 'undefined') {
 class SystemPromptManager {
   constructor() {
     this.dataLoader = new DataLoader();
+    this.embedQuery = null; // (text, modelId) => vector, set once a backend can embed
     this.lastPrompt = null;
     this.lastSelections = null;
   }
 
   async generateSystemPrompt(options = {}) {
-    const prompt = await buildSystemPrompt({ ...options, dataLoader: this.dataLoader });
+    return renderSections(await this.generateSystemPromptSections(options));
+  }
+
+  async generateSystemPromptSections(options = {}) {
+    const trace = {};
+    const sections = await buildSystemPromptSections({
+      ...options,
+      trace,
+      embedQuery: this.embedQuery,
+      dataLoader: this.dataLoader
+    });
+    const prompt = renderSections(sections);
 
     // Store for debug hooks
     this.lastPrompt = prompt;
     this.lastSelections = {
       timestamp: new Date().toISOString(),
       options,
+      mode: trace.mode,
+      template: trace.template,
+      persona: trace.persona,
+      passages: trace.passages || [],
+      citations: trace.citations || {},
       promptLength: prompt.length
     };
 
@@ -96,6 +174,7 @@ class SystemPromptManager {
     if (__CHAT_DEBUG__.enabled) {
       __CHAT_DEBUG__.lastSystemPrompt = prompt;
       __CHAT_DEBUG__.lastSelections = this.lastSelections;
+      __CHAT_DEBUG__.promptTemplate = trace.template;
     }
 
     console.log("🤖 Generated System Prompt:");
@@ -103,7 +182,7 @@ class SystemPromptManager {
     console.log(prompt);
     console.log("=".repeat(80));
 
-    return prompt;
+    return sections;
   }
 
   getLastPrompt() {
@@ -115,117 +194,184 @@ class SystemPromptManager {
   }
 }
 
-// Models that don't work, or are too slow
-// { id: "onnx-community/Qwen2.5-0.5B-Instruct", label: "Qwen2.5 0.5B (Theoretically Good)", dtype: "q4" },
-// { id: "microsoft/Phi-3-mini-4k-instruct-onnx-web", label: "Phi-3 Mini (The Sensible Sequel)", dtype: "q4" },
-// { id: "Xenova/distilgpt2", label: "DistilGPT-2 (A Classic from 2019)", dtype: "q4" }
-//   { id: "onnx-community/MobileLLM-R1-950M-ONNX", label: "MobileLLM 950M (Math + Code Monster)", dtype: "q4" },
-// { id: "onnx-community/vaultgemma-1b-ONNX", label: "VaultGemma 1B (Private + Polite)", dtype: "q4" },
+// Module worker when the browser has them, otherwise the same backend on the main thread
+function createBackend() {
+  if (CONFIG.USE_WORKER && supportsModuleWorkers()) {
+    try {
+      const worker = new Worker(new URL("./model-worker.js", import.meta.url), { type: "module" });
+      return new WorkerBackend(worker, TRANSFORMERS);
+    } catch (error) {
+      console.warn("Could not start the model worker:", error);
+    }
+  }
+  return new TransformersBackend(TRANSFORMERS);
+}
+
+function createServerBackend() {
+  return SERVER_MODEL ? new OpenAIBackend(SITE_CONFIG.chatServer) : null;
+}
+
+function backendMode(backend) {
+  if (backend instanceof OpenAIBackend) return "server";
+  return backend instanceof WorkerBackend ? "worker" : "main thread";
+}
 
+// Loading and generation run in a backend: in the browser for models from the registry, or on
+// the chat server. The tokenizer stays here because prompt formatting and token counting need it
+// synchronously; server models don't have one and are sent the chat messages instead.
 class ModelManager {
-  constructor() {
-    this.pipe = null;
+  constructor(backend = createBackend(), serverBackend = createServerBackend()) {
+    this.backend = backend; // In-browser models, and semantic search embeddings
+    this.serverBackend = serverBackend;
+    this.activeBackend = null; // Backend of currentModelId
     this.tokenizer = null;
     this.currentModelId = null;
     this.tf = null;
     this._loadSeq = 0;
+    this._activeLoad = null; // seq of the load in progress
+    this._generation = null; // Settles when the model is free to generate again
+    this._call = null; // The latest generateText() call, so Stop reaches it even while it waits
+    console.log(`🧵 Model backend: ${backendMode(backend)}`);
   }
 
-  async loadModel(modelId, hfToken = null) {
+  // Loads alongside the current model and swaps only once everything is ready, so the previous model
+  // keeps answering until then, and after a cancel. onProgress gets createDownloadTracker snapshots.
+  async loadModel(modelId, hfToken = null, onProgress = null) {
     const seq = ++this._loadSeq;
+    this._activeLoad = seq;
+
+    const model = findModel(MODELS, modelId);
+    const tracker = createDownloadTracker();
+    const report = (event) => {
+      if (seq !== this._loadSeq) return;
+      const progress = tracker.update(event);
+      if (progress) onProgress?.(progress);
+    };
 
-    await this._cleanup();
-    await this._loadTransformers();
-    this._configureAuth(hfToken);
-
-    const model = MODELS.find(m => m.id === modelId);
-    const device = navigator.gpu ? "webgpu" : undefined;
+    // Throwing from a progress callback rejects the file being read, which stops a cancelled load
+    const progressCallback = (event) => {
+      if (seq !== this._loadSeq) {
+        const error = new Error("Model load cancelled");
+        error.cancelled = true;
+        throw error;
+      }
+      report(event);
+    };
 
     try {
-      this.pipe = await this._createPipeline(modelId, device, model?.dtype);
-      if (seq !== this._loadSeq) return null;
-
-      this.tokenizer = await this._loadTokenizer(modelId);
-      if (seq !== this._loadSeq) return null;
+      const onServer = model?.backend === "openai";
+      if (onServer && !this.serverBackend) throw new Error(`${modelId} needs chatServer in site-config.js`);
+
+      const loaded = onServer
+        ? await this.serverBackend.load(modelId, model)
+        : await this._loadInBackend(modelId, model, hfToken, report);
+      const backend = onServer ? this.serverBackend : this.backend;
+
+      let tokenizer = null;
+      if (!onServer) {
+        await this._loadTransformers();
+        tokenizer = await this._loadTokenizer(modelId, progressCallback);
+      }
+      if (seq !== this._loadSeq) {
+        await backend.discard(loaded);
+        await this._dispose(tokenizer);
+        return null;
+      }
 
+      await backend.activate(loaded);
+      await this._cleanup();
+      this.tokenizer = tokenizer;
       this.currentModelId = modelId;
-      return { success: true, device: device || "cpu" };
+      this.activeBackend = backend;
+      return { success: true, device: loaded.device, fallback: loaded.fallback, mode: backendMode(backend) };
     } catch (error) {
-      if (device) {
-        return await this._fallbackToCPU(modelId, seq);
-      }
+      if (seq !== this._loadSeq) return null; // Cancelled, or replaced by a newer load
       throw error;
+    } finally {
+      if (this._activeLoad === seq) this._activeLoad = null;
     }
   }
 
-  async _cleanup() {
-    console.log("Cleaning up previous model session...");
+  // A worker that dies on startup (blocked import, CSP) hands over to the main thread
+  async _loadInBackend(modelId, model, hfToken, onProgress) {
     try {
-      if (this.pipe) {
-        await this.pipe.dispose();
-        console.log("Pipe disposed.");
-      }
-      if (this.tokenizer) {
-        await this.tokenizer.dispose();
-        console.log("Tokenizer disposed.");
-      }
+      return await this.backend.load(modelId, model, { hfToken, onProgress });
     } catch (error) {
-      console.warn("An error occurred during model cleanup:", error);
-    } finally {
-      this.pipe = null;
-      this.tokenizer = null;
-      console.log("Cleanup complete.");
+      if (!error.workerFailed) throw error;
+      console.warn("Model worker failed, running the model on the main thread instead:", error.message);
+      const failed = this.backend;
+      this.backend = new TransformersBackend(TRANSFORMERS);
+      if (this.activeBackend === failed) {
+        // The worker's model is gone with it
+        this.currentModelId = null;
+        this.activeBackend = null;
+      }
+      return await this.backend.load(modelId, model, { hfToken, onProgress });
     }
   }
 
-  async _loadTransformers() {
-    if (this.tf) return;
+  isLoading() {
+    return this._activeLoad !== null;
+  }
 
-    this.tf = await import(CONFIG.CDN_URL);
-    // Optimize ONNX WASM path when WebGPU is unavailable
-    try {
-      if (!navigator.gpu && this.tf.env) {
-        // Conservative number of threads to avoid contention; adjust if needed
-        this.tf.env.ONNX_NUM_THREADS = 2;
-      }
-    } catch { }
+  isReady() {
+    return this.currentModelId !== null;
   }
 
-  _configureAuth(hfToken) {
-    if (hfToken && this.tf.env) {
-      this.tf.env.HF_TOKEN = hfToken;
-    }
+  // Stop the load in progress; whatever model was loaded before stays loaded
+  cancelLoad() {
+    if (!this.isLoading()) return false;
+    this._activeLoad = null;
+    this._loadSeq++;
+    this.backend.cancelLoad();
+    this.serverBackend?.cancelLoad();
+    return true;
   }
 
-  async _createPipeline(modelId, device, dtype) {
+  async _dispose(tokenizer) {
     try {
-      return await this.tf.pipeline("text-generation", modelId, { device, dtype });
+      await tokenizer?.dispose?.();
     } catch (error) {
-      return await this.tf.pipeline("text-generation", modelId, { device });
+      console.warn("An error occurred while disposing a tokenizer:", error);
     }
   }
 
-  async _loadTokenizer(modelId) {
+  async _cleanup() {
+    console.log("Cleaning up previous model session...");
+    await this._dispose(this.tokenizer);
+    this.tokenizer = null;
+    console.log("Cleanup complete.");
+  }
+
+  async _loadTransformers() {
+    if (this.tf) return;
+    this.tf = await import(TRANSFORMERS.url);
+    configureTransformers(this.tf, TRANSFORMERS.env);
+  }
+
+  async _loadTokenizer(modelId, progressCallback) {
     try {
       const { AutoTokenizer } = this.tf;
-      return await AutoTokenizer.from_pretrained(modelId);
+      return await AutoTokenizer.from_pretrained(modelId, { progress_callback: progressCallback });
     } catch {
       return null;
     }
   }
 
-  async _fallbackToCPU(modelId, seq) {
-    try {
-      this.pipe = await this.tf.pipeline("text-generation", modelId, {});
-      if (seq !== this._loadSeq) return null;
-      return { success: true, device: "cpu", fallback: true };
-    } catch (error) {
-      throw error;
-    }
+  // Query embedding for semantic search; kept separate from the chat model across switches.
+  // onProgress gets createDownloadTracker snapshots while the embedding model downloads (not when it's cached).
+  async embed(text, modelId, onProgress = null) {
+    const tracker = createDownloadTracker();
+    const report = (event) => {
+      const progress = tracker.update(event);
+      if (progress?.total > 0) onProgress?.(progress);
+    };
+    return this.backend.embed(text, modelId, SITE_CONFIG.semanticSearch?.dtype, { onProgress: report });
   }
 
-  async generateText(prompt, onUpdate, dynamicParams = null) {
-    if (!this.pipe) throw new Error("No model loaded");
+  // messages: the chat messages prompt was rendered from, sent as they are to a chat server
+  async generateText(prompt, onUpdate, dynamicParams = null, messages = null) {
+    if (!this.isReady()) throw new Error("No model loaded");
 
     // Use dynamic parameters or fallback to CONFIG defaults
     const params = dynamicParams || CONFIG.getDynamicValues();
@@ -243,31 +389,70 @@ class ModelManager {
       repetition_penalty: params.REPETITION_PENALTY,
       do_sample: shouldSample,
       return_full_text: false,
-      callback_function: onUpdate
+      use_cache: CONFIG.KV_CACHE
     };
     console.log("⚡ Final generation options:", options);
 
-    try {
-      return await this.pipe(prompt, options);
-    } catch (error) {
-      if (this._isGPUKernelError(error)) {
-        return await this._retryOnCPU(prompt, options);
-      }
-      throw error;
-    }
+    // Seed for token sampling, from the session generator. Only the worker backend and a chat server
+    // use it: on the main-thread fallback transformers.js samples with the page's own Math.random, so
+    // ?seed= replays everything there but the sampled tokens.
+    const samplingSeed = Math.floor(sessionRandom() * 0x100000000);
+
+    // After a Stop the previous answer may still be decoding its last token; the model runs one at a time.
+    // A Stop while this call waits its turn marks it stopped, so it never starts.
+    const backend = this.activeBackend;
+    const previous = this._generation;
+    const call = { stopped: false };
+    this._call = call;
+    const generation = (async () => {
+      await previous;
+      if (call.stopped) return [{ generated_text: "" }];
+      const start = performance.now();
+      let ttft = null;
+      const onToken = (text) => {
+        ttft ??= performance.now() - start;
+        onUpdate?.(text);
+      };
+      const result = await backend.generate(prompt, options, { seed: samplingSeed, onToken, messages });
+      this._reportTiming(ttft, result?.[0]?.cache);
+      return result;
+    })();
+    this._generation = generation.catch(() => { });
+    return generation;
   }
 
-  _isGPUKernelError(error) {
-    const message = String(error?.message || error || "");
-    return /WebGPU|kernel|Rotary interleaved|JSEP/i.test(message);
+  // Ends decoding after the current token; generateText() resolves with what's been generated
+  stopGeneration() {
+    if (this._call) this._call.stopped = true;
+    this.activeBackend?.stopGeneration();
   }
 
-  async _retryOnCPU(prompt, options) {
-    if (!this.currentModelId) throw new Error("No current model for CPU retry");
+  // Next answer prefills the whole prompt. Prompts that stop sharing a prefix with the cached one
+  // (new passages, trimmed history) drop what no longer matches on their own.
+  resetCache(reason) {
+    if (!this.activeBackend) return;
+    console.log(`🧹 KV cache dropped: ${reason}`);
+    // The worker answers asynchronously and rejects once it has failed; nothing waits on this
+    Promise.resolve(this.activeBackend.resetCache())
+      .catch(error => console.warn("Could not drop the KV cache:", error));
+  }
 
-    await this._cleanup();
-    this.pipe = await this.tf.pipeline("text-generation", this.currentModelId, {});
-    return await this.pipe(prompt, options);
+  // Time to first token, averaged separately over answers that did and didn't reuse the cache
+  _reportTiming(ttft, cache = null) {
+    if (ttft === null) return;
+    const reused = cache?.reusedTokens || 0;
+    console.log(`⏱️ Time to first token: ${Math.round(ttft)} ms, ${cache
+      ? `${reused} of ${cache.promptTokens} prompt tokens from the KV cache`
+      : "no KV cache"}`);
+    if (!__CHAT_DEBUG__.enabled) return;
+
+    __CHAT_DEBUG__.timings.push({ ttft, promptTokens: cache?.promptTokens ?? null, reusedTokens: reused });
+    const average = (timings) => timings.length
+      ? `${Math.round(timings.reduce((sum, t) => sum + t.ttft, 0) / timings.length)} ms over ${timings.length}`
+      : "none yet";
+    const withCache = __CHAT_DEBUG__.timings.filter(t => t.reusedTokens > 0);
+    const withoutCache = __CHAT_DEBUG__.timings.filter(t => t.reusedTokens === 0);
+    console.log(`⏱️ Average time to first token: with cache ${average(withCache)}, without ${average(withoutCache)}`);
   }
 }
 
@@ -276,123 +461,221 @@ class ChatEngine {
     this.history = [];
     this._genSeq = 0;
     this.promptManager = new SystemPromptManager();
-    this.bookPromoChance = 0.2; // 20% chance to show book promo
     this.currentParams = null; // Will hold dynamic params for current generation
+    this.currentMessages = null; // Chat messages behind the current prompt
+    this.length = null; // Visitor's answer length pick (LENGTHS), null for the preset's
+    this.creativity = null; // Visitor's preset pick (PRESETS), null for the model's or persona's
+    this.setPersona(null);
   }
 
-  addMessage(role, content) {
-    this.history.push([role, content]);
+  // Persona id (or null for the default); takes effect from the next message
+  setPersona(personaId) {
+    this.persona = resolvePersona(personaId);
+    this.bookPromoChance = this.persona.promoChance;
+    this.quipChance = this.persona.quipChance;
+    return this.persona;
+  }
+
+  // Unknown values reset to automatic; take effect from the next message
+  setGenerationChoices({ length = this.length, creativity = this.creativity } = {}) {
+    this.length = LENGTHS[length] ? length : null;
+    this.creativity = PRESETS[creativity] ? creativity : null;
+    return { length: this.length, creativity: this.creativity };
+  }
+
+  // Visitor's creativity pick, then the persona's preset, then the model's
+  generationParams(model = null) {
+    const preset = choosePreset({ creativity: this.creativity, model, persona: this.persona });
+    const strategy = GENERATION_STRATEGIES[CONFIG.PARAMS_STRATEGY] || GENERATION_STRATEGIES.preset;
+    console.log(`🎛️ Generation: ${CONFIG.PARAMS_STRATEGY} strategy, preset ${preset}, length ${this.length || "from preset"}`);
+    return strategy({ random: sessionRandom, preset, length: this.length });
+  }
+
+  // Settings for the second try after a degenerate answer; the visitor's length pick still applies
+  retryParams(preset) {
+    const params = presetValues(preset, { random: sessionRandom, length: this.length });
+    console.log(`🎛️ Retry: preset ${resolvePresetName(preset)}, length ${this.length || "from preset"}`);
+    return params;
+  }
+
+  // meta (e.g. the prompt template that produced an answer) is kept for the transcript only
+  addMessage(role, content, meta = null) {
+    this.history.push([role, content, meta]);
+    if (__CHAT_DEBUG__.enabled) {
+      __CHAT_DEBUG__.transcript = this.getTranscript();
+    }
   }
 
   clearHistory() {
     this.history = [];
+    if (__CHAT_DEBUG__.enabled) {
+      __CHAT_DEBUG__.transcript = [];
+    }
+  }
+
+  getTranscript() {
+    return this.history.map(([role, content, meta]) => ({ role, content, ...meta }));
+  }
+
+  // Each answer gets a sequence number; tokens and results of an older one are dropped
+  startGeneration() {
+    return ++this._genSeq;
+  }
+
+  isCurrentGeneration(genSeq) {
+    return this._genSeq === genSeq;
   }
 
   cancelGeneration() {
     this._genSeq++;
   }
 
-  async formatPrompt(userText, tokenizer) {
-    // Generate dynamic parameters for this conversation turn
-    this.currentParams = CONFIG.getDynamicValues();
+  async formatPrompt(userText, tokenizer, modelId = null) {
+    const model = findModel(MODELS, modelId);
+
+    // Generation parameters for this conversation turn
+    this.currentParams = this.generationParams(model);
 
     console.log("🎲 Dynamic parameters for this response:", this.currentParams);
 
-    // Generate fresh system prompt with random highlights for each conversation
-    const systemPrompt = await this.promptManager.generateSystemPrompt();
+    // Generate fresh system prompt for the current persona, with passages relevant to this message
+    const systemSections = await this.promptManager.generateSystemPromptSections({ query: userText, persona: this.persona });
 
     // Prune history to prevent context overflow (using dynamic history limit)
     const relevantHistory = this._pruneHistory(userText);
 
-    const messages = [
-      { role: "system", content: systemPrompt },
-      ...relevantHistory.map(([who, text]) => ({
-        role: who === "me" ? "user" : "assistant",
-        content: text
+    // Trim the lowest-priority sections until the prompt fits this model's budget
+    const budget = this._contextBudget(modelId);
+    const priorities = CONFIG.PROMPT_PRIORITIES;
+    const fitted = await fitSections([
+      ...systemSections.map(section => ({
+        ...section,
+        priority: priorities[section.name] ?? priorities.extra,
+        pinned: section.name === "base" ? section.items.length : 0
       })),
-      { role: "user", content: userText }
-    ];
+      {
+        name: "history",
+        priority: priorities.history,
+        dropFrom: "start",
+        items: relevantHistory.map(([who, text]) => ({
+          role: who === "me" ? "user" : "assistant",
+          content: text
+        }))
+      },
+      { name: "user", priority: priorities.user, pinned: 1, items: [{ role: "user", content: userText }] }
+    ], {
+      budget,
+      countTokens: createTokenCounter(tokenizer),
+      render: (sections) => this._renderPrompt(this._toMessages(sections), model?.chatTemplate === false ? null : tokenizer)
+    });
+
+    const messages = this._toMessages(fitted.sections);
+    const formatted = fitted.text;
+    this.currentMessages = messages;
+
+    // Passages trimmed from the prompt can't be cited; the base prompt's "[w1]" example and the history don't count
+    const selections = this.promptManager.getLastSelections();
+    if (selections) {
+      const passageText = fitted.sections
+        .filter(section => !["base", "history", "user"].includes(section.name))
+        .flatMap(section => section.items)
+        .join("\n");
+      selections.citations = citationsInPrompt(selections.citations, passageText);
+    }
 
     // Log conversation structure
     console.log("💬 Conversation Structure:");
     console.log(`📝 User input: "${userText}"`);
-    console.log(`📚 History entries: ${relevantHistory.length}`);
+    console.log(`📚 History entries: ${messages.length - 2}`);
     console.log("🗨️ Full conversation messages:");
     messages.forEach((msg, i) => {
       console.log(`  ${i + 1}. [${msg.role.toUpperCase()}]: ${msg.content.substring(0, 100)}${msg.content.length > 100 ? '...' : ''}`);
     });
 
-    // Update debug hooks with message array
+    console.log(`📏 Prompt length: ${fitted.tokens} tokens (budget ${budget}, was ${fitted.originalTokens})`);
+    if (fitted.cuts.length > 0) {
+      console.log("✂️ Trimmed to fit budget:", fitted.cuts);
+    }
+    if (!fitted.fits) {
+      console.log("⚠️ Prompt still exceeds budget after trimming everything optional");
+    }
+
+    console.log("🚀 Final Formatted Prompt:");
+    console.log("-".repeat(80));
+    console.log(formatted);
+    console.log("-".repeat(80));
+
+    // Update debug hooks with the trimmed prompt and what was cut
     if (__CHAT_DEBUG__.enabled) {
+      __CHAT_DEBUG__.lastSystemPrompt = messages[0].content;
       __CHAT_DEBUG__.lastMessages = messages;
+      __CHAT_DEBUG__.lastFormatted = formatted;
+      __CHAT_DEBUG__.lastBudget = {
+        budget,
+        tokens: fitted.tokens,
+        originalTokens: fitted.originalTokens,
+        fits: fitted.fits,
+        cuts: fitted.cuts
+      };
     }
 
+    return formatted;
+  }
+
+  // Token budget: the dynamic MAX_CONTEXT_LENGTH, capped by the model's window minus room to answer
+  _contextBudget(modelId) {
+    const model = findModel(MODELS, modelId);
+    const windowBudget = model?.contextWindow
+      ? model.contextWindow - this.currentParams.MAX_NEW_TOKENS
+      : Infinity;
+    return Math.min(this.currentParams.MAX_CONTEXT_LENGTH, windowBudget);
+  }
+
+  _toMessages(sections) {
+    const conversation = sections.filter(s => s.name === "history" || s.name === "user");
+    const systemPrompt = renderSections(sections.filter(s => !conversation.includes(s)));
+
+    return [
+      { role: "system", content: systemPrompt },
+      ...conversation.flatMap(s => s.items)
+    ];
+  }
+
+  async _renderPrompt(messages, tokenizer) {
     if (tokenizer?.apply_chat_template) {
       try {
-        const formatted = await tokenizer.apply_chat_template(messages, {
+        return await tokenizer.apply_chat_template(messages, {
           tokenize: false,
           add_generation_prompt: true
         });
-
-        // Always use full context - no truncation
-        console.log("📏 Prompt length:", formatted.length, "characters");
-        if (formatted.length > this.currentParams.MAX_CONTEXT_LENGTH) {
-          console.log("⚠️ Prompt exceeds max length but using full context anyway");
-        }
-
-        console.log("🚀 Final Formatted Prompt (tokenizer template):");
-        console.log("-".repeat(80));
-        console.log(formatted);
-        console.log("-".repeat(80));
-
-        // Update debug hooks with formatted prompt
-        if (__CHAT_DEBUG__.enabled) {
-          __CHAT_DEBUG__.lastFormatted = formatted;
-        }
-
-        return formatted;
       } catch { }
     }
 
-    const historyText = relevantHistory
-      .map(([who, text]) => `${who === "me" ? "User" : "Assistant"}: ${text}`)
+    // Fallback plain-text format for models without a chat template
+    const [system, ...turns] = messages;
+    const turnsText = turns
+      .map(({ role, content }) => `${role === "user" ? "User" : "Assistant"}: ${content}`)
       .join("\n");
 
-    const fullPrompt = `${systemPrompt}\n${historyText ? historyText + "\n" : ""}User: ${userText}\nAssistant:`;
-
-    // Always use full context - no truncation
-    console.log("📏 Prompt length:", fullPrompt.length, "characters");
-    if (fullPrompt.length > this.currentParams.MAX_CONTEXT_LENGTH) {
-      console.log("⚠️ Prompt exceeds max length but using full context anyway");
-    }
-
-    console.log("🚀 Final Formatted Prompt (fallback):");
-    console.log("-".repeat(80));
-    console.log(fullPrompt);
-    console.log("-".repeat(80));
-
-    // Update debug hooks with formatted prompt
-    if (__CHAT_DEBUG__.enabled) {
-      __CHAT_DEBUG__.lastFormatted = fullPrompt;
-    }
-
-    return fullPrompt;
+    return `${system.content}\n${turnsText}\nAssistant:`;
   }
 
   _pruneHistory(currentInput) {
     // Use dynamic history limit
     const historyLimit = this.currentParams ? this.currentParams.HISTORY_LIMIT : 8;
+    // Answers that failed the quality gate stay in the transcript but aren't fed back to the model
+    const history = this.history.filter(([, , meta]) => !meta?.degenerate);
 
-    if (this.history.length <= historyLimit) {
-      return this.history.slice(-historyLimit);
+    if (history.length <= historyLimit) {
+      return history.slice(-historyLimit);
     }
 
     // Keep recent history and any history that might be relevant to current input
-    const recentHistory = this.history.slice(-historyLimit);
+    const recentHistory = history.slice(-historyLimit);
     const keywords = currentInput.toLowerCase().split(/\s+/).filter(w => w.length > 3);
 
     // Look for relevant older conversations
-    const relevantOlder = this.history.slice(0, -historyLimit).filter(([, text]) => {
+    const relevantOlder = history.slice(0, -historyLimit).filter(([, text]) => {
       const textLower = text.toLowerCase();
       return keywords.some(keyword => textLower.includes(keyword));
     }).slice(-2); // Max 2 older relevant exchanges
@@ -424,7 +707,7 @@ class ChatEngine {
       userText.toLowerCase().includes(trigger) || response.toLowerCase().includes(trigger)
     );
 
-    if (hasBookTrigger || Math.random() < this.bookPromoChance) {
+    if (this.bookPromoChance > 0 && (hasBookTrigger || sessionRandom() < this.bookPromoChance)) {
       const randomPromo = selectRandomPromo();
       const finalResponse = `${response}\n\n${randomPromo}`;
       console.log("📚 Added book promo");
@@ -439,7 +722,7 @@ class ChatEngine {
     }
 
     // 2. If no promo, maybe add a quip (lower chance)
-    if (Math.random() < 0.15) { // 15% chance if no promo was shown
+    if (sessionRandom() < this.quipChance) { // Lower chance than promos, set per persona
       const randomQuip = selectRandomQuip();
       const finalResponse = `${response}\n\n*${randomQuip}*`;
       console.log("😄 Added funny quip");
@@ -470,22 +753,42 @@ class UIController {
     this.$ = (id) => shadowRoot.getElementById(id);
   }
 
-  static createHTML() {
+  static createHTML(personas = getPersonas()) {
+    const capitalize = (id) => id[0].toUpperCase() + id.slice(1);
+    // Model and persona text comes from config files, so it's escaped like any other text
+    const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
     return `
       <div class="container" role="application" aria-label="Local Chat">
         <div class="controls">
           <select id="modelSelect" aria-label="Model">
-            ${MODELS.map(m => `<option value="${m.id}">${m.label}</option>`).join("")}
+            ${selectableModels(MODELS).map(m => `<option value="${escape(m.id)}"${m.notes ? ` title="${escape(m.notes)}"` : ""}>${escape(modelLabel(m))}</option>`).join("")}
+          </select>
+          <select id="personaSelect" aria-label="Persona" title="Who am I talking to?"${personas.length < 2 ? " hidden" : ""}>
+            ${personas.map(p => `<option value="${escape(p.id)}">${escape(p.name)}</option>`).join("")}
+          </select>
+          <select id="lengthSelect" class="generation-select" aria-label="Answer length" title="Answer length">
+            <option value="">Auto length</option>
+            ${Object.keys(LENGTHS).map(id => `<option value="${id}">${capitalize(id)}</option>`).join("")}
+          </select>
+          <select id="creativitySelect" class="generation-select" aria-label="Creativity" title="Creativity">
+            <option value="">Auto creativity</option>
+            ${Object.keys(PRESETS).map(id => `<option value="${id}">${capitalize(id)}</option>`).join("")}
           </select>
           <button id="clearButton" title="Clear chat">Clear</button>
           <span id="status" role="status" aria-live="polite"></span>
         </div>
+        <div id="loadProgress" class="load-progress" hidden>
+          <progress id="loadProgressBar" max="100" aria-label="Model download"></progress>
+          <span id="loadProgressText"></span>
+          <button id="cancelLoadButton" type="button">Cancel</button>
+        </div>
         <div id="messages" class="messages" aria-live="polite"></div>
         <form class="input-form" id="messageForm" autocomplete="off">
           <input id="messageInput" type="text" placeholder="Type and press Enter…" required
                  autocomplete="off" autocapitalize="none" autocorrect="off"
                  spellcheck="false" enterkeyhint="send"/>
           <button id="sendButton">Send</button>
+          <button id="stopButton" type="button" title="Stop generating" hidden>Stop</button>
         </form>
       </div>
     `;
@@ -495,6 +798,37 @@ class UIController {
     this.$("status").textContent = text;
   }
 
+  // progress: a createDownloadTracker snapshot, or null before the first file starts.
+  // cancellable: false hides Cancel, for downloads that aren't a model switch
+  showLoadProgress(label, progress = null, { cancellable = true } = {}) {
+    const bar = this.$("loadProgressBar");
+    if (progress?.percent != null) {
+      bar.value = progress.percent;
+    } else {
+      bar.removeAttribute("value"); // Indeterminate until file sizes are known
+    }
+    this.$("loadProgressText").textContent = `${label}: ${progress ? formatProgress(progress) : "Starting download…"}`;
+    this.$("cancelLoadButton").hidden = !cancellable;
+    this.$("loadProgress").hidden = false;
+  }
+
+  hideLoadProgress() {
+    this.$("loadProgress").hidden = true;
+  }
+
+  // Marks models whose files are all in the browser cache
+  markOfflineModels(offlineIds) {
+    for (const option of this.$("modelSelect").options) {
+      const model = findModel(MODELS, option.value);
+      if (model) option.textContent = modelLabel(model, { offline: offlineIds.has(model.id) });
+    }
+  }
+
+  // Stop shows next to the disabled Send button while an answer is being generated
+  setGenerating(generating) {
+    this.$("stopButton").hidden = !generating;
+  }
+
   setControlsEnabled(enabled) {
     this.$("sendButton").disabled = !enabled;
     this.$("messageInput").disabled = !enabled;
@@ -504,6 +838,19 @@ class UIController {
     return this.$("modelSelect").value;
   }
 
+  getSelectedPersona() {
+    return this.$("personaSelect").value;
+  }
+
+  getGenerationChoices() {
+    return { length: this.$("lengthSelect").value, creativity: this.$("creativitySelect").value };
+  }
+
+  setGenerationChoices({ length, creativity }) {
+    this.$("lengthSelect").value = length || "";
+    this.$("creativitySelect").value = creativity || "";
+  }
+
   getMessageInput() {
     const input = this.$("messageInput");
     const value = input.value.trim();
@@ -525,9 +872,11 @@ class UIController {
     return messageEl;
   }
 
-  updateMessage(element, content) {
+  // citations: { [id]: { title, text } } for the passages behind this answer
+  updateMessage(element, content, citations = null) {
+    if (citations) element._citations = citations;
     const sender = element.querySelector('.sender');
-    const formattedContent = this._formatMessageContent(content);
+    const formattedContent = this._formatMessageContent(content, element._citations);
     element.innerHTML = `${sender.outerHTML}${formattedContent}`;
 
     // Only auto-scroll if user hasn't manually scrolled up
@@ -536,6 +885,23 @@ class UIController {
     }
   }
 
+  // Partial answer kept after Stop
+  markStopped(element) {
+    element.classList.add("stopped");
+    element.insertAdjacentHTML("beforeend", '<span class="stopped-tag" title="Stopped before the answer was finished">stopped</span>');
+  }
+
+  // Button under a degenerate answer that asks the question again with model
+  offerModel(element, model, question) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "model-offer";
+    button.dataset.model = model.id;
+    button.dataset.question = question;
+    button.textContent = `Answer with ${model.label} instead`;
+    element.appendChild(button);
+  }
+
   _scrollToBottom() {
     const messagesContainer = this.$("messages");
     // Use requestAnimationFrame for smoother scrolling
@@ -547,7 +913,7 @@ class UIController {
     });
   }
 
-  _formatMessageContent(content) {
+  _formatMessageContent(content, citations = null) {
     // Skip formatting for HTML content (like thinking dots)
     if (content.includes('<span class="thinking-dots"></span>')) {
       return content;
@@ -556,6 +922,11 @@ class UIController {
     // Handle multi-paragraph content with better spacing
     let formatted = this._escapeHTML(content);
 
+    // [w1]-style passage IDs become numbered footnote chips
+    if (citations) {
+      formatted = renderCitationChips(formatted, citations);
+    }
+
     // Convert double newlines to paragraph breaks
     formatted = formatted.replace(/\n\n+/g, '</p><p>');
 
@@ -571,6 +942,29 @@ class UIController {
     this.$("messages").innerHTML = "";
   }
 
+  // Show (or hide) the passage behind a citation chip under its message
+  toggleCitation(chip) {
+    const messageEl = chip.closest(".message");
+    const id = chip.dataset.cite;
+    const existing = messageEl.querySelector(".citation-detail");
+    existing?.remove();
+    if (existing?.dataset.cite === id) return;
+
+    const citation = messageEl._citations?.[id];
+    const detail = document.createElement("div");
+    detail.className = `citation-detail${citation ? "" : " unknown"}`;
+    detail.dataset.cite = id;
+
+    const title = document.createElement("strong");
+    title.textContent = citation ? citation.title : `Unknown source [${id}]`;
+    const text = document.createElement("blockquote");
+    text.textContent = citation
+      ? citation.text
+      : "This ID doesn't match any passage given to the model, so this part of the answer may be made up.";
+    detail.append(title, text);
+    messageEl.appendChild(detail);
+  }
+
   // Check if user has scrolled up and should auto-scroll
   _shouldAutoScroll() {
     const messagesContainer = this.$("messages");
@@ -600,6 +994,8 @@ class AIChat extends HTMLElement {
     this.chatEngine = new ChatEngine();
     this.ui = new UIController(this.shadowRoot);
     this.hfToken = null;
+
+    this.chatEngine.promptManager.embedQuery = (text, modelId) => this._embedQuery(text, modelId);
   }
 
   // Static CSS cache
@@ -610,7 +1006,14 @@ class AIChat extends HTMLElement {
     this._loadStyles();
     this._setupEventListeners();
     this._initializeToken();
+    this._initializePersona();
+    this._initializeGenerationChoices();
     this._autoLoadDefaultModel();
+    this._refreshOfflineModels();
+  }
+
+  async _refreshOfflineModels() {
+    this.ui.markOfflineModels(await offlineModelIds(MODELS, TRANSFORMERS.env.localModelPath));
   }
 
   async _loadStyles() {
@@ -639,6 +1042,18 @@ class AIChat extends HTMLElement {
     this.ui.$("messageForm").addEventListener("submit", (e) => this._handleSubmit(e));
     this.ui.$("clearButton").addEventListener("click", () => this._clearChat());
     this.ui.$("modelSelect").addEventListener("change", () => this._loadSelectedModel());
+    this.ui.$("cancelLoadButton").addEventListener("click", () => this._cancelLoad());
+    this.ui.$("stopButton").addEventListener("click", () => this._stopGeneration());
+    this.ui.$("personaSelect").addEventListener("change", () => this._switchPersona(this.ui.getSelectedPersona()));
+    for (const id of ["lengthSelect", "creativitySelect"]) {
+      this.ui.$(id).addEventListener("change", () => this._setGenerationChoices(this.ui.getGenerationChoices()));
+    }
+    this.ui.$("messages").addEventListener("click", (e) => {
+      const chip = e.target.closest(".cite");
+      if (chip) this.ui.toggleCitation(chip);
+      const offer = e.target.closest(".model-offer");
+      if (offer) this._answerWithModel(offer.dataset.model, offer.dataset.question, offer);
+    });
   }
 
   _initializeToken() {
@@ -650,42 +1065,179 @@ class AIChat extends HTMLElement {
     } catch { }
   }
 
+  // ?persona= link, then the visitor's last choice, then the configured default
+  _initializePersona() {
+    let personaId = null;
+    try {
+      personaId = new URLSearchParams(location.search).get("persona") || localStorage.getItem("persona");
+    } catch { }
+    const persona = this.chatEngine.setPersona(personaId);
+    this.ui.$("personaSelect").value = persona.id;
+  }
+
+  // The visitor's last length and creativity picks
+  _initializeGenerationChoices() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem("generation") || "{}");
+    } catch { }
+    this.ui.setGenerationChoices(this.chatEngine.setGenerationChoices(stored));
+  }
+
+  _setGenerationChoices(choices) {
+    const chosen = this.chatEngine.setGenerationChoices(choices);
+    try {
+      localStorage.setItem("generation", JSON.stringify(chosen));
+    } catch { }
+    console.log(`🎛️ Answer length ${chosen.length || "auto"}, creativity ${chosen.creativity || "auto"}`);
+    this.ui.focus();
+  }
+
+  _switchPersona(personaId) {
+    const persona = this.chatEngine.setPersona(personaId);
+    this.modelManager.resetCache(`persona changed to ${persona.id}`);
+    try {
+      localStorage.setItem("persona", persona.id);
+    } catch { }
+    console.log(`🎭 Persona: ${persona.id} (${persona.tone}, preset ${persona.preset || "none"})`);
+    this.ui.addMessage("assistant", `🎭 Switched to ${persona.name} mode.`);
+    this.ui.focus();
+  }
+
   _autoLoadDefaultModel() {
+    const [model] = this._fallbackChain();
+    if (!model) {
+      this.ui.addMessage("assistant", "No models available. Check assets/models.json.");
+      return;
+    }
+    const preferred = defaultModel(MODELS);
+    if (model.id !== preferred.id) console.log(`⏭️ Skipping ${preferred.id}: it failed to load in this browser before`);
     this.ui.addMessage("assistant", "🚀 Loading default model…");
-    this.ui.$("modelSelect").value = MODELS[0].id;
+    this.ui.$("modelSelect").value = model.id;
     setTimeout(() => this._loadSelectedModel(), 100);
     this.ui.focus();
   }
 
+  // Candidates from site-config's modelFallback, without models that failed to load in this browser
+  _fallbackChain(picked = null) {
+    const { chain = [], forgetFailuresAfterDays = 7 } = SITE_CONFIG.modelFallback || {};
+    const failed = readFailures(globalThis.localStorage, { maxAgeDays: forgetFailuresAfterDays });
+    return fallbackChain(MODELS, { picked, chain, failed });
+  }
+
+  // While another model is loaded, a failed (or unknown) pick leaves that one answering. Otherwise
+  // the next candidates of the fallback chain are tried until one loads.
   async _loadSelectedModel() {
-    const modelId = this.ui.getSelectedModel();
+    const picked = this.ui.getSelectedModel();
+    const loadedId = this.modelManager.currentModelId;
+    const candidates = loadedId ? [findModel(MODELS, picked)].filter(Boolean) : this._fallbackChain(picked);
+    if (loadedId && candidates.length === 0) {
+      console.warn(`Model "${picked}" is not in the model picker, keeping ${loadedId}`);
+      this.ui.$("modelSelect").value = loadedId;
+      return;
+    }
+    const failed = [];
+
+    for (const [i, model] of candidates.entries()) {
+      this.ui.$("modelSelect").value = model.id;
+      const outcome = await this._loadModel(model, failed);
+      if (!outcome.error) return; // Loaded, cancelled, or another model was picked meanwhile
+
+      failed.push(model);
+      const next = candidates[i + 1];
+      if (next) {
+        console.log(`↪️ ${model.id} failed to load (${outcome.reason}), trying ${next.id}`);
+        this.ui.addMessage("assistant", `⚠️ Couldn't load ${model.label} (${outcome.reason}). Trying ${next.label}…`);
+      }
+    }
+    if (failed.length > 0) this._handleLoadError(failed);
+  }
+
+  // fallenBackFrom: models of the chain that failed before this one. Resolves with { error, reason }
+  // when the load fails, after recording the failure for this browser.
+  async _loadModel(model, fallenBackFrom = []) {
+    const modelName = model.label;
     this.ui.setControlsEnabled(false);
-    this.ui.setStatus(`Loading ${modelId}…`);
+    this.ui.setStatus(`Loading ${model.id}…`);
+    if (model.backend !== "openai") this.ui.showLoadProgress(modelName); // Nothing to download from a chat server
 
     try {
-      const result = await this.modelManager.loadModel(modelId, this.hfToken);
-      if (!result) return;
+      const result = await this.modelManager.loadModel(model.id, this.hfToken, (progress) => this.ui.showLoadProgress(modelName, progress));
+      if (!result) return {}; // Cancelled, or another model was picked meanwhile
 
+      clearFailure(model.id);
+      this.ui.hideLoadProgress();
       this.ui.setStatus("Ready");
-      const modelName = MODELS.find(m => m.id === modelId)?.label || modelId;
+      this._refreshOfflineModels();
       const message = `✨ Loaded ${modelName}. Ask me anything about ${SITE_CONFIG.name}!`;
+      const switchedMsg = fallenBackFrom.length > 0
+        ? `\n\n↪️ ${fallenBackFrom.map(m => m.label).join(", ")} couldn't load in this browser, so you're talking to ${modelName} instead.`
+        : "";
       const fallbackMsg = result.fallback ? "\n\n💡 Running on CPU for best compatibility." : "";
-      this.ui.addMessage("assistant", message + fallbackMsg);
+      this.ui.addMessage("assistant", message + switchedMsg + fallbackMsg);
       this.ui.setControlsEnabled(true);
+      return {};
     } catch (error) {
       console.error(error);
+      this.ui.hideLoadProgress();
+      const { reason } = recordFailure(model.id, error);
       this.ui.setStatus("Load failed");
-      this._handleLoadError(modelId);
       this.ui.setControlsEnabled(true);
+      return { error, reason };
     }
   }
 
-  _handleLoadError(modelId) {
-    this.ui.addMessage("assistant", "Failed to load model: " + modelId + ". Network or model issue. Try another model or browser.");
+  // The first question with semantic search downloads the embedding model; shown in the same bar
+  // as model downloads, unless a model is loading
+  async _embedQuery(text, modelId) {
+    let shown = false;
+    const onProgress = (progress) => {
+      if (this.modelManager.isLoading()) return;
+      shown = true;
+      this.ui.showLoadProgress("Search model", progress, { cancellable: false });
+    };
+    try {
+      return await this.modelManager.embed(text, modelId, onProgress);
+    } finally {
+      if (shown && !this.modelManager.isLoading()) this.ui.hideLoadProgress();
+    }
+  }
+
+  // The model that was loaded before the cancelled one keeps answering
+  _cancelLoad() {
+    if (!this.modelManager.cancelLoad()) return;
+    this.ui.hideLoadProgress();
+
+    const currentId = this.modelManager.currentModelId;
+    if (currentId) {
+      this.ui.$("modelSelect").value = currentId;
+      this.ui.setStatus("Ready");
+      this.ui.addMessage("assistant", `Download cancelled. Still using ${findModel(MODELS, currentId)?.label || currentId}.`);
+    } else {
+      this.ui.setStatus("");
+      this.ui.addMessage("assistant", "Download cancelled. Pick a model when you're ready.");
+    }
+    this.ui.setControlsEnabled(true);
+    this.ui.focus();
+  }
+
+  // Every candidate failed; a model loaded before keeps answering
+  _handleLoadError(failed) {
+    const names = failed.map(model => model.label).join(", ");
+    const currentId = this.modelManager.currentModelId;
+    if (currentId) {
+      this.ui.$("modelSelect").value = currentId;
+      this.ui.setStatus("Ready");
+      this.ui.addMessage("assistant", `Failed to load ${names}. Still using ${findModel(MODELS, currentId)?.label || currentId}.`);
+      return;
+    }
+    this.ui.addMessage("assistant", `Failed to load ${names}. Network or model issue. Try another model or browser.`);
   }
 
   _clearChat() {
+    this._stopGeneration(); // No-op unless an answer is being generated
     this.chatEngine.clearHistory();
+    this.modelManager.resetCache("chat cleared");
     this.ui.clearMessages();
     this.ui.addMessage("assistant", "Chat cleared. What would you like to know?");
     this.ui.focus();
@@ -707,7 +1259,7 @@ class AIChat extends HTMLElement {
         `Hey there! I'm here to answer questions about ${SITE_CONFIG.name}. Fire away!`,
         `Hi! Ask me something about ${SITE_CONFIG.name}'s background or projects.`
       ];
-      const response = cannedResponses[Math.floor(Math.random() * cannedResponses.length)];
+      const response = pick(sessionRandom, cannedResponses);
       this.chatEngine.addMessage("assistant", response);
       this.ui.addMessage("assistant", response);
       return; // Skip model generation
@@ -715,39 +1267,107 @@ class AIChat extends HTMLElement {
 
     this.chatEngine.addMessage("user", userInput);
     this.ui.addMessage("user", userInput);
+    await this._respond(userInput);
+  }
 
-    if (!this.modelManager.pipe) {
+  // Generates and shows the answer to userInput, which is already in the chat
+  async _respond(userInput) {
+    if (!this.modelManager.isReady()) {
       this.ui.addMessage("assistant", "Load a model first.");
       return;
     }
 
     this.ui.setControlsEnabled(false);
+    this.ui.setGenerating(true);
     this.ui.setStatus("Thinking…");
     const responseEl = this.ui.addMessage("assistant", '<span class="thinking-dots"></span>');
 
+    // What Stop needs to keep the partial answer
+    const answer = { genSeq: this.chatEngine.startGeneration(), responseEl, citations: null, text: "" };
+    this._answer = answer;
+
     try {
-      await this._generateResponse(userInput, responseEl);
+      await this._generateResponse(userInput, answer);
     } catch (error) {
       console.error(error);
-      this.ui.updateMessage(responseEl, "Generation error. Please try again.");
-      this.ui.setStatus("Error");
+      if (this.chatEngine.isCurrentGeneration(answer.genSeq)) {
+        this.ui.updateMessage(responseEl, "Generation error. Please try again.");
+        this.ui.setStatus("Error");
+      }
     } finally {
-      this.ui.setControlsEnabled(true);
-      this.ui.focus();
+      // After a Stop the controls are already back, and a newer answer may be in progress
+      if (this.chatEngine.isCurrentGeneration(answer.genSeq)) {
+        this._answer = null;
+        this.ui.setGenerating(false);
+        this.ui.setControlsEnabled(true);
+        this.ui.focus();
+      }
+    }
+  }
+
+  // Loads the offered model and asks the question again; the degenerate answer stays above
+  async _answerWithModel(modelId, question, button) {
+    if (this._answer || this.modelManager.isLoading()) return;
+    button.remove();
+    console.log(`🔀 Answering again with ${modelId}`);
+    if (this.modelManager.currentModelId !== modelId) {
+      this.ui.$("modelSelect").value = modelId;
+      await this._loadSelectedModel();
+      if (this.modelManager.currentModelId !== modelId) return; // Failed or cancelled
     }
+    await this._respond(question);
+  }
+
+  // Keeps the partial answer, marked as stopped, and hands the controls back straight away;
+  // decoding ends after the current token and whatever it produces is dropped
+  _stopGeneration() {
+    const answer = this._answer;
+    if (!answer) return;
+    this._answer = null;
+    this.chatEngine.cancelGeneration();
+    this.modelManager.stopGeneration();
+
+    const reply = answer.text;
+    console.log(`⏹️ Generation stopped after ${reply.length} characters`);
+    if (reply) {
+      this.chatEngine.addMessage("assistant", reply, {
+        promptTemplate: this.chatEngine.promptManager.getLastSelections()?.template,
+        persona: this.chatEngine.persona.id,
+        citations: findCitations(reply, answer.citations || {}).cited,
+        stopped: true
+      });
+    }
+    this.ui.updateMessage(answer.responseEl, reply || "(no response)", answer.citations);
+    this.ui.markStopped(answer.responseEl);
+    this.ui.setGenerating(false);
+    this.ui.setStatus("Stopped");
+    this.ui.setControlsEnabled(true);
+    this.ui.focus();
   }
 
-  async _generateResponse(userInput, responseEl) {
-    const formatted = await this.chatEngine.formatPrompt(userInput, this.modelManager.tokenizer);
+  async _generateResponse(userInput, answer) {
+    const { genSeq, responseEl } = answer;
+    const formatted = await this.chatEngine.formatPrompt(userInput, this.modelManager.tokenizer, this.modelManager.currentModelId);
+    if (!this.chatEngine.isCurrentGeneration(genSeq)) return; // Stopped while the prompt was being built
     if (CONFIG.DEBUG) console.log("Full prompt and context:", formatted);
-    const genSeq = ++this.chatEngine._genSeq;
+    const citations = this.chatEngine.promptManager.getLastSelections()?.citations || {};
+    answer.citations = citations;
     let latestText = "";
 
+    // Streamed updates and the final reply get the same clean-up, except sentenceEnd on a cut-off reply
+    const cleanup = {
+      prompt: formatted,
+      systemPrompt: this.chatEngine.currentMessages?.[0]?.content,
+      stopStrings: findModel(MODELS, this.modelManager.currentModelId)?.stopStrings
+    };
+    const postProcess = createPostProcessor(CONFIG.POST_PROCESS, cleanup);
+    let stopStringSeen = false;
+
     let lastScrollTime = 0;
     const scrollThrottle = 100; // ms
 
     const onUpdate = (chunk) => {
-      if (this.chatEngine._genSeq !== genSeq) return;
+      if (!this.chatEngine.isCurrentGeneration(genSeq)) return;
 
       try {
         if (Array.isArray(chunk) && chunk[0]?.generated_text) {
@@ -760,13 +1380,16 @@ class AIChat extends HTMLElement {
           latestText += chunk;
         }
 
-        // Use raw output directly - no sanitization
-        let display = latestText || "";
-        if (formatted && display.startsWith(formatted)) {
-          display = display.slice(formatted.length);
+        // Decoding past a stop string only produces text that gets cut
+        if (!stopStringSeen && reachedStopString(latestText, cleanup)) {
+          stopStringSeen = true;
+          console.log("🛑 Stop string reached, ending generation");
+          this.modelManager.stopGeneration();
         }
-        display = display.replace(/^\s*\.\.\.\s*/, "").trim();
-        this.ui.updateMessage(responseEl, display || "…");
+
+        const display = postProcess(latestText).text;
+        answer.text = display;
+        this.ui.updateMessage(responseEl, display || "…", citations);
 
         // Throttled smooth scrolling during generation
         const now = Date.now();
@@ -782,21 +1405,53 @@ class AIChat extends HTMLElement {
     };
 
 
-    const result = await this.modelManager.generateText(formatted, onUpdate, this.chatEngine.currentParams);
-    if (this.chatEngine._genSeq !== genSeq) return;
+    // One go at the answer with the chat engine's current parameters, cleaned up and scored
+    const attempt = async () => {
+      latestText = "";
+      stopStringSeen = false;
+      const result = await this.modelManager.generateText(formatted, onUpdate, this.chatEngine.currentParams, this.chatEngine.currentMessages);
+      const raw = result?.[0]?.generated_text ?? latestText ?? "";
+      const full = raw || (typeof result?.[0] === "string" ? result[0] : ""); // Not "[object Object]" for an empty answer
+      console.log(`📥 Raw model output: "${full || ""}"`);
+      // Unfinished last sentences are only trimmed once the answer ran into max_new_tokens
+      const { text, applied } = postProcess(full, { truncated: result?.[0]?.finishReason === "length" });
+      if (applied.length > 0) console.log(`✂️ Post-processed (${applied.join(", ")}): "${text}"`);
+      return { raw, full, text, quality: checkOutput(text, CONFIG.QUALITY_GATE) };
+    };
 
-    const raw = result?.[0]?.generated_text ?? latestText ?? "";
-    const full = raw || (result?.[0] ? String(result[0]) : "");
-    // Use raw output directly - no sanitization
-    let reply = full || "";
-    if (formatted && reply.startsWith(formatted)) {
-      reply = reply.slice(formatted.length);
+    let output = await attempt();
+    if (!this.chatEngine.isCurrentGeneration(genSeq)) return;
+
+    // A degenerate answer gets a second try with the conservative preset, then a stronger model is offered
+    const gate = CONFIG.QUALITY_GATE;
+    let offer = null;
+    if (gate.enabled && !output.quality.ok) {
+      const { failures, scores } = output.quality;
+      const retry = { model: this.modelManager.currentModelId, preset: gate.retryPreset, failures, scores, text: output.text };
+      if (__CHAT_DEBUG__.enabled) __CHAT_DEBUG__.retries.push(retry);
+      console.log(`🔁 Degenerate answer (${failures.join(", ")}), retrying with the ${gate.retryPreset} preset`, scores);
+      this.ui.setStatus("Retrying…");
+      this.ui.updateMessage(responseEl, '<span class="thinking-dots"></span>');
+
+      this.chatEngine.currentParams = this.chatEngine.retryParams(gate.retryPreset);
+      const second = await attempt();
+      if (!this.chatEngine.isCurrentGeneration(genSeq)) return;
+
+      Object.assign(retry, { retryFailures: second.quality.failures, retryText: second.text, passed: second.quality.ok, offered: null });
+      if (second.text) output = second; // An empty retry keeps the first answer
+      if (!second.quality.ok) {
+        offer = strongerModel(MODELS, this.modelManager.currentModelId);
+        retry.offered = offer?.id ?? null;
+        console.warn(`⚠️ Retry was degenerate too (${second.quality.failures.join(", ")})${offer ? `, offering ${offer.id}` : ""}`);
+      } else {
+        console.log("✅ Retry passed the quality gate");
+      }
     }
-    reply = reply.replace(/^\s*\.\.\.\s*/, "").trim();
-    console.log(`📥 Raw model output: "${reply}"`);
+    const degenerate = gate.enabled && !output.quality.ok;
+    const { raw, full } = output;
 
     // Finalize the response with a potential promo or quip
-    reply = this.chatEngine.finalizeResponse(reply, userInput);
+    const reply = degenerate ? output.text : this.chatEngine.finalizeResponse(output.text, userInput);
 
     if (CONFIG.DEBUG) {
       console.log("Raw model response:", raw);
@@ -804,10 +1459,34 @@ class AIChat extends HTMLElement {
       console.log("Final reply with potential additions:", reply);
     }
 
-    this.chatEngine.addMessage("assistant", reply);
-    this.ui.updateMessage(responseEl, reply || "(no response)");
+    // Check the cited passage IDs against what was actually in the prompt
+    const citationCheck = findCitations(reply, citations);
+    if (citationCheck.unknown.length > 0) {
+      console.warn("⚠️ Answer cites passages that were not in the prompt:", citationCheck.unknown);
+    }
+    if (__CHAT_DEBUG__.enabled) {
+      __CHAT_DEBUG__.lastCitations = citationCheck;
+    }
+
+    this.chatEngine.addMessage("assistant", reply, {
+      promptTemplate: this.chatEngine.promptManager.getLastSelections()?.template,
+      persona: this.chatEngine.persona.id,
+      citations: citationCheck.cited,
+      ...(degenerate && { degenerate: true })
+    });
+    this.ui.updateMessage(responseEl, reply || "(no response)", citations);
+    if (offer) this.ui.offerModel(responseEl, offer, userInput);
     this.ui.setStatus("");
   }
 }
 
-customElements.define("ai-chat", AIChat);
\ No newline at end of file
+customElements.define("ai-chat", AIChat);
+// Offline support (sw.js); the page tells it about the transformers.js bundle
+if (SITE_CONFIG.offline?.enabled) {
+  registerServiceWorker(SITE_CONFIG.offline.serviceWorkerPath || "sw.js", { precache: [TRANSFORMERS.url] });
+}
+
+export {
+  ChatEngine,
+  UIController
+};
@@ -0,0 +1,44 @@
+// citations.js — passage IDs the model cites in its answers, e.g. "[h1.2]" or "[w1]"
+// The prompt tags each injected passage with its ID; answers are checked against those IDs
+// and rendered as numbered footnote chips.
+
+// [w1], [h1.2], [m14], [projects3]; not markdown links ("[text](url)")
+const CITATION_PATTERN = /\[([A-Za-z][\w-]*?\d+(?:\.\d+)?)\](?!\()/g;
+
+// IDs cited in order of first appearance, split into known and unknown
+function findCitations(text, citations = {}) {
+  const cited = [...new Set([...String(text || "").matchAll(CITATION_PATTERN)].map(match => match[1]))];
+  return {
+    cited,
+    known: cited.filter(id => citations[id]),
+    unknown: cited.filter(id => !citations[id])
+  };
+}
+
+// The citations whose [id] tag is still in the prompt text, once trimming has dropped passages
+function citationsInPrompt(citations = {}, text = "") {
+  const tagged = new Set([...String(text).matchAll(CITATION_PATTERN)].map(match => match[1]));
+  return Object.fromEntries(Object.entries(citations).filter(([id]) => tagged.has(id)));
+}
+
+function escapeAttribute(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+
+// Replace [id] markers in already-escaped HTML with footnote chips numbered by first appearance
+function renderCitationChips(html, citations = {}) {
+  const numbers = new Map();
+  return html.replace(CITATION_PATTERN, (match, id) => {
+    if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+    const citation = citations[id];
+    const title = citation ? citation.title : "Not one of the passages given to the model";
+    return `<button type="button" class="cite${citation ? "" : " unknown"}" data-cite="${escapeAttribute(id)}" title="${escapeAttribute(title)}">${citation ? numbers.get(id) : "?"}</button>`;
+  });
+}
+
+export {
+  CITATION_PATTERN,
+  findCitations,
+  citationsInPrompt,
+  renderCitationChips
+};
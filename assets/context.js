@@ -2,23 +2,143 @@
 // Provides stable, versioned system prompts with deterministic options for reproducibility
 
 import { SITE_CONFIG, SAMPLE_CONTENT } from './site-config.js';
+import { BM25Index } from './retrieval.js';
+import { SemanticIndex, hashPassages } from './embeddings.js';
+import { isJsonResume, fromJsonResume } from './json-resume.js';
+import { validateResume, formatValidationErrors } from './resume-schema.js';
+import { headingLevel, topHeadingLevel, parseChapterHeading, formatChapter, findChapterReference } from './manuscript.js';
+import { clippingsToHighlights } from './kindle-clippings.js';
+import { createRandom, sessionRandom, getSessionSeed, pick, sample } from './random.js';
+import { fillTemplate, templateLayout, assignPromptTemplate } from './prompt-templates.js';
+
+const CONTEXT_VERSION = "2025-10-19.2";
+
+// Built-in prompt templates; SITE_CONFIG.promptTemplates picks one (or A/B tests several)
+// and can add its own. Bump a template's version whenever its wording changes.
+const PROMPT_TEMPLATES = {
+  default: {
+    id: 'default',
+    version: CONTEXT_VERSION,
+    description: 'Factual and concise, with a dash of personality',
+    prompt: `You are an assistant on {name}'s personal site. Answer questions about {name} factually, concisely, and without hype, but feel free to be {personality}.
 
-const CONTEXT_VERSION = "2025-09-14.1";
+Guidelines:
+- Be straightforward and accurate; if unsure, say you don't know
+- Prefer short, clear answers unless more detail is requested{resumeLink}
+- Avoid marketing language or exaggerated claims
+- After anything taken from the material below, cite its ID in square brackets, e.g. [w1] or [h2.3]
+
+{persona}
+
+{resume}
+
+{ideas}`,
+    passages: {
+      header: `Context that may help answer this question:`,
+      footer: `Use this context when it is relevant, and say which chapter a book excerpt comes from; otherwise answer from what you know about {name}.`
+    },
+    ideas: {
+      header: `Some interesting ideas to consider or reference in conversation:`,
+      footer: `You can reference these ideas, ask thought-provoking questions about them, or use them as conversation starters. Be cheeky and engaging!`
+    }
+  },
 
-// Base system prompt - dynamically generated from config
-function createBaseSystemPrompt() {
-  const resumeReference = SITE_CONFIG.resumePdfPath ?
-    `\n- When relevant, you may reference ${SITE_CONFIG.name}'s résumé at ${SITE_CONFIG.resumePdfPath}` : '';
+  conversational: {
+    id: 'conversational',
+    version: '2025-10-19.3',
+    description: 'Warmer tone that leads with the context and ends answers with a question',
+    prompt: `You are chatting with a visitor on {name}'s personal site, on {name}'s behalf. Keep it friendly and {personality}, but stay accurate: only state facts about {name} that appear below, and say so when you don't know. Cite each fact's ID in square brackets, like [w1].
 
-  return `You are an assistant on ${SITE_CONFIG.name}'s personal site. Answer questions about ${SITE_CONFIG.name} factually, concisely, and without hype, but feel free to be ${SITE_CONFIG.personalityTrait}.
+{persona}
 
-Guidelines:
-- Be straightforward and accurate; if unsure, say you don't know
-- Prefer short, clear answers unless more detail is requested${resumeReference}
-- Avoid marketing language or exaggerated claims`;
+{ideas}
+
+{resume}
+
+Answer in two or three sentences, then ask the visitor a short follow-up question.`,
+    passages: {
+      header: `Things {name} has written or highlighted that relate to this question:`,
+      footer: `Draw on these where they fit, and name the chapter when quoting the book.`
+    },
+    ideas: {
+      header: `A few things {name} has been reading and writing about:`,
+      footer: `Bring one of these up if the conversation allows.`
+    }
+  }
+};
+
+// Built-ins plus SITE_CONFIG.promptTemplates.templates; custom templates without their own
+// passages/ideas wording borrow the default's
+function getPromptTemplates() {
+  const custom = SITE_CONFIG.promptTemplates?.templates || [];
+  return {
+    ...PROMPT_TEMPLATES,
+    ...Object.fromEntries(custom.map(template => [template.id, {
+      passages: PROMPT_TEMPLATES.default.passages,
+      ideas: PROMPT_TEMPLATES.default.ideas,
+      ...template
+    }]))
+  };
+}
+
+// Assigned once per page load; A/B assignments are remembered per visitor
+let activeTemplate = null;
+
+function getActivePromptTemplate() {
+  if (!activeTemplate) {
+    const templates = getPromptTemplates();
+    const { id, reason } = assignPromptTemplate(SITE_CONFIG.promptTemplates, {
+      templates,
+      random: createRandom(`${getSessionSeed()}:prompt-template`),
+      storage: globalThis.localStorage ?? null,
+      override: new URLSearchParams(globalThis.location?.search || '').get('template')
+    });
+    activeTemplate = templates[id];
+    console.log(`📝 Prompt template: ${id} v${activeTemplate.version} (${reason})`);
+  }
+  return activeTemplate;
+}
+
+function resolvePromptTemplate(template) {
+  if (!template) return getActivePromptTemplate();
+  if (typeof template === 'string') return getPromptTemplates()[template] || getActivePromptTemplate();
+  return template;
+}
+
+// Personas visitors can switch between (SITE_CONFIG.personas). Without any configured,
+// a single persona is built from personalityTrait.
+function getPersonas() {
+  const configured = SITE_CONFIG.personas?.length ? SITE_CONFIG.personas : [{ id: 'default', name: 'Default' }];
+  const promosEnabled = Boolean(SITE_CONFIG.book && SITE_CONFIG.useBookPromos);
+
+  return configured.map(persona => ({
+    name: persona.id,
+    tone: SITE_CONFIG.personalityTrait,
+    prompt: '',
+    preset: null, // Use the model's recommended preset
+    ...persona,
+    promoChance: promosEnabled ? persona.promoChance ?? 0.2 : 0,
+    quipChance: SITE_CONFIG.useFunnyQuips ? persona.quipChance ?? 0.15 : 0
+  }));
+}
+
+// Persona object, id, or nothing for the configured default
+function resolvePersona(persona) {
+  if (persona && typeof persona === 'object') return persona;
+  const personas = getPersonas();
+  return personas.find(p => p.id === persona) ||
+    personas.find(p => p.id === SITE_CONFIG.defaultPersona) ||
+    personas[0];
 }
 
-const BASE_SYSTEM_PROMPT = createBaseSystemPrompt();
+function templateVars(persona = resolvePersona()) {
+  return {
+    name: SITE_CONFIG.name,
+    personality: persona.tone,
+    resumeLink: SITE_CONFIG.resumePdfPath ?
+      `\n- When relevant, you may reference ${SITE_CONFIG.name}'s résumé at ${SITE_CONFIG.resumePdfPath}` : ''
+  };
+}
 
 // Book info - uses config or null if disabled
 const BOOK_INFO = SITE_CONFIG.book;
@@ -39,92 +159,378 @@ const BOOK_PROMOS = generateBookPromos();
 // Fun quips to add personality - uses config or sample content
 const FUNNY_QUIPS = SITE_CONFIG.useFunnyQuips ? SAMPLE_CONTENT.funnyQuips : [];
 
+// Field checks shared by the résumé source and renderer
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Valid entries of a possibly-missing list
+function listOf(value, predicate = isText) {
+  return Array.isArray(value) ? value.filter(predicate) : [];
+}
+
+const isJob = (job) => isObject(job) && isText(job.role) && isText(job.company);
+
+// Work history as citable passages; the résumé section shows the same IDs
+function workPassages(resumeData) {
+  return listOf(resumeData?.workHistory, isJob).map((job, i) => ({
+    id: `w${i + 1}`,
+    type: 'work',
+    text: `${job.role} at ${job.company}${isText(job.period) ? ` (${job.period})` : ''}${isText(job.description) ? `: ${job.description}` : ''}`,
+    job
+  }));
+}
+
+// Content source types. Each source entry (see SITE_CONFIG.contentSources) picks a type
+// and may override any of these fields:
+// - format: how the file is read, 'json' or 'text'
+// - parse(raw, source): normalize the loaded file
+// - passages(data, source): indexable passages [{ id, type, text }] for retrieval
+// - render(data, source): a fixed prompt section { name, items, header?, footer?, passages? } or null;
+//   `passages` lists the citable passages the section shows
+// - sample(data, options, source): passages for the random fallback
+// - select(data, query, source): passages the visitor asked for by name, e.g. a chapter
+// - renderPassage(passage, source): how one retrieved passage reads in the prompt
+// - renderSample(passage, source): how one random passage reads (defaults to renderPassage)
+// - cite(passage, source): { title, text } shown when a visitor clicks a citation
+// - compile(data, source): JSON-safe form stored in the build's content bundle
+// - restore(compiled, source): turn the bundled form back into what parse returns
+const SOURCE_TYPES = {
+  resume: {
+    format: 'json',
+    // Accept JSON Resume (jsonresume.org) files as well as this site's own format
+    parse: (raw, source) => {
+      let resumeData = raw;
+      if (isJsonResume(raw)) {
+        console.log("📄 Detected JSON Resume format, mapping to site résumé fields");
+        resumeData = fromJsonResume(raw);
+      }
+      return checkResume(resumeData, source);
+    },
+    passages: (resumeData) => workPassages(resumeData),
+    render: renderResumeSection,
+    renderPassage: (passage) => `From ${SITE_CONFIG.name}'s work history:\n${passage.text}`,
+    cite: ({ job }) => ({
+      title: `${job.role} at ${job.company}${isText(job.period) ? ` (${job.period})` : ''}`,
+      text: isText(job.description) ? job.description : ''
+    })
+  },
+
+  highlights: {
+    // highlights.json, or a Kindle "My Clippings.txt" parsed straight in the browser
+    format: 'text',
+    parse: (raw) => (raw.trimStart().startsWith('{') ? JSON.parse(raw) : clippingsToHighlights(raw)),
+    passages: (highlightsData) => (highlightsData?.books || []).flatMap((book, b) =>
+      (book.highlights || [])
+        .map((highlight, h) => highlight?.text && {
+          id: `h${b + 1}.${h + 1}`,
+          type: 'highlight',
+          text: highlight.text,
+          bookTitle: book.title,
+          author: book.author,
+          note: highlight.note || null,
+          page: highlight.page || null,
+          location: highlight.location || null
+        })
+        .filter(Boolean)),
+    sample: (highlightsData, options) => (selectRandomHighlights(highlightsData, options) || [])
+      .map(highlight => ({ ...highlight, type: 'highlight' })),
+    renderPassage: (passage) => {
+      const note = passage.note ? `\n${SITE_CONFIG.name}'s note: ${passage.note}` : '';
+      return `From "${passage.bookTitle}" by ${passage.author}:\n"${passage.text}"${note}`;
+    },
+    cite: (passage) => {
+      const where = passage.page ? `, p. ${passage.page}` : passage.location ? `, loc. ${passage.location}` : '';
+      return {
+        title: `"${passage.bookTitle}" by ${passage.author}${where}`,
+        text: passage.note ? `${passage.text}\n\nNote: ${passage.note}` : passage.text
+      };
+    }
+  },
+
+  manuscript: {
+    format: 'text',
+    // Bundle the paragraphs pre-chunked; chapters are referenced by index so they survive JSON
+    compile: (manuscriptData) => {
+      const { chapters, paragraphs } = parseManuscript(manuscriptData);
+      return { chapters, paragraphs: paragraphs.map(p => ({ text: p.text, chapter: p.chapter ? chapters.indexOf(p.chapter) : null })) };
+    },
+    restore: ({ chapters, paragraphs }) => ({
+      chapters,
+      paragraphs: paragraphs.map(p => ({ text: p.text, chapter: chapters[p.chapter] ?? null }))
+    }),
+    passages: (manuscriptData) => parseManuscript(manuscriptData).paragraphs
+      .map((paragraph, i) => ({ id: `m${i + 1}`, type: 'manuscript', text: paragraph.text, chapter: paragraph.chapter })),
+    sample: (manuscriptData, options) => {
+      const paragraph = pickManuscriptParagraph(manuscriptData, options);
+      if (!paragraph || !SITE_CONFIG.book) return [];
+      const index = parseManuscript(manuscriptData).paragraphs.indexOf(paragraph);
+      return [{ id: `m${index + 1}`, type: 'manuscript', text: paragraph.text, chapter: paragraph.chapter }];
+    },
+    renderSample: (passage) => {
+      const chapter = passage.chapter ? ` (${formatChapter(passage.chapter)})` : '';
+      return `Random excerpt from ${SITE_CONFIG.name}'s book "${SITE_CONFIG.book.title}"${chapter}:\n"${trimToSentences(passage.text)}"`;
+    },
+    // "Tell me about chapter 7" pulls that chapter's opening paragraphs
+    select: (manuscriptData, query, source) => {
+      const chapter = findChapterReference(query, parseManuscript(manuscriptData).chapters);
+      if (!chapter) return [];
+      return source.passages(manuscriptData, source).filter(p => p.chapter === chapter).slice(0, 3);
+    },
+    renderPassage: (passage) => {
+      const book = SITE_CONFIG.book ? `${SITE_CONFIG.name}'s book "${SITE_CONFIG.book.title}"` : `${SITE_CONFIG.name}'s writing`;
+      const chapter = passage.chapter ? `, ${formatChapter(passage.chapter)}` : '';
+      return `From ${book}${chapter}:\n"${trimToSentences(passage.text)}"`;
+    },
+    cite: (passage) => ({
+      title: [SITE_CONFIG.book ? `"${SITE_CONFIG.book.title}"` : `${SITE_CONFIG.name}'s writing`, passage.chapter && formatChapter(passage.chapter)]
+        .filter(Boolean).join(', '),
+      text: passage.text
+    })
+  },
+
+  // JSON array of { title, description, url?, date? } — projects, talks, blog posts
+  list: {
+    format: 'json',
+    passages: (items, source) => (Array.isArray(items) ? items : []).map((item, i) => ({
+      id: `${source.id}${i + 1}`,
+      type: source.id,
+      text: [item.title, item.date && `(${item.date})`, item.description].filter(Boolean).join(' ')
+    })),
+    renderPassage: (passage, source) => `From ${SITE_CONFIG.name}'s ${source.label || source.id}:\n${passage.text}`
+  },
+
+  // JSON array of { question, answer }
+  faq: {
+    format: 'json',
+    passages: (items, source) => (Array.isArray(items) ? items : []).map((item, i) => ({
+      id: `${source.id}${i + 1}`,
+      type: 'faq',
+      text: `Q: ${item.question}\nA: ${item.answer}`
+    })),
+    renderPassage: (passage) => `From the FAQ:\n${passage.text}`
+  }
+};
+
+// Report schema problems with exact field paths; sections with bad fields are skipped when rendering
+function checkResume(resumeData, source) {
+  const { valid, errors } = validateResume(resumeData);
+  if (valid) return resumeData;
+
+  const report = `Résumé at ${source.path} has ${errors.length} problem(s):\n${formatValidationErrors(errors)}`;
+  if (!SITE_CONFIG.gracefulDegradation) throw new Error(report);
+
+  console.warn(`${report}\nContinuing without the affected sections.`);
+  return resumeData;
+}
+
+function resolveSource(entry) {
+  const type = SOURCE_TYPES[entry.type];
+  if (!type && !entry.passages && !entry.render) {
+    console.warn(`Unknown content source type "${entry.type}" for "${entry.id}"; it will be loaded but unused`);
+  }
+
+  return {
+    format: 'json',
+    parse: (raw) => raw,
+    passages: () => [],
+    render: () => null,
+    sample: () => [],
+    select: () => [],
+    renderPassage: (passage) => passage.text,
+    renderSample: (passage, source) => source.renderPassage(passage, source),
+    cite: (passage, source) => ({ title: source.label || source.id, text: passage.text }),
+    compile: (data) => data,
+    restore: (compiled) => compiled,
+    ...type,
+    ...entry
+  };
+}
+
+// Built-in sources keep their original config keys; contentSources entries with the same id replace them
+function getContentSources() {
+  const builtIn = [
+    { id: 'resume', type: 'resume', label: 'Resume', path: SITE_CONFIG.resumeJsonPath },
+    { id: 'highlights', type: 'highlights', label: 'Highlights', path: SITE_CONFIG.highlightsPath },
+    { id: 'manuscript', type: 'manuscript', label: 'Manuscript', path: SITE_CONFIG.manuscriptPath }
+  ];
+  const extra = SITE_CONFIG.contentSources || [];
+
+  return [...builtIn.filter(b => !extra.some(e => e.id === b.id)), ...extra]
+    .filter(entry => entry.path)
+    .map(resolveSource);
+}
+
 // Data loading utilities
+const CONTENT_BUNDLE_FORMAT = "content-bundle.v1";
+
 class DataLoader {
-  constructor() {
-    this.resumeData = null;
-    this.highlightsData = null;
-    this.manuscriptData = null;
+  // fetch is injectable for tests; by default the browser's
+  constructor(sources = getContentSources(), { fetch: fetchFile = (...args) => fetch(...args) } = {}) {
+    this.sources = sources;
+    this.fetch = fetchFile;
+    this.sourceData = new Map();
+    this.retrievalIndex = null;
+    this.passages = [];
+    this.semanticIndex = undefined; // null once we know there is no usable index
+    this.bundle = undefined; // null when there is no content bundle (dev mode)
   }
 
-  async loadResumeData() {
-    if (this.resumeData) return this.resumeData;
-    if (!SITE_CONFIG.resumeJsonPath) return null;
+  getSource(id) {
+    return this.sources.find(source => source.id === id) || null;
+  }
+
+  // Content bundle written by scripts/build.js; without one every source is fetched raw
+  async loadBundle() {
+    if (this.bundle !== undefined) return this.bundle;
+    this.bundle = null;
+
+    const bundlePath = SITE_CONFIG.contentBundle?.path;
+    if (!SITE_CONFIG.contentBundle?.enabled || !bundlePath) return null;
 
     try {
-      const response = await fetch(SITE_CONFIG.resumeJsonPath);
-      if (!response.ok) {
-        if (SITE_CONFIG.gracefulDegradation) {
-          console.warn(`Resume not found at ${SITE_CONFIG.resumeJsonPath}, continuing without it`);
-          return null;
-        }
-        throw new Error(`Failed to fetch resume: ${response.statusText}`);
+      const resp = await this.fetch(bundlePath);
+      if (!resp.ok) {
+        console.log(`📦 No content bundle at ${bundlePath}, loading raw content files`);
+        return null;
       }
 
-      this.resumeData = await response.json();
-      return this.resumeData;
+      const bundle = await resp.json();
+      if (bundle.format !== CONTENT_BUNDLE_FORMAT) {
+        console.warn(`Content bundle format "${bundle.format}" is not supported; rebuild with \`npm run build\``);
+        return null;
+      }
+
+      this.bundle = bundle;
+      console.log(`📦 Loaded content bundle ${bundle.contentHash} (${Object.keys(bundle.sources).length} sources, built ${bundle.builtAt})`);
     } catch (error) {
-      console.warn("Could not load resume data:", error);
-      return null;
+      console.warn("Could not load content bundle:", error);
     }
+    return this.bundle;
   }
 
-  async loadHighlightsData() {
-    if (this.highlightsData) return this.highlightsData;
-    if (!SITE_CONFIG.highlightsPath) return null;
+  // Shared fetch + graceful degradation for every source; only successful loads are cached
+  async loadSource(source) {
+    if (!source) return null;
+    if (this.sourceData.has(source.id)) return this.sourceData.get(source.id);
+
+    const bundled = (await this.loadBundle())?.sources[source.id];
+    if (bundled) {
+      const data = source.restore(bundled.data, source);
+      this.sourceData.set(source.id, data);
+      return data;
+    }
 
     try {
-      const resp = await fetch(SITE_CONFIG.highlightsPath);
+      const resp = await this.fetch(source.path);
       if (!resp.ok) {
         if (SITE_CONFIG.gracefulDegradation) {
-          console.warn(`Highlights not found at ${SITE_CONFIG.highlightsPath}, continuing without them`);
+          console.warn(`${source.label || source.id} not found at ${source.path}, continuing without it`);
           return null;
         }
-        throw new Error(`Failed to fetch highlights: ${resp.statusText}`);
+        throw new Error(`Failed to fetch ${source.id}: ${resp.statusText}`);
       }
-      this.highlightsData = await resp.json();
-      return this.highlightsData;
+      const raw = source.format === 'text' ? await resp.text() : await resp.json();
+      const data = source.parse(raw, source);
+      this.sourceData.set(source.id, data);
+      return data;
     } catch (error) {
-      console.warn("Could not load highlights data:", error);
+      // Without gracefulDegradation a source that can't be loaded or parsed (an invalid résumé)
+      // rejects the load; with it, the prompt is built without that source
+      if (!SITE_CONFIG.gracefulDegradation) throw error;
+      console.warn(`Could not load ${source.id} data:`, error);
       return null;
     }
   }
 
+  // [{ source, data }] for every source that loaded
+  async loadAllSources() {
+    const loaded = await Promise.all(this.sources.map(async source => ({
+      source,
+      data: await this.loadSource(source)
+    })));
+    return loaded.filter(({ data }) => data != null);
+  }
+
+  async loadResumeData() {
+    return this.loadSource(this.getSource('resume'));
+  }
+
+  async loadHighlightsData() {
+    return this.loadSource(this.getSource('highlights'));
+  }
+
   async loadManuscriptData() {
-    if (this.manuscriptData) return this.manuscriptData;
-    if (!SITE_CONFIG.manuscriptPath) return null;
+    return this.loadSource(this.getSource('manuscript'));
+  }
+
+  // Index every passage once; later calls reuse the same index
+  async loadRetrievalIndex() {
+    if (this.retrievalIndex) return this.retrievalIndex;
+
+    // The bundle's passages are already flattened, as long as it covers every configured source
+    const bundle = await this.loadBundle();
+    this.passages = bundle && this.sources.every(source => bundle.sources[source.id])
+      ? bundle.passages
+      : collectPassages(await this.loadAllSources());
+    this.retrievalIndex = new BM25Index().addAll(this.passages);
+    console.log(`🔎 Indexed ${this.passages.length} passages for retrieval`);
+    return this.retrievalIndex;
+  }
+
+  // Precomputed embedding index written by scripts/build.js
+  async loadSemanticIndex() {
+    if (this.semanticIndex !== undefined) return this.semanticIndex;
+    this.semanticIndex = null;
+
+    const indexPath = SITE_CONFIG.semanticSearch?.indexPath;
+    if (!SITE_CONFIG.semanticSearch?.enabled || !indexPath) return null;
 
     try {
-      const resp = await fetch(SITE_CONFIG.manuscriptPath);
+      const resp = await this.fetch(indexPath);
       if (!resp.ok) {
-        if (SITE_CONFIG.gracefulDegradation) {
-          console.warn(`Manuscript not found at ${SITE_CONFIG.manuscriptPath}, continuing without it`);
-          return null;
-        }
-        throw new Error(`Failed to fetch manuscript: ${resp.statusText}`);
+        console.warn(`Embedding index not found at ${indexPath}, using keyword retrieval only`);
+        return null;
       }
-      this.manuscriptData = await resp.text();
-      return this.manuscriptData;
+
+      const index = SemanticIndex.fromJSON(await resp.json());
+      await this.loadRetrievalIndex();
+      if (index.contentHash !== hashPassages(this.passages)) {
+        console.warn("Embedding index was built from different content; rebuild with `npm run build`");
+        return null;
+      }
+
+      this.semanticIndex = index;
+      console.log(`🧭 Loaded embedding index (${index.size} vectors, ${index.model})`);
     } catch (error) {
-      console.warn("Could not load manuscript data:", error);
-      return null;
+      console.warn("Could not load embedding index:", error);
     }
+    return this.semanticIndex;
   }
 }
 
-// Selection utilities with deterministic option support
+// Selection utilities with deterministic option support:
+// an explicit seed (or randomize: false) gives a fresh generator per call, otherwise the session generator is used
+function randomFor(options = {}) {
+  if (options.seed !== undefined || options.randomize === false) {
+    return createRandom(options.seed || 0);
+  }
+  return options.random || sessionRandom;
+}
+
 function selectRandomHighlights(highlightsData, options = {}) {
   if (!highlightsData?.books) return null;
 
   // Collect all highlights from all books
   const allHighlights = [];
-  highlightsData.books.forEach(book => {
+  highlightsData.books.forEach((book, b) => {
     if (book.highlights) {
-      book.highlights.forEach(highlight => {
+      book.highlights.forEach((highlight, h) => {
         allHighlights.push({
+          id: `h${b + 1}.${h + 1}`, // Same IDs as the highlights passages, for citations
           text: highlight.text,
           bookTitle: book.title,
-          author: book.author
+          author: book.author,
+          note: highlight.note || null
         });
       });
     }
@@ -132,170 +538,345 @@ function selectRandomHighlights(highlightsData, options = {}) {
 
   if (allHighlights.length < 1) return null;
 
-  // Deterministic selection if seed provided or randomize disabled
-  if (options.seed !== undefined || options.randomize === false) {
-    const seed = options.seed || 0;
-    const selected = [];
-    const count = Math.min(3, allHighlights.length);
-
-    for (let i = 0; i < count; i++) {
-      const index = (seed + i * 17) % allHighlights.length; // Simple deterministic selection
-      if (!selected.find(h => h === allHighlights[index])) {
-        selected.push(allHighlights[index]);
-      }
-    }
-    return selected;
-  }
+  return sample(randomFor(options), allHighlights, 3);
+}
 
-  // Random selection (default behavior)
-  const selected = [];
-  const usedIndices = new Set();
+// Body paragraphs only: skip headers, front matter and section breaks
+function isManuscriptParagraph(p) {
+  return p.length > 100 && // At least a few sentences
+    !p.startsWith('Chapter ') && // Skip chapter headers
+    !p.startsWith('Copyright') && // Skip copyright
+    !p.startsWith('ISBN') && // Skip publishing info
+    !p.match(/^[0-9\s]+$/) && // Skip page numbers
+    !p.startsWith('Robo-Excerpt') && // Skip section headers
+    !p.includes('[ ||| ]'); // Skip section breaks
+}
 
-  while (selected.length < 3 && selected.length < allHighlights.length) {
-    const randomIndex = Math.floor(Math.random() * allHighlights.length);
-    if (!usedIndices.has(randomIndex)) {
-      selected.push(allHighlights[randomIndex]);
-      usedIndices.add(randomIndex);
-    }
-  }
+// Parsing is cached for the most recent manuscript text since every turn reuses it
+let parsedManuscript = { text: null, result: null };
 
-  return selected;
-}
+// Paragraphs tagged with the chapter they appear in, plus the list of chapters
+function parseManuscript(manuscriptData) {
+  if (!manuscriptData) return { chapters: [], paragraphs: [] };
+  if (typeof manuscriptData !== 'string') return manuscriptData; // Already parsed (content bundle)
+  if (parsedManuscript.text === manuscriptData) return parsedManuscript.result;
 
-function selectRandomManuscriptChunk(manuscriptData, options = {}) {
-  if (!manuscriptData) return null;
+  const chapters = [];
+  const paragraphs = [];
+  const chapterLevel = topHeadingLevel(manuscriptData);
+  let chapter = null;
 
-  // Split manuscript into paragraphs, filter out empty lines and headers
-  const paragraphs = manuscriptData
+  manuscriptData
+    .replace(/\r\n/g, '\n')
     .split('\n\n')
     .map(p => p.trim())
-    .filter(p => p.length > 100 && // At least a few sentences
-      !p.startsWith('Chapter ') && // Skip chapter headers
-      !p.startsWith('Copyright') && // Skip copyright
-      !p.startsWith('ISBN') && // Skip publishing info
-      !p.match(/^[0-9\s]+$/) && // Skip page numbers
-      !p.startsWith('Robo-Excerpt') && // Skip section headers
-      !p.includes('[ ||| ]')); // Skip section breaks
+    .forEach(block => {
+      const [firstLine, ...rest] = block.split('\n');
+      const heading = parseChapterHeading(firstLine, { standalone: rest.length === 0, chapterLevel });
+      if (heading) {
+        chapter = heading;
+        chapters.push(chapter);
+      }
+      // Section headings inside a chapter are dropped, keeping the chapter
+      if (heading || headingLevel(firstLine)) block = rest.join('\n').trim();
+      if (isManuscriptParagraph(block)) paragraphs.push({ text: block, chapter });
+    });
 
-  if (paragraphs.length === 0) return null;
+  parsedManuscript = { text: manuscriptData, result: { chapters, paragraphs } };
+  return parsedManuscript.result;
+}
 
-  let selectedIndex;
+// Split manuscript into paragraphs, filter out empty lines and headers
+function splitManuscriptParagraphs(manuscriptData) {
+  return parseManuscript(manuscriptData).paragraphs.map(p => p.text);
+}
 
-  // Deterministic selection if seed provided or randomize disabled
-  if (options.seed !== undefined || options.randomize === false) {
-    const seed = options.seed || 0;
-    selectedIndex = seed % paragraphs.length;
-  } else {
-    selectedIndex = Math.floor(Math.random() * paragraphs.length);
-  }
+// Shorten a long paragraph to its first few sentences
+function trimToSentences(chunk) {
+  if (chunk.length <= 300) return chunk.trim();
+
+  const sentences = chunk.split(/[.!?]+/);
+  const numSentences = Math.min(3, Math.max(1, Math.floor(sentences.length * 0.4)));
+  return (sentences.slice(0, numSentences).join('.') + '.').trim();
+}
 
-  let chunk = paragraphs[selectedIndex];
+function pickManuscriptParagraph(manuscriptData, options = {}) {
+  const { paragraphs } = parseManuscript(manuscriptData);
+  if (paragraphs.length === 0) return null;
+
+  return pick(randomFor(options), paragraphs);
+}
+
+function selectRandomManuscriptChunk(manuscriptData, options = {}) {
+  const paragraph = pickManuscriptParagraph(manuscriptData, options);
 
   // If chunk is too long, truncate to a reasonable length (a few sentences)
-  if (chunk.length > 300) {
-    const sentences = chunk.split(/[.!?]+/);
-    const numSentences = Math.min(3, Math.max(1, Math.floor(sentences.length * 0.4)));
-    chunk = sentences.slice(0, numSentences).join('.') + '.';
-  }
+  return paragraph ? trimToSentences(paragraph.text) : null;
+}
 
-  return chunk.trim();
+// Flatten every loaded source into indexable passages tagged with their source id
+function collectPassages(loadedSources) {
+  return loadedSources.flatMap(({ source, data }) =>
+    source.passages(data, source).map(passage => ({ ...passage, source: source.id })));
 }
 
-function selectRandomPromo(options = {}) {
-  if (options.seed !== undefined || options.randomize === false) {
-    const seed = options.seed || 0;
-    return BOOK_PROMOS[seed % BOOK_PROMOS.length];
-  }
-  return BOOK_PROMOS[Math.floor(Math.random() * BOOK_PROMOS.length)];
+// Rank passages against the visitor's message; null means nothing scored well enough
+function selectRelevantPassages(index, query, options = {}) {
+  if (!index || !query) return null;
+
+  const retrieval = SITE_CONFIG.retrieval || {};
+  const results = index.search(query, {
+    topK: options.topK ?? retrieval.topK ?? 4,
+    minScore: options.minScore ?? retrieval.minScore ?? 0
+  });
+
+  return results.length > 0 ? results : null;
 }
 
-function selectRandomQuip(options = {}) {
-  if (options.seed !== undefined || options.randomize === false) {
-    const seed = options.seed || 0;
-    return FUNNY_QUIPS[seed % FUNNY_QUIPS.length];
+// Nearest neighbours of the embedded query; embedQuery(text, modelId) comes from the chat component
+async function selectSemanticPassages(dataLoader, query, embedQuery, options = {}) {
+  if (!embedQuery || !query) return null;
+
+  const index = await dataLoader.loadSemanticIndex();
+  if (!index) return null;
+
+  try {
+    const semantic = SITE_CONFIG.semanticSearch || {};
+    const vector = await embedQuery(query, index.model);
+    const byId = new Map(dataLoader.passages.map(p => [p.id, p]));
+    const results = index.search(vector, {
+      topK: options.topK ?? semantic.topK ?? 4,
+      minScore: semantic.minScore ?? 0
+    })
+      .filter(({ id }) => byId.has(id))
+      .map(({ id, score }) => ({ passage: byId.get(id), score }));
+
+    return results.length > 0 ? results : null;
+  } catch (error) {
+    console.warn("Semantic search failed, using keyword retrieval only:", error);
+    return null;
   }
-  return FUNNY_QUIPS[Math.floor(Math.random() * FUNNY_QUIPS.length)];
 }
 
-// Main system prompt builder
-async function buildSystemPrompt(options = {}) {
-  const dataLoader = options.dataLoader || new DataLoader();
+// Reciprocal rank fusion of keyword and semantic results
+function fuseRankings(rankings, topK) {
+  const present = rankings.filter(Boolean);
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
 
-  // Load data sources
-  const [resumeData, highlightsData, manuscriptData] = await Promise.all([
-    dataLoader.loadResumeData(),
-    dataLoader.loadHighlightsData(),
-    dataLoader.loadManuscriptData()
-  ]);
+  const fused = new Map();
+  present.forEach(results => results.forEach(({ passage }, rank) => {
+    const entry = fused.get(passage.id) || { passage, score: 0 };
+    entry.score += 1 / (60 + rank + 1);
+    fused.set(passage.id, entry);
+  }));
 
-  let prompt = BASE_SYSTEM_PROMPT;
+  return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, topK);
+}
 
-  // Add resume data if available
-  if (resumeData) {
-    const { name, currentRole, experience, summary, technicalSkills, workHistory, education, publications, background } = resumeData;
+function renderPassage(passage, sources, renderer = 'renderPassage') {
+  const source = sources.find(s => s.id === passage.source);
+  return source ? source[renderer](passage, source) : passage.text;
+}
 
-    prompt += `
+// { [id]: { id, source, type, title, text } } for the passages injected into the prompt
+function describeCitations(passages, sources) {
+  return Object.fromEntries(passages.map(passage => {
+    const source = sources.find(s => s.id === passage.source);
+    const { title, text } = source ? source.cite(passage, source) : { title: passage.source, text: passage.text };
+    return [passage.id, { id: passage.id, source: passage.source, type: passage.type, title, text }];
+  }));
+}
 
-About ${name}:
-- Current Role: ${currentRole}
-- Experience: ${experience} in ${summary.toLowerCase()}
-- Background: ${background}
+function selectRandomPromo(options = {}) {
+  return pick(randomFor(options), BOOK_PROMOS);
+}
 
-Technical Skills:
-${technicalSkills.slice(0, 12).join(", ")} (and more)
+function selectRandomQuip(options = {}) {
+  return pick(randomFor(options), FUNNY_QUIPS);
+}
 
-Recent Work Experience:
-${workHistory.slice(0, 3).map(job => `- ${job.role} at ${job.company} (${job.period}): ${job.description}`).join('\n')}
+// Join sections into one prompt; a section with no items left is omitted entirely
+function renderSections(sections) {
+  return sections
+    .filter(section => section.items.length > 0)
+    .map(section => [section.header, ...section.items, section.footer].filter(Boolean).join('\n\n'))
+    .join('\n\n');
+}
 
-Education:
-${education.join('\n')}
+// Résumé block; each part is skipped when its fields are missing or malformed,
+// and later items are the first to go when the prompt is trimmed
+function renderResumeSection(resumeData) {
+  if (!isObject(resumeData)) return null;
+
+  const { name, currentRole, experience, summary, contact, technicalSkills, education, publications, background } = resumeData;
+  const items = [];
+
+  const experienceLine = [isText(experience) && experience, isText(summary) && summary.toLowerCase()]
+    .filter(Boolean)
+    .join(' in ');
+  const about = [
+    isText(currentRole) && `- Current Role: ${currentRole}`,
+    experienceLine && `- Experience: ${experienceLine}`,
+    isText(background) && `- Background: ${background}`,
+    isText(contact) && `- Contact: ${contact}`
+  ].filter(Boolean);
+  if (about.length > 0) {
+    items.push(`About ${isText(name) ? name : SITE_CONFIG.name}:\n${about.join('\n')}`);
+  }
 
-Publications & Books:
-${publications.join('\n')}
+  const skills = listOf(technicalSkills);
+  if (skills.length > 0) {
+    items.push(`Technical Skills:
+${skills.slice(0, 12).join(", ")}${skills.length > 12 ? " (and more)" : ""}`);
+  }
 
-Key Expertise Areas:
-${SITE_CONFIG.expertiseAreas.map(area => `- ${area}`).join('\n')}`;
+  const jobs = workPassages(resumeData).slice(0, 3);
+  if (jobs.length > 0) {
+    items.push(`Recent Work Experience:
+${jobs.map(({ id, job }) => `- [${id}] ${job.role} at ${job.company}${isText(job.period) ? ` (${job.period})` : ''}${isText(job.description) ? `: ${job.description}` : ''}`).join('\n')}`);
   }
 
-  // Add random highlights and manuscript chunks for context and conversation starters
-  const randomHighlights = selectRandomHighlights(highlightsData, options);
-  const randomManuscriptChunk = selectRandomManuscriptChunk(manuscriptData, options);
+  const schools = listOf(education);
+  if (schools.length > 0) {
+    items.push(`Education:
+${schools.join('\n')}`);
+  }
 
-  if ((randomHighlights && randomHighlights.length > 0) || randomManuscriptChunk) {
-    prompt += `\n\nSome interesting ideas to consider or reference in conversation:`;
+  const works = listOf(publications);
+  if (works.length > 0) {
+    items.push(`Publications & Books:
+${works.join('\n')}`);
+  }
 
-    let itemIndex = 1;
+  const areas = listOf(SITE_CONFIG.expertiseAreas);
+  if (areas.length > 0) {
+    items.push(`Key Expertise Areas:
+${areas.map(area => `- ${area}`).join('\n')}`);
+  }
 
-    // Add highlights
-    if (randomHighlights && randomHighlights.length > 0) {
-      randomHighlights.forEach((highlight) => {
-        prompt += `\n\n${itemIndex}. From "${highlight.bookTitle}" by ${highlight.author}:\n"${highlight.text}"`;
-        itemIndex++;
-      });
-    }
+  return items.length > 0 ? { name: 'resume', items, passages: jobs } : null;
+}
 
-    // Add manuscript chunk
-    if (randomManuscriptChunk && SITE_CONFIG.book) {
-      prompt += `\n\n${itemIndex}. Random excerpt from ${SITE_CONFIG.name}'s book "${SITE_CONFIG.book.title}":\n"${randomManuscriptChunk}"`;
+// System prompt as named sections ({ name, header, items, footer }) so callers can trim by priority.
+// The prompt template decides the wording and where the résumé and ideas go.
+async function buildSystemPromptSections(options = {}) {
+  const dataLoader = options.dataLoader || new DataLoader();
+  const template = resolvePromptTemplate(options.template);
+  const persona = resolvePersona(options.persona);
+  const vars = templateVars(persona);
+
+  // Load every content source in parallel
+  const loaded = await dataLoader.loadAllSources();
+
+  // Fixed sections such as the résumé, plus the citable passages they show
+  const fixed = [];
+  const cited = [];
+  loaded.forEach(({ source, data }) => {
+    let section;
+    try {
+      section = source.render(data, source);
+    } catch (error) {
+      if (!SITE_CONFIG.gracefulDegradation) throw error;
+      console.warn(`Could not render ${source.id} data, leaving it out of the prompt:`, error);
+      return;
     }
+    if (!section) return;
+    const { passages = [], ...rest } = section;
+    fixed.push({ name: source.id, ...rest });
+    cited.push(...passages.map(passage => ({ ...passage, source: source.id })));
+  });
 
-    prompt += `\n\nYou can reference these ideas, ask thought-provoking questions about them, or use them as conversation starters. Be cheeky and engaging!`;
+  // Prefer passages relevant to the visitor's message when a query is given
+  const trace = options.trace || {};
+  trace.template = { id: template.id, version: template.version };
+  trace.persona = persona.id;
+  const useRetrieval = options.query && SITE_CONFIG.retrieval?.enabled !== false;
+  const requested = options.query
+    ? loaded.flatMap(({ source, data }) => source.select(data, options.query, source)
+      .map(passage => ({ passage: { ...passage, source: source.id }, score: Infinity })))
+    : [];
+  const ranked = useRetrieval
+    ? fuseRankings([
+      selectRelevantPassages(await dataLoader.loadRetrievalIndex(), options.query, options),
+      await selectSemanticPassages(dataLoader, options.query, options.embedQuery, options)
+    ], options.topK ?? SITE_CONFIG.retrieval?.topK ?? 4)
+    : null;
+
+  // Passages asked for by name (e.g. "chapter 7") come first, then ranked ones
+  const relevant = requested.length > 0
+    ? [...requested, ...(ranked || []).filter(r => !requested.some(q => q.passage.id === r.passage.id))]
+      .slice(0, Math.max(requested.length, options.topK ?? SITE_CONFIG.retrieval?.topK ?? 4))
+    : ranked;
+
+  let ideas;
+  if (relevant) {
+    trace.mode = 'retrieval';
+    trace.passages = relevant.map(({ passage, score }) => ({ id: passage.id, type: passage.type, score }));
+
+    cited.push(...relevant.map(({ passage }) => passage));
+    ideas = {
+      name: 'passages',
+      header: fillTemplate(template.passages.header, vars),
+      items: relevant.map(({ passage }) => `[${passage.id}] ${renderPassage(passage, dataLoader.sources)}`),
+      footer: fillTemplate(template.passages.footer, vars)
+    };
+  } else {
+    // Fall back to random highlights and manuscript chunks for context and conversation starters
+    trace.mode = 'random';
+    const sampled = loaded.flatMap(({ source, data }) => source.sample(data, options, source)
+      .map(passage => ({ ...passage, source: source.id })));
+    cited.push(...sampled);
+    ideas = {
+      name: 'passages',
+      header: fillTemplate(template.ideas.header, vars),
+      items: sampled.map(passage => `[${passage.id}] ${renderPassage(passage, dataLoader.sources, 'renderSample')}`),
+      footer: fillTemplate(template.ideas.footer, vars)
+    };
   }
 
-  return prompt;
+  // What each [id] in an answer refers to, for the footnote chips
+  trace.citations = describeCitations(cited, dataLoader.sources);
+
+  const slots = {
+    persona: persona.prompt ? [{ name: 'persona', items: [fillTemplate(persona.prompt, vars)] }] : [],
+    resume: fixed,
+    ideas: [ideas]
+  };
+  return templateLayout(template.prompt).flatMap(part =>
+    part.slot ? slots[part.slot] : [{ name: 'base', items: [fillTemplate(part.text, vars)] }]);
+}
+
+// Main system prompt builder
+async function buildSystemPrompt(options = {}) {
+  return renderSections(await buildSystemPromptSections(options));
 }
 
 // Export all public APIs
 export {
   CONTEXT_VERSION,
-  BASE_SYSTEM_PROMPT,
+  PROMPT_TEMPLATES,
+  getPromptTemplates,
+  getActivePromptTemplate,
+  getPersonas,
+  resolvePersona,
   BOOK_INFO,
   BOOK_PROMOS,
   FUNNY_QUIPS,
+  SOURCE_TYPES,
+  getContentSources,
+  CONTENT_BUNDLE_FORMAT,
   DataLoader,
   selectRandomHighlights,
   selectRandomManuscriptChunk,
+  parseManuscript,
+  splitManuscriptParagraphs,
+  collectPassages,
+  selectRelevantPassages,
+  selectSemanticPassages,
   selectRandomPromo,
   selectRandomQuip,
+  renderSections,
+  buildSystemPromptSections,
   buildSystemPrompt
 };
\ No newline at end of file
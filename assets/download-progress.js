@@ -0,0 +1,74 @@
+// download-progress.js — adds up transformers.js per-file progress events into one download
+// Events look like { status: "initiate" | "download" | "progress" | "done", name, file, loaded?, total? };
+// "ready" events (no file) are ignored.
+
+function createDownloadTracker(now = () => Date.now()) {
+  const files = new Map();
+  let startedAt = null;
+
+  function snapshot() {
+    let loaded = 0;
+    let total = 0;
+    let done = 0;
+    for (const file of files.values()) {
+      loaded += file.loaded;
+      total += file.total;
+      if (file.done) done++;
+    }
+
+    // Totals grow as more files start, so the percentage can step back briefly
+    const elapsed = startedAt === null ? 0 : (now() - startedAt) / 1000;
+    const rate = elapsed > 0 ? loaded / elapsed : 0;
+    return {
+      loaded,
+      total,
+      percent: total > 0 ? Math.min(100, (loaded / total) * 100) : null,
+      etaSeconds: rate > 0 && total > loaded ? (total - loaded) / rate : null,
+      files: files.size,
+      filesDone: done
+    };
+  }
+
+  function update(event) {
+    if (!event?.file) return null;
+
+    const key = `${event.name}/${event.file}`;
+    const file = files.get(key) || { loaded: 0, total: 0, done: false };
+    if (event.status === "progress") {
+      startedAt ??= now();
+      file.loaded = event.loaded ?? file.loaded;
+      file.total = Math.max(event.total ?? 0, file.loaded);
+    } else if (event.status === "done") {
+      file.done = true;
+      file.loaded = file.total = Math.max(file.loaded, file.total);
+    }
+    files.set(key, file);
+    return snapshot();
+  }
+
+  return { update, snapshot };
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(2)} GB` : `${(bytes / 1e6).toFixed(1)} MB`;
+}
+
+function formatEta(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) return "";
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s left`;
+  return `${Math.round(seconds / 60)} min left`;
+}
+
+// "45.2 MB of 270.0 MB (17%) · 2 min left"
+function formatProgress({ loaded, total, percent, etaSeconds }) {
+  if (!total) return loaded > 0 ? formatBytes(loaded) : "Starting download…";
+  const eta = formatEta(etaSeconds);
+  return `${formatBytes(loaded)} of ${formatBytes(total)} (${Math.floor(percent)}%)${eta ? ` · ${eta}` : ""}`;
+}
+
+export {
+  createDownloadTracker,
+  formatBytes,
+  formatEta,
+  formatProgress
+};
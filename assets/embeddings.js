@@ -0,0 +1,117 @@
+// embeddings.js — compact dense vector index shared by the build script and the browser
+// Vectors are L2-normalized at build time and stored as base64 int8, so cosine is a dot product
+
+const INDEX_FORMAT = "int8-base64.v1";
+
+// FNV-1a over passage ids and texts; lets the runtime ignore an index built from stale content
+function hashPassages(passages) {
+  let hash = 0x811c9dc5;
+  for (const passage of passages) {
+    const text = `${passage.id}\u0000${passage.text}\u0000`;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+function encodeInt8(vectors, dim) {
+  const bytes = new Int8Array(vectors.length * dim);
+  vectors.forEach((vector, row) => {
+    const unit = normalize(vector);
+    for (let i = 0; i < dim; i++) {
+      bytes[row * dim + i] = Math.max(-127, Math.min(127, Math.round(unit[i] * 127)));
+    }
+  });
+
+  let binary = "";
+  const raw = new Uint8Array(bytes.buffer);
+  for (let i = 0; i < raw.length; i++) binary += String.fromCharCode(raw[i]);
+  return btoa(binary);
+}
+
+function decodeInt8(base64) {
+  const binary = atob(base64);
+  const raw = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) raw[i] = binary.charCodeAt(i);
+  return new Int8Array(raw.buffer);
+}
+
+// Serialize passages + their vectors into the JSON written to dist/
+function createIndexJSON(passages, vectors, model) {
+  const dim = vectors[0]?.length || 0;
+  return {
+    format: INDEX_FORMAT,
+    model,
+    dim,
+    contentHash: hashPassages(passages),
+    ids: passages.map(p => p.id),
+    vectors: encodeInt8(vectors, dim)
+  };
+}
+
+class SemanticIndex {
+  constructor({ model, dim, contentHash, ids, vectors }) {
+    this.model = model;
+    this.dim = dim;
+    this.contentHash = contentHash;
+    this.ids = ids;
+    this.vectors = vectors;
+  }
+
+  static fromJSON(json) {
+    if (json?.format !== INDEX_FORMAT) {
+      throw new Error(`Unsupported embedding index format: ${json?.format}`);
+    }
+    return new SemanticIndex({ ...json, vectors: decodeInt8(json.vectors) });
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  // Returns [{ id, score }] by cosine similarity, best first
+  search(queryVector, options = {}) {
+    const topK = options.topK ?? 4;
+    const minScore = options.minScore ?? 0;
+    const query = normalize(queryVector);
+    if (query.length !== this.dim) return [];
+
+    const results = [];
+    for (let row = 0; row < this.ids.length; row++) {
+      let dot = 0;
+      const offset = row * this.dim;
+      for (let i = 0; i < this.dim; i++) dot += query[i] * this.vectors[offset + i];
+      const score = dot / 127;
+      if (score > minScore) results.push({ id: this.ids[row], score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+// Embed a list of texts with a transformers.js feature-extraction pipeline
+async function embedTexts(extractor, texts) {
+  const vectors = [];
+  for (const text of texts) {
+    const output = await extractor(text, { pooling: "mean", normalize: true });
+    vectors.push(Float32Array.from(output.data));
+  }
+  return vectors;
+}
+
+export {
+  INDEX_FORMAT,
+  hashPassages,
+  createIndexJSON,
+  embedTexts,
+  SemanticIndex
+};
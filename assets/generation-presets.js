@@ -0,0 +1,91 @@
+// generation-presets.js — named generation presets and the answer lengths visitors can pick
+// A preset fixes the sampling parameters for every answer; jitter (± amounts per parameter)
+// varies them a little around those values, drawn from the seeded session generator.
+
+const PRESETS = {
+  precise: {
+    TEMPERATURE: 0.3,
+    TOP_P: 0.85,
+    TOP_K: 15,
+    REPETITION_PENALTY: 1.1,
+    MAX_NEW_TOKENS: 150
+  },
+  balanced: {
+    TEMPERATURE: 0.7,
+    TOP_P: 0.9,
+    TOP_K: 20,
+    REPETITION_PENALTY: 1.08,
+    MAX_NEW_TOKENS: 150,
+    jitter: { TEMPERATURE: 0.05 }
+  },
+  playful: {
+    TEMPERATURE: 1.1,
+    TOP_P: 0.95,
+    TOP_K: 25,
+    REPETITION_PENALTY: 1.05,
+    MAX_NEW_TOKENS: 180,
+    jitter: { TEMPERATURE: 0.15, TOP_K: 5 }
+  }
+};
+
+const DEFAULT_PRESET = "balanced";
+
+// Shared by every preset unless it sets its own
+const PRESET_BASE = {
+  HISTORY_LIMIT: 8,
+  MAX_CONTEXT_LENGTH: 1000
+};
+
+// Answer length picks -> MAX_NEW_TOKENS
+const LENGTHS = {
+  short: 60,
+  medium: 150,
+  long: 280
+};
+
+const INTEGER_PARAMS = ["TOP_K", "MAX_NEW_TOKENS", "HISTORY_LIMIT", "MAX_CONTEXT_LENGTH"];
+const LIMITS = { TEMPERATURE: [0, 2], TOP_P: [0.05, 1], TOP_K: [1, Infinity], REPETITION_PENALTY: [1, 2] };
+
+// Unknown or missing names fall back to the default preset
+function resolvePresetName(name) {
+  if (!name) return DEFAULT_PRESET;
+  if (PRESETS[name]) return name;
+  console.warn(`Unknown generation preset "${name}", using "${DEFAULT_PRESET}"`);
+  return DEFAULT_PRESET;
+}
+
+// The visitor's creativity pick, then the persona's preset (how that persona should sound),
+// then the model's for personas without one
+function choosePreset({ creativity = null, model = null, persona = null } = {}) {
+  return resolvePresetName(creativity || persona?.preset || model?.preset);
+}
+
+// Parameters for one answer; length ("short", "medium", "long") overrides the preset's MAX_NEW_TOKENS
+function presetValues(name, { random = Math.random, length = null } = {}) {
+  const { jitter = {}, ...preset } = PRESETS[resolvePresetName(name)];
+  const values = { ...PRESET_BASE, ...preset };
+
+  for (const [key, amount] of Object.entries(jitter)) {
+    let value = values[key] + (random() * 2 - 1) * amount;
+    if (INTEGER_PARAMS.includes(key)) value = Math.round(value);
+    const [min, max] = LIMITS[key] || [-Infinity, Infinity];
+    values[key] = Math.min(max, Math.max(min, value));
+  }
+
+  return withLength(values, length);
+}
+
+function withLength(values, length) {
+  return LENGTHS[length] ? { ...values, MAX_NEW_TOKENS: LENGTHS[length] } : values;
+}
+
+export {
+  PRESETS,
+  DEFAULT_PRESET,
+  PRESET_BASE,
+  LENGTHS,
+  resolvePresetName,
+  choosePreset,
+  presetValues,
+  withLength
+};
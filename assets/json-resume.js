@@ -0,0 +1,124 @@
+// json-resume.js — adapter from the JSON Resume schema (jsonresume.org) to this site's résumé shape
+// No dependencies so the build script and the browser share the same mapping
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// JSON Resume files have a `basics` object; this site's own format has `workHistory` instead
+function isJsonResume(data) {
+  return Boolean(data && typeof data.basics === "object" && !Array.isArray(data.workHistory));
+}
+
+// "2020-03-01" -> "Mar 2020", "2020" -> "2020"
+function formatDate(date) {
+  if (!date) return "";
+  const [year, month] = String(date).split("-");
+  const monthName = MONTHS[Number(month) - 1];
+  return monthName ? `${monthName} ${year}` : year;
+}
+
+function formatPeriod(startDate, endDate) {
+  const start = formatDate(startDate);
+  const end = endDate ? formatDate(endDate) : "Present";
+  return start ? `${start} - ${end}` : end;
+}
+
+function yearsSince(date, now = new Date()) {
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) return null;
+  return Math.max(1, Math.floor((now - start) / (365.25 * 24 * 60 * 60 * 1000)));
+}
+
+function joinSentences(parts) {
+  return parts
+    .filter(Boolean)
+    .map(part => String(part).trim())
+    .map(part => (/[.!?]$/.test(part) ? part : `${part}.`))
+    .join(" ");
+}
+
+function toJob(entry, { company, role }) {
+  return {
+    company,
+    role,
+    period: formatPeriod(entry.startDate, entry.endDate),
+    description: joinSentences([entry.summary, ...(entry.highlights || []), entry.url && `More at ${entry.url}`]),
+    startDate: entry.startDate || null,
+    endDate: entry.endDate || null,
+    url: entry.url || null,
+    highlights: entry.highlights || []
+  };
+}
+
+// "English (Native speaker)", "Chess (openings, endgames)"
+function withDetail(name, detail) {
+  return detail ? `${name} (${detail})` : name;
+}
+
+// Mapped: basics (name, label, email, phone, url, summary, location, profiles), work, volunteer,
+// education, skills (a level is added to skills without keywords), publications, awards, projects,
+// certificates, languages and interests. Ignored: basics.image, references and meta.
+function fromJsonResume(resume, now = new Date()) {
+  const basics = resume.basics || {};
+  const work = (resume.work || []).map(job => toJob(job, { company: job.name || job.company, role: job.position }));
+  // Entries without a position read "Volunteer at <organization>"; without an organization they're skipped
+  const volunteer = (resume.volunteer || [])
+    .filter(v => {
+      if (v.organization) return true;
+      if (v.position) console.warn(`Skipping volunteer entry "${v.position}" without an organization`);
+      return false;
+    })
+    .map(v => toJob(v, { company: v.organization, role: v.position ? `${v.position} (volunteer)` : "Volunteer" }));
+  const workHistory = [...work, ...volunteer];
+
+  const current = work.find(job => !job.endDate) || work[0];
+  const earliestStart = work.map(job => job.startDate).filter(Boolean).sort()[0];
+  const years = earliestStart ? yearsSince(earliestStart, now) : null;
+
+  const skills = resume.skills || [];
+  const technicalSkills = [...new Set(skills.flatMap(skill =>
+    skill.keywords?.length ? skill.keywords : [skill.name && withDetail(skill.name, skill.level)]).filter(Boolean))];
+  const languages = (resume.languages || []).filter(l => l.language).map(l => withDetail(l.language, l.fluency));
+  const interests = (resume.interests || []).filter(i => i.name).map(i => withDetail(i.name, i.keywords?.join(", ")));
+
+  const profiles = (basics.profiles || []).map(p => p.url || `${p.network}: ${p.username}`);
+  const location = basics.location ? [basics.location.city, basics.location.region, basics.location.countryCode].filter(Boolean).join(", ") : "";
+
+  return {
+    name: basics.name || "",
+    currentRole: current ? `${current.role} at ${current.company} (${current.period})` : basics.label || "",
+    experience: years ? `${years} Years Experience` : "",
+    summary: skills.map(skill => skill.name).filter(Boolean).slice(0, 3).join(", ") || basics.label || "",
+    contact: [basics.email, basics.phone, basics.url, ...profiles].filter(Boolean).join(" • "),
+    technicalSkills,
+    workHistory,
+    education: (resume.education || []).map(edu => {
+      const degree = [edu.studyType, edu.area].filter(Boolean).join(", ");
+      const period = edu.startDate ? ` (${formatPeriod(edu.startDate, edu.endDate)})` : edu.endDate ? ` (${formatDate(edu.endDate)})` : "";
+      const score = edu.score ? `; score: ${edu.score}` : "";
+      const courses = edu.courses?.length ? `; courses: ${edu.courses.join(", ")}` : "";
+      return `${degree || "Studies"} - ${edu.institution}${period}${score}${courses}${edu.url ? ` ${edu.url}` : ""}`;
+    }),
+    publications: [
+      ...(resume.publications || []).map(pub =>
+        `${pub.name}${pub.publisher ? ` - ${pub.publisher}` : ""}${pub.releaseDate ? ` (${formatDate(pub.releaseDate)})` : ""}${pub.url ? ` ${pub.url}` : ""}`),
+      ...(resume.awards || []).map(award =>
+        `Award: ${award.title}${award.awarder ? ` from ${award.awarder}` : ""}${award.date ? ` (${formatDate(award.date)})` : ""}`),
+      ...(resume.projects || []).map(project =>
+        `Project: ${project.name}${project.description ? ` - ${project.description}` : ""}${project.url ? ` ${project.url}` : ""}`),
+      ...(resume.certificates || []).map(cert =>
+        `Certificate: ${cert.name}${cert.issuer ? ` from ${cert.issuer}` : ""}${cert.date ? ` (${formatDate(cert.date)})` : ""}${cert.url ? ` ${cert.url}` : ""}`)
+    ],
+    background: joinSentences([
+      basics.summary,
+      location && `Based in ${location}`,
+      languages.length && `Languages: ${languages.join(", ")}`,
+      interests.length && `Interests: ${interests.join("; ")}`
+    ])
+  };
+}
+
+export {
+  isJsonResume,
+  formatDate,
+  fromJsonResume
+};
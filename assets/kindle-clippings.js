@@ -0,0 +1,145 @@
+// kindle-clippings.js — parser for the Kindle "My Clippings.txt" file
+// Produces the { books: [{ title, author, highlights }] } shape used for highlights.json.
+// No dependencies so `npm run import:clippings` and the browser share it.
+
+const SEPARATOR = /^=+\s*$/m;
+
+// "Book Title (Subtitle) (Last, First)" -> { title, author }; the last parenthesized group is the author
+function parseTitleLine(line) {
+  const text = line.replace(/^\uFEFF/, "").trim();
+  const match = text.match(/^(.*)\(([^()]*)\)\s*$/);
+  if (!match || !match[1].trim()) return { title: text, author: "Unknown" };
+
+  // Kindle often stores authors as "Last, First"
+  const author = match[2].trim();
+  const parts = author.split(/,\s*/);
+  const normalized = parts.length === 2 && !author.includes(";") ? `${parts[1]} ${parts[0]}` : author;
+  return { title: match[1].trim(), author: normalized };
+}
+
+// "180-82" -> { start: 180, end: 182 }
+function parseLocation(value) {
+  if (!value) return null;
+  const [startText, endText] = value.split("-");
+  const start = Number(startText);
+  if (!Number.isFinite(start)) return null;
+  if (!endText) return { start, end: start };
+
+  let end = Number(endText);
+  if (end < start) {
+    const prefix = startText.slice(0, startText.length - endText.length);
+    end = Number(prefix + endText);
+  }
+  return { start, end };
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// "Monday, March 4, 2019 10:15:30 PM" -> "2019-03-04 22:15"; unknown formats are kept as-is
+function parseAddedDate(value) {
+  if (!value) return null;
+  const withoutWeekday = value.replace(/^[A-Za-z]+,\s*/, "");
+  const date = new Date(withoutWeekday);
+  if (Number.isNaN(date.getTime())) return value.trim();
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// "- Your Highlight on page 12 | Location 180-182 | Added on ..." -> { kind, page, location, date }
+function parseMetaLine(line) {
+  const kindMatch = line.match(/^-\s*(?:Your\s+)?(Highlight|Note|Bookmark|Clip)/i);
+  const pageMatch = line.match(/\bpage\s+([\w-]+)/i);
+  const locationMatch = line.match(/\b(?:Location|Loc\.)\s+([\d-]+)/i);
+  const dateMatch = line.match(/Added on\s+(.+)$/i);
+
+  return {
+    kind: kindMatch ? kindMatch[1].toLowerCase() : "highlight",
+    page: pageMatch ? pageMatch[1] : null,
+    location: parseLocation(locationMatch?.[1]),
+    date: parseAddedDate(dateMatch?.[1])
+  };
+}
+
+// Every clipping as { title, author, kind, page, location, date, text }
+function parseClippings(text) {
+  return String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split(SEPARATOR)
+    .map(entry => entry.trim().split("\n"))
+    .filter(lines => lines.length >= 2)
+    .map(([titleLine, metaLine, ...body]) => ({
+      ...parseTitleLine(titleLine),
+      ...parseMetaLine(metaLine),
+      text: body.join("\n").trim()
+    }));
+}
+
+function overlaps(a, b) {
+  if (!a.location || !b.location) return false;
+  return a.location.start <= b.location.end && b.location.start <= a.location.end;
+}
+
+// Re-highlighting a passage leaves both versions in the file; keep the longest
+function dedupeHighlights(highlights) {
+  const kept = [];
+  for (const highlight of highlights) {
+    const duplicate = kept.findIndex(other =>
+      other.text === highlight.text ||
+      (overlaps(other, highlight) && (other.text.includes(highlight.text) || highlight.text.includes(other.text))));
+
+    if (duplicate === -1) kept.push(highlight);
+    else if (highlight.text.length >= kept[duplicate].text.length) kept[duplicate] = highlight;
+  }
+  return kept;
+}
+
+function formatLocation(location) {
+  if (!location) return null;
+  return location.start === location.end ? String(location.start) : `${location.start}-${location.end}`;
+}
+
+function toHighlight(clipping) {
+  const highlight = { text: clipping.text };
+  const location = formatLocation(clipping.location);
+  if (location) highlight.location = location;
+  if (clipping.page) highlight.page = clipping.page;
+  if (clipping.date) highlight.date = clipping.date;
+  if (clipping.note) highlight.note = clipping.note;
+  if (clipping.kind === "note") highlight.isNote = true;
+  return highlight;
+}
+
+// Group by book, attach notes to the highlight they were written on, drop duplicates and bookmarks
+function clippingsToHighlights(text) {
+  const books = new Map();
+
+  parseClippings(text)
+    .filter(clipping => clipping.text && clipping.kind !== "bookmark")
+    .forEach(clipping => {
+      const key = `${clipping.title}\u0000${clipping.author}`;
+      if (!books.has(key)) books.set(key, { title: clipping.title, author: clipping.author, highlights: [], notes: [] });
+      const book = books.get(key);
+      (clipping.kind === "note" ? book.notes : book.highlights).push(clipping);
+    });
+
+  return {
+    books: [...books.values()].map(({ title, author, highlights, notes }) => {
+      const kept = dedupeHighlights(highlights);
+      const orphans = [];
+
+      notes.forEach(note => {
+        const target = note.location && kept.find(h => h.location && note.location.start >= h.location.start && note.location.start <= h.location.end);
+        if (target) target.note = target.note ? `${target.note}\n${note.text}` : note.text;
+        else orphans.push(note);
+      });
+
+      return { title, author, highlights: [...kept, ...orphans].map(toHighlight) };
+    }).filter(book => book.highlights.length > 0)
+  };
+}
+
+export {
+  parseClippings,
+  clippingsToHighlights
+};
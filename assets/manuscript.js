@@ -0,0 +1,104 @@
+// manuscript.js — chapter headings and chapter references for the manuscript source
+// Understands "Chapter 7: The AI Revolution", "CHAPTER SEVEN", "Chapter VII — Title",
+// Markdown headings ("## 7. The AI Revolution") and bare numbered headings ("7. The AI Revolution").
+// Other Markdown headings only count at the manuscript's top heading level, so "### Scene break"
+// inside a "## Chapter 7" stays in chapter 7.
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50
+};
+
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+function romanToNumber(token) {
+  if (!/^[ivxlc]+$/i.test(token)) return null;
+  const digits = token.toLowerCase().split("").map(c => ROMAN[c]);
+  return digits.reduce((total, value, i) => total + (value < (digits[i + 1] || 0) ? -value : value), 0);
+}
+
+// "7", "VII", "seven", "twenty-one" -> 7, 7, 7, 21
+function parseNumber(token) {
+  const text = String(token).toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (NUMBER_WORDS[text]) return NUMBER_WORDS[text];
+
+  const [tens, ones] = text.split("-");
+  if (ones && NUMBER_WORDS[tens] >= 20 && NUMBER_WORDS[ones] < 10) return NUMBER_WORDS[tens] + NUMBER_WORDS[ones];
+  return romanToNumber(text);
+}
+
+const CHAPTER_HEADING = /^(?:#{1,6}\s*)?chapter\s+([0-9]+|[a-z]+(?:-[a-z]+)?)\s*(?:[:.\-–—]\s*(.*))?$/i;
+const MARKDOWN_HEADING = /^#{1,6}\s+(.+?)\s*#*$/;
+const NUMBERED_TITLE = /^(\d{1,3})[.):]\s+(\S.*)$/;
+const MAX_HEADING_LENGTH = 100;
+
+// Level of a Markdown heading line ("## Title" -> 2), or 0 for other lines
+function headingLevel(line) {
+  const text = String(line || "").trim();
+  return MARKDOWN_HEADING.test(text) ? text.match(/^#+/)[0].length : 0;
+}
+
+// Smallest Markdown heading level used in the text, or 0 without Markdown headings
+function topHeadingLevel(text) {
+  const levels = String(text || "").split("\n").map(headingLevel).filter(Boolean);
+  return levels.length > 0 ? Math.min(...levels) : 0;
+}
+
+// { number, title } for a heading line, or null. Bare "7. Title" lines only count when standalone;
+// Markdown headings deeper than chapterLevel only count when they name a chapter.
+function parseChapterHeading(line, { standalone = false, chapterLevel = 6 } = {}) {
+  const text = String(line || "").trim();
+  if (!text || text.length > MAX_HEADING_LENGTH) return null;
+
+  const chapter = text.match(CHAPTER_HEADING);
+  if (chapter) {
+    const number = parseNumber(chapter[1]);
+    if (number !== null) return { number, title: chapter[2]?.trim() || null };
+  }
+
+  const markdown = text.match(MARKDOWN_HEADING);
+  if (markdown) {
+    const numbered = markdown[1].match(NUMBERED_TITLE);
+    if (numbered) return { number: Number(numbered[1]), title: numbered[2].trim() };
+    return headingLevel(text) <= chapterLevel ? { number: null, title: markdown[1].trim() } : null;
+  }
+
+  const numbered = standalone && !/[.!?,;]$/.test(text) && text.match(NUMBERED_TITLE);
+  if (numbered) return { number: Number(numbered[1]), title: numbered[2].trim() };
+
+  return null;
+}
+
+// "Chapter 7: The AI Revolution", "Chapter 7" or "\"Prologue\""
+function formatChapter(chapter) {
+  if (!chapter) return "";
+  if (chapter.number !== null && chapter.title) return `Chapter ${chapter.number}: ${chapter.title}`;
+  if (chapter.number !== null) return `Chapter ${chapter.number}`;
+  return `"${chapter.title}"`;
+}
+
+// Chapter a visitor asks about, by number ("chapter 7", "chapter seven") or by title
+function findChapterReference(query, chapters) {
+  const text = String(query || "").toLowerCase();
+  const byNumber = text.match(/\bchapter\s+([0-9]+|[a-z]+(?:-[a-z]+)?)\b/);
+  if (byNumber) {
+    const number = parseNumber(byNumber[1]);
+    const match = chapters.find(chapter => chapter.number === number);
+    if (match) return match;
+  }
+
+  return chapters
+    .filter(chapter => chapter.title && chapter.title.length > 3)
+    .find(chapter => text.includes(chapter.title.toLowerCase())) || null;
+}
+
+export {
+  parseNumber,
+  headingLevel,
+  topHeadingLevel,
+  parseChapterHeading,
+  formatChapter,
+  findChapterReference
+};
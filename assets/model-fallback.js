@@ -0,0 +1,74 @@
+// model-fallback.js — which model to try next when one fails to load, and which models
+// already failed in this browser (kept in localStorage so later visits skip them)
+import { selectableModels, findModel, defaultModel } from './models.js';
+
+const FAILED_MODELS_KEY = "failedModels";
+
+// Failures that will happen again in this browser. Anything else (a dropped connection, a
+// timeout) is worth retrying on the next visit.
+const REMEMBERED_REASONS = ["out of memory", "not supported in this browser"];
+
+// Short reason for the chat and the failure record
+function failureReason(error) {
+  const message = String(error?.message || error || "");
+  if (/out of memory|\boom\b|bad_alloc|allocation failed|failed to allocate|memory access out of bounds/i.test(message)) return "out of memory";
+  if (/dtype|unsupported|not supported|no available backend|webgpu/i.test(message)) return "not supported in this browser";
+  if (/fetch|network|could not locate file|\b40[34]\b|\b5\d\d\b|timed? ?out|answered/i.test(message)) return "network error";
+  return "load error";
+}
+
+// { [modelId]: { reason, at } } for failures newer than maxAgeDays
+function readFailures(storage = globalThis.localStorage, { maxAgeDays = 7, now = Date.now() } = {}) {
+  let failures = {};
+  try {
+    failures = JSON.parse(storage?.getItem(FAILED_MODELS_KEY) || "{}") || {};
+  } catch { }
+  return Object.fromEntries(Object.entries(failures).filter(([, failure]) => now - failure.at < maxAgeDays * 86400000));
+}
+
+function writeFailures(storage, failures) {
+  try {
+    storage?.setItem(FAILED_MODELS_KEY, JSON.stringify(failures));
+  } catch { }
+}
+
+// Resolves the reason either way; only capability failures are stored
+function recordFailure(modelId, error, storage = globalThis.localStorage, now = Date.now()) {
+  const failure = { reason: failureReason(error), at: now };
+  if (!REMEMBERED_REASONS.includes(failure.reason)) return failure;
+  writeFailures(storage, { ...readFailures(storage, { maxAgeDays: Infinity }), [modelId]: failure });
+  return failure;
+}
+
+// A model that loads after all is no longer skipped
+function clearFailure(modelId, storage = globalThis.localStorage) {
+  const failures = readFailures(storage, { maxAgeDays: Infinity });
+  if (!failures[modelId]) return;
+  delete failures[modelId];
+  writeFailures(storage, failures);
+}
+
+// Models to try in order: picked (or the default model), then chain (or every stable model in
+// registry order). Models in failed are skipped unless picked, or unless that would leave none.
+function fallbackChain(models, { picked = null, chain = [], failed = {} } = {}) {
+  const offered = selectableModels(models);
+  const rest = chain?.length > 0 ? chain : offered.filter(model => model.status === "stable").map(model => model.id);
+  for (const id of rest) {
+    if (!findModel(offered, id)) console.warn(`Fallback model "${id}" is not in the model picker, skipping it`);
+  }
+
+  const candidates = [...new Set([picked || defaultModel(models)?.id, ...rest])]
+    .map(id => findModel(offered, id))
+    .filter(Boolean);
+  const usable = candidates.filter(model => model.id === picked || !failed[model.id]);
+  return usable.length > 0 ? usable : candidates;
+}
+
+export {
+  FAILED_MODELS_KEY,
+  failureReason,
+  readFailures,
+  recordFailure,
+  clearFailure,
+  fallbackChain
+};
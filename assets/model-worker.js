@@ -0,0 +1,83 @@
+// model-worker.js — module Worker that runs TransformersBackend off the main thread
+// Requests (main -> worker), each with a numeric id:
+//   init { url, env }, load { modelId, model, hfToken }, activate { loadId }, discard { loadId },
+//   generate { prompt, options, seed }, resetCache {}, embed { text, modelId, dtype },
+//   cancel { id of a load or generate }
+// Replies (worker -> main), tagged with the request id:
+//   progress { event } while loading or embedding, token { text } while generating, then done { result } or error { message, cancelled }
+import { TransformersBackend } from './transformers-backend.js';
+
+let backend = null;
+const loaded = new Map(); // load id -> loaded model waiting for activate or discard
+const loads = new Set(); // load ids still downloading
+let generating = null; // id of the generate in progress
+
+const post = (message) => self.postMessage(message);
+const NO_REPLY = new Set(["init", "cancel"]);
+
+const handlers = {
+  init({ url, env }) {
+    backend = new TransformersBackend({ url, env, seedSampling: true });
+  },
+
+  async load({ id, modelId, model, hfToken }) {
+    loads.add(id);
+    try {
+      const result = await backend.load(modelId, model, {
+        hfToken,
+        onProgress: (event) => post({ type: "progress", id, event })
+      });
+      loaded.set(id, result);
+      return { device: result.device, fallback: result.fallback };
+    } finally {
+      loads.delete(id);
+    }
+  },
+
+  async activate({ loadId }) {
+    await backend.activate(loaded.get(loadId));
+    loaded.delete(loadId);
+  },
+
+  async discard({ loadId }) {
+    await backend.discard(loaded.get(loadId));
+    loaded.delete(loadId);
+  },
+
+  async generate({ id, prompt, options, seed }) {
+    generating = id;
+    try {
+      return await backend.generate(prompt, options, {
+        seed,
+        onToken: (text) => post({ type: "token", id, text })
+      });
+    } finally {
+      if (generating === id) generating = null;
+    }
+  },
+
+  resetCache() {
+    backend.resetCache();
+  },
+
+  embed({ id, text, modelId, dtype }) {
+    return backend.embed(text, modelId, dtype, {
+      onProgress: (event) => post({ type: "progress", id, event })
+    });
+  },
+
+  cancel({ id }) {
+    if (loads.has(id)) backend.cancelLoad();
+    else if (generating === id) backend.stopGeneration();
+  }
+};
+
+self.addEventListener("message", async ({ data }) => {
+  const { type, id } = data;
+  try {
+    const result = await handlers[type](data);
+    if (!NO_REPLY.has(type)) post({ type: "done", id, result });
+  } catch (error) {
+    post({ type: "error", id, message: String(error?.message || error), cancelled: Boolean(error?.cancelled) });
+  }
+});
@@ -0,0 +1,110 @@
+// models.js — the model registry (assets/models.json): what the model picker offers and how each model loads
+// An entry is { id, label, status, backend, sizeMB, contextWindow, dtypes, devices, chatTemplate, preset, notes }.
+// Only id is required; see MODEL_DEFAULTS for the rest.
+
+const MODEL_STATUSES = ["stable", "experimental", "broken"];
+
+const MODEL_DEFAULTS = {
+  status: "experimental",
+  backend: "transformers", // "openai": the chatServer from site-config.js (see openai-backend.js)
+  sizeMB: null,          // Approximate download for the first dtype
+  contextWindow: null,   // Tokens; null means only MAX_CONTEXT_LENGTH limits the prompt
+  dtypes: ["q4"],        // Tried in order, then the model's own default
+  devices: ["webgpu", "cpu"],
+  chatTemplate: true,    // false: skip apply_chat_template and use the plain-text format
+  preset: null,          // Generation preset (generation-presets.js); used for personas without one
+  stopStrings: [],       // Extra strings that end the answer, on top of the chat template's (post-process.js)
+  notes: ""
+};
+
+function normalizeModel(entry) {
+  const model = { ...MODEL_DEFAULTS, label: entry.id, ...entry };
+  if (!MODEL_STATUSES.includes(model.status)) {
+    console.warn(`Model "${model.id}" has unknown status "${model.status}", treating it as experimental`);
+    model.status = "experimental";
+  }
+  return model;
+}
+
+// { models: [...] } or a bare array; entries without an id are dropped and later duplicates win
+function normalizeRegistry(registry) {
+  const entries = Array.isArray(registry) ? registry : registry?.models || [];
+  const byId = new Map();
+  for (const entry of entries) {
+    if (!entry?.id) {
+      console.warn("Skipping model registry entry without an id:", entry);
+      continue;
+    }
+    byId.set(entry.id, normalizeModel(entry));
+  }
+  return [...byId.values()];
+}
+
+// Broken models stay in the registry for reference but are never offered
+function selectableModels(models) {
+  return models.filter(model => model.status !== "broken");
+}
+
+function findModel(models, id) {
+  return models.find(model => model.id === id) || null;
+}
+
+// First stable model, else the first one that isn't broken
+function defaultModel(models) {
+  const selectable = selectableModels(models);
+  return selectable.find(model => model.status === "stable") || selectable[0] || null;
+}
+
+// What to offer when a model's answers are degenerate: the chat server, else the smallest stable
+// model that is bigger than the current one
+function strongerModel(models, currentId) {
+  const current = findModel(models, currentId);
+  const candidates = selectableModels(models).filter(model => model.status === "stable" && model.id !== currentId);
+  const server = candidates.find(model => model.backend === "openai");
+  if (server) return server;
+  if (current?.backend === "openai") return null;
+  return candidates
+    .filter(model => (model.sizeMB || 0) > (current?.sizeMB || 0))
+    .sort((a, b) => a.sizeMB - b.sizeMB)[0] || null;
+}
+
+// Picker text, e.g. "SmolLM2 360M (Recommended) · ~270 MB", with " · 💾 offline" once it's cached
+// and " · 🌐 server" for the chat server's model
+function modelLabel(model, { offline = false } = {}) {
+  const size = model.sizeMB ? ` · ~${model.sizeMB >= 1000 ? `${(model.sizeMB / 1000).toFixed(1)} GB` : `${model.sizeMB} MB`}` : "";
+  const where = model.backend === "openai" ? " · 🌐 server" : offline ? " · 💾 offline" : "";
+  return `${model.status === "experimental" ? "🧪 " : ""}${model.label}${size}${where}`;
+}
+
+// "webgpu" when the browser has it and the model supports it; undefined lets transformers.js use WASM
+function modelDevice(model, hasWebGPU) {
+  if (!hasWebGPU) return undefined;
+  return !model || model.devices.includes("webgpu") ? "webgpu" : undefined;
+}
+
+async function loadModelRegistry(path) {
+  try {
+    const resp = await fetch(path);
+    if (!resp.ok) throw new Error(resp.statusText || `HTTP ${resp.status}`);
+    const models = normalizeRegistry(await resp.json());
+    console.log(`🧠 Model registry: ${selectableModels(models).length} of ${models.length} models selectable`);
+    return models;
+  } catch (error) {
+    console.error(`Could not load the model registry from ${path}:`, error);
+    return [];
+  }
+}
+
+export {
+  MODEL_STATUSES,
+  MODEL_DEFAULTS,
+  normalizeModel,
+  normalizeRegistry,
+  selectableModels,
+  findModel,
+  defaultModel,
+  strongerModel,
+  modelLabel,
+  modelDevice,
+  loadModelRegistry
+};
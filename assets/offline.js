@@ -0,0 +1,73 @@
+// offline.js — service worker registration and which models work without a network
+
+// transformers.js stores downloaded model files in this Cache Storage (MODEL_CACHE in sw.js)
+const MODEL_CACHE = "transformers-cache";
+const REQUIRED_FILES = ["config.json", "tokenizer.json"];
+
+// Registers in the background; precache lists cross-origin URLs the service worker can't know about
+function registerServiceWorker(path, { precache = [] } = {}) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.register(path)
+    .then(() => navigator.serviceWorker.ready)
+    .then((registration) => {
+      registration.active?.postMessage({ type: "precache", urls: precache });
+      console.log("📴 Service worker ready, the site keeps working offline");
+    })
+    .catch((error) => console.warn("Could not register the service worker:", error));
+}
+
+// Weight file suffix per dtype, as transformers.js names them (onnx/model_q4.onnx)
+const DTYPE_SUFFIXES = { fp32: "", fp16: "_fp16", int8: "_int8", uint8: "_uint8", q8: "_quantized", q4: "_q4", q4f16: "_q4f16", bnb4: "_bnb4" };
+// What transformers.js picks without a dtype: q8 on WASM, fp32 on WebGPU
+const DEFAULT_DTYPES = ["q8", "fp32"];
+
+// The weight files loading a registry entry can request, one per dtype it tries
+function weightFiles(model) {
+  const dtypes = model.dtypes?.length > 0 ? model.dtypes : DEFAULT_DTYPES;
+  return dtypes.filter(dtype => dtype in DTYPE_SUFFIXES).map(dtype => `onnx/model${DTYPE_SUFFIXES[dtype]}.onnx`);
+}
+
+// A model works offline once its config, tokenizer and the ONNX weights for one of its registry
+// dtypes are all cached; weights for another dtype don't help.
+// urls are cache keys like https://huggingface.co/<model>/resolve/main/onnx/model_q4.onnx,
+// or <localModelPath><org>/<model>/onnx/model_q4.onnx for self-hosted models
+function cachedModelIds(urls, models, localModelPath = null) {
+  const files = new Map(); // model id -> cached file paths
+  for (const url of urls) {
+    const match = localModelPath && url.startsWith(localModelPath)
+      ? /^([^/]+\/[^/]+)\/(.+)$/.exec(url.slice(localModelPath.length))
+      :/^\/(.+?)\/resolve\/[^/]+\/(.+)$/.exec(new URL(url).pathname);
+    if (!match) continue;
+    const [, modelId, file] = match;
+    if (!files.has(modelId)) files.set(modelId, new Set());
+    files.get(modelId).add(decodeURIComponent(file));
+  }
+
+  const ids = new Set();
+  for (const model of models) {
+    const cached = files.get(model.id);
+    if (!cached) continue;
+    const hasWeights = weightFiles(model).some(file => cached.has(file));
+    if (hasWeights && REQUIRED_FILES.every(file => cached.has(file))) ids.add(model.id);
+  }
+  return ids;
+}
+
+async function offlineModelIds(models, localModelPath = null) {
+  try {
+    if (typeof caches === "undefined" || !(await caches.has(MODEL_CACHE))) return new Set();
+    const keys = await (await caches.open(MODEL_CACHE)).keys();
+    return cachedModelIds(keys.map(request => request.url), models, localModelPath);
+  } catch (error) {
+    console.warn("Could not read the model cache:", error);
+    return new Set();
+  }
+}
+
+export {
+  MODEL_CACHE,
+  registerServiceWorker,
+  cachedModelIds,
+  offlineModelIds
+};
@@ -0,0 +1,168 @@
+// openai-backend.js — streams answers from an OpenAI-compatible /v1/chat/completions server
+// (llama.cpp, Ollama, vLLM…) with the same interface as TransformersBackend
+
+// Registry entry for the server's model, offered in the picker next to the in-browser ones
+function serverModel(config) {
+  if (!config?.enabled || !config.baseURL || !config.model) return null;
+  return {
+    id: `server:${config.model}`,
+    label: config.label || config.model,
+    status: "stable",
+    backend: "openai",
+    contextWindow: config.contextWindow ?? null,
+    devices: [],
+    dtypes: [],
+    notes: `Runs on ${config.baseURL}`
+  };
+}
+
+// transformers.js generation options -> chat completion request body
+function chatCompletionRequest(model, messages, options, seed) {
+  return {
+    model,
+    messages,
+    stream: true,
+    max_tokens: options.max_new_tokens,
+    temperature: options.do_sample === false ? 0 : options.temperature,
+    top_p: options.top_p,
+    top_k: options.top_k, // Not part of OpenAI's API; llama.cpp and vLLM use it, others ignore it
+    seed
+  };
+}
+
+// Server-sent events arrive in arbitrary chunks; onEvent gets each parsed `data:` payload.
+// Pass end = true with the last chunk so a final line without a newline isn't lost.
+function createEventStreamParser(onEvent) {
+  let buffer = "";
+  return (chunk, end = false) => {
+    buffer += chunk;
+    const lines = buffer.split("\n");
+    buffer = end ? "" : lines.pop();
+    for (const line of lines) {
+      const data = /^data:\s?(.*)$/.exec(line.replace(/\r$/, ""))?.[1];
+      if (data === undefined || data === "[DONE]") continue;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        console.warn("Skipping malformed server event:", data);
+        continue;
+      }
+      onEvent(event);
+    }
+  };
+}
+
+class OpenAIBackend {
+  // config: chatServer from site-config.js
+  constructor({ baseURL, model, apiKey = null }) {
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.model = model;
+    this.apiKey = apiKey;
+    this._loading = null; // AbortController of the connection check in progress
+    this._generating = null; // AbortController of the request in progress
+  }
+
+  async _fetch(path, { body = null, signal } = {}) {
+    const headers = {
+      ...(body && { "Content-Type": "application/json" }),
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+    };
+    const response = await fetch(`${this.baseURL}${path}`, { method: body ? "POST" : "GET", headers, body, signal });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`${this.baseURL}${path} answered ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ""}`);
+    }
+    return response;
+  }
+
+  // Nothing to download; asking for the model list makes a wrong URL, key or CORS setup fail here
+  async load(modelId) {
+    const controller = new AbortController();
+    this._loading = controller;
+    try {
+      await this._fetch("/models", { signal: controller.signal });
+      console.log(`🌐 Chat server ready: ${this.model} at ${this.baseURL}`);
+      return { modelId, device: "server", fallback: false };
+    } catch (error) {
+      if (!controller.signal.aborted) throw error;
+      const cancelled = new Error("Model load cancelled");
+      cancelled.cancelled = true;
+      throw cancelled;
+    } finally {
+      if (this._loading === controller) this._loading = null;
+    }
+  }
+
+  cancelLoad() {
+    this._loading?.abort();
+  }
+
+  async activate() { }
+
+  async discard() { }
+
+  // Sends the chat messages rather than the rendered prompt, so the server applies its own
+  // chat template. onToken receives text as it streams; Stop resolves with the text so far.
+  // finishReason is the server's ("length" when max_tokens cut the answer off).
+  async generate(prompt, options, { seed = 0, onToken = null, messages = null } = {}) {
+    const controller = new AbortController();
+    this._generating = controller;
+    let text = "";
+    let finishReason = "stop";
+    let reader = null;
+    const append = (delta) => {
+      if (!delta) return;
+      text += delta;
+      onToken?.(delta);
+    };
+
+    try {
+      const body = chatCompletionRequest(this.model, messages || [{ role: "user", content: prompt }], options, seed);
+      const response = await this._fetch("/chat/completions", { body: JSON.stringify(body), signal: controller.signal });
+
+      // Servers that ignore stream: true answer with a single completion
+      if (!response.body || !/text\/event-stream/.test(response.headers.get("content-type") || "")) {
+        const completion = await response.json();
+        append(completion.choices?.[0]?.message?.content);
+        finishReason = completion.choices?.[0]?.finish_reason || finishReason;
+        return [{ generated_text: text, finishReason }];
+      }
+
+      const parse = createEventStreamParser((event) => {
+        if (event.error) throw new Error(event.error.message || String(event.error));
+        append(event.choices?.[0]?.delta?.content);
+        finishReason = event.choices?.[0]?.finish_reason || finishReason;
+      });
+      reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parse(decoder.decode(value, { stream: true }));
+      }
+      parse(decoder.decode(), true);
+      return [{ generated_text: text, finishReason }];
+    } catch (error) {
+      reader?.cancel().catch(() => { }); // Don't leave the response streaming after an error event
+      if (controller.signal.aborted) return [{ generated_text: text, finishReason: "stop" }];
+      throw error;
+    } finally {
+      if (this._generating === controller) this._generating = null;
+    }
+  }
+
+  stopGeneration() {
+    this._generating?.abort();
+  }
+
+  // The server keeps its own prompt cache (llama.cpp's cache_prompt, Ollama's keep_alive)
+  resetCache() { }
+}
+
+export {
+  serverModel,
+  chatCompletionRequest,
+  createEventStreamParser,
+  OpenAIBackend
+};
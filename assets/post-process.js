@@ -0,0 +1,136 @@
+// post-process.js — cleans raw model output before it is shown or stored
+// Small models keep going past their turn: they write "User:" lines, echo the system prompt or
+// stop mid-sentence at max_new_tokens. Each step below fixes one of those; CONFIG.POST_PROCESS in
+// chat.js picks which run and in what order. The same steps run on every streamed update and on
+// the final reply; only sentenceEnd waits for the final reply, and then only when it was cut off.
+
+// Markers that start another turn, by the chat template the prompt was rendered with.
+// Detected from the rendered prompt; the plain-text fallback format is the last entry.
+const TEMPLATE_STOP_STRINGS = [
+  { name: "chatml", marker: "<|im_start|>", stop: ["<|im_end|>", "<|im_start|>", "<|endoftext|>"] },
+  { name: "zephyr", marker: "<|user|>", stop: ["</s>", "<|user|>", "<|system|>", "<|assistant|>"] },
+  { name: "llama3", marker: "<|start_header_id|>", stop: ["<|eot_id|>", "<|start_header_id|>", "<|end_of_text|>"] },
+  { name: "gemma", marker: "<start_of_turn>", stop: ["<end_of_turn>", "<start_of_turn>"] },
+  { name: "llama2", marker: "[INST]", stop: ["</s>", "[INST]"] },
+  { name: "plain", marker: "", stop: ["\nUser:", "\nHuman:", "\nSystem:"] }
+];
+
+const ROLE_NAMES = "user|human|assistant|ai|system|bot";
+const ROLE_LINE = new RegExp(`^\\s*(?:(?:${ROLE_NAMES})\\s*:|<\\|(?:${ROLE_NAMES})\\|>|(?:${ROLE_NAMES})\\s*$)`, "i");
+const ROLE_PREFIX = new RegExp(`^\\s*(?:(?:${ROLE_NAMES})\\s*:|<\\|(?:${ROLE_NAMES})\\|>|(?:${ROLE_NAMES})\\s*\\n)\\s*`, "i");
+
+// Sentence ends: terminator, closing quotes/brackets/markdown, then any citation markers ("[w1]")
+const SENTENCE_END = /[.!?…]+["'”’)\]*_]*(?:\s*\[[A-Za-z][\w-]*?\d+(?:\.\d+)?\])*(?=\s|$)|\p{Extended_Pictographic}(?=\s|$)/gu;
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s/;
+const LABEL_LINE = /^\s*[^\s:][^:]{0,40}:(?:\s|$)/;
+
+// A last line that reads as complete without an end mark: a list item, "Label: value" or
+// "Python, JavaScript, Go" (short comma-separated items)
+function completeLine(line) {
+  if (LIST_ITEM.test(line) || LABEL_LINE.test(line)) return true;
+  const items = line.split(",").map(item => item.trim());
+  return items.length > 1 && items.every(item => item && item.split(/\s+/).length <= 3);
+}
+
+function templateStopStrings(prompt) {
+  const text = String(prompt || "");
+  return TEMPLATE_STOP_STRINGS.find(({ marker }) => text.includes(marker)).stop;
+}
+
+// Cut text at the earliest of the given strings
+function cutAt(text, strings) {
+  let end = text.length;
+  for (const string of strings) {
+    const index = string ? text.indexOf(string) : -1;
+    if (index !== -1 && index < end) end = index;
+  }
+  return text.slice(0, end);
+}
+
+// Whether streamed text has reached a stop string, so decoding can end there instead of at max_new_tokens
+function reachedStopString(text, { prompt, stopStrings = [] } = {}) {
+  const streamed = String(text || "");
+  return cutAt(streamed, [...templateStopStrings(prompt), ...stopStrings]).length < streamed.length;
+}
+
+// Each step takes the text so far and the context of this answer: { prompt, systemPrompt, stopStrings },
+// plus truncated on the final reply when decoding stopped at max_new_tokens
+const POST_PROCESSORS = {
+  // Pipelines that return the prompt along with the answer
+  promptEcho: (text, { prompt }) => (prompt && text.startsWith(prompt) ? text.slice(prompt.length) : text),
+
+  // Anything after the end-of-turn markers of the prompt's chat template, or the model's own stopStrings
+  stopStrings: (text, { prompt, stopStrings = [] }) => cutAt(text, [...templateStopStrings(prompt), ...stopStrings]),
+
+  // A leading "Assistant:" and everything from the first fabricated follow-up turn on
+  roleLeaks: (text) => {
+    const lines = text.replace(ROLE_PREFIX, "").split("\n");
+    const turn = lines.findIndex((line, i) => i > 0 && ROLE_LINE.test(line));
+    return turn === -1 ? lines.join("\n") : lines.slice(0, turn).join("\n");
+  },
+
+  // A repeat of the system prompt, spotted by its opening words: cut from there on after an answer,
+  // or, when the reply starts with it, the copied lines dropped
+  systemEcho: (text, { systemPrompt }) => {
+    const opening = String(systemPrompt || "").trim().split("\n")[0].trim().slice(0, 40);
+    const index = opening.length >= 20 ? text.indexOf(opening) : -1;
+    if (index === -1) return text;
+    if (text.slice(0, index).trim()) return text.slice(0, index);
+
+    const lines = text.split("\n");
+    let start = 0;
+    while (start < lines.length && (!lines[start].trim() || systemPrompt.includes(lines[start].trim()))) start++;
+    return lines.slice(start).join("\n");
+  },
+
+  leadingEllipsis: (text) => text.replace(/^\s*\.\.\.\s*/, ""),
+
+  // Drop an unfinished last sentence of a reply cut off by max_new_tokens. A last line without any
+  // sentence end is kept when it reads as complete (completeLine) or is the whole answer, and dropped otherwise.
+  sentenceEnd: (text, { truncated = false }) => {
+    if (!truncated) return text;
+    const trimmed = text.trimEnd();
+    const lineStart = trimmed.lastIndexOf("\n") + 1;
+    const lastLine = trimmed.slice(lineStart);
+    const ends = [...lastLine.matchAll(SENTENCE_END)];
+    const last = ends[ends.length - 1];
+    if (last && last.index + last[0].length === lastLine.length) return trimmed;
+    if (last) return trimmed.slice(0, lineStart + last.index + last[0].length);
+    if (lineStart === 0 || completeLine(lastLine)) return trimmed;
+    return trimmed.slice(0, lineStart);
+  }
+};
+
+// Every step, in the order chat.js runs them unless CONFIG.POST_PROCESS says otherwise
+const DEFAULT_STEPS = ["promptEcho", "stopStrings", "roleLeaks", "systemEcho", "leadingEllipsis", "sentenceEnd"];
+
+// Returns process(raw, extra) -> { text, applied }, with the names of the steps that changed something;
+// extra adds to the context for one call, e.g. { truncated: true } for a reply cut off at max_new_tokens
+function createPostProcessor(steps = DEFAULT_STEPS, context = {}) {
+  const known = steps.filter(name => {
+    if (POST_PROCESSORS[name]) return true;
+    console.warn(`Unknown post-processing step "${name}", skipping it`);
+    return false;
+  });
+
+  return (raw, extra = {}) => {
+    const answer = { ...context, ...extra };
+    let text = String(raw || "");
+    const applied = [];
+    for (const name of known) {
+      const next = POST_PROCESSORS[name](text, answer);
+      if (next.trim() !== text.trim()) applied.push(name);
+      text = next;
+    }
+    return { text: text.trim(), applied };
+  };
+}
+
+export {
+  TEMPLATE_STOP_STRINGS,
+  POST_PROCESSORS,
+  DEFAULT_STEPS,
+  templateStopStrings,
+  reachedStopString,
+  createPostProcessor
+};
@@ -0,0 +1,71 @@
+// prompt-budget.js — fits prompt sections into a model's context window by priority
+// Sections: { name, priority, items, pinned?, dropFrom? }. The lowest-priority section
+// loses one item at a time (from the end, or the start for history) until the prompt fits.
+
+// Rough count when no tokenizer is loaded (~4 characters per token for English)
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// Count real tokens with the loaded tokenizer, falling back to the estimate
+function createTokenCounter(tokenizer) {
+  if (typeof tokenizer?.encode !== "function") return estimateTokens;
+
+  return (text) => {
+    try {
+      return tokenizer.encode(text).length;
+    } catch {
+      return estimateTokens(text);
+    }
+  };
+}
+
+function describeItem(item) {
+  const text = typeof item === "string" ? item : item?.content ?? "";
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+// render(sections) -> prompt string; returns the trimmed sections plus what was cut
+async function fitSections(sections, { budget, render, countTokens = estimateTokens }) {
+  const working = sections.map(section => ({ ...section, items: [...section.items] }));
+  const cuts = [];
+
+  let text = await render(working);
+  let tokens = countTokens(text);
+  const originalTokens = tokens;
+
+  while (tokens > budget) {
+    const candidate = working
+      .filter(section => section.items.length > (section.pinned || 0))
+      .sort((a, b) => a.priority - b.priority)[0];
+    if (!candidate) break;
+
+    const removed = candidate.dropFrom === "start" ? candidate.items.shift() : candidate.items.pop();
+    const before = tokens;
+    text = await render(working);
+    tokens = countTokens(text);
+
+    cuts.push({
+      section: candidate.name,
+      action: candidate.items.length > 0 ? "shortened" : "dropped",
+      tokensSaved: before - tokens,
+      item: describeItem(removed)
+    });
+  }
+
+  return {
+    sections: working,
+    text,
+    tokens,
+    originalTokens,
+    budget,
+    cuts,
+    fits: tokens <= budget
+  };
+}
+
+export {
+  estimateTokens,
+  createTokenCounter,
+  fitSections
+};
@@ -0,0 +1,65 @@
+// prompt-templates.js — placeholders and A/B assignment for versioned prompt templates
+// A template is data: { id, version, prompt, passages: { header, footer }, ideas: { header, footer } }.
+// `prompt` uses {name}, {personality} and {resumeLink}, plus {persona}, {resume} and {ideas} on
+// their own lines to place the persona's instructions, the résumé block and the retrieved (or random) ideas.
+
+const SLOTS = ["persona", "resume", "ideas"];
+const STORAGE_KEY = "promptTemplate";
+
+// Replace {key} for every key in vars; unknown placeholders (the slots) are left alone
+function fillTemplate(text, vars) {
+  return String(text || "").replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key] ?? "") : match));
+}
+
+// "intro\n\n{resume}\n\n{ideas}" -> [{ text: "intro" }, { slot: "resume" }, { slot: "ideas" }]
+function templateLayout(prompt) {
+  return String(prompt || "")
+    .split(new RegExp(`^\\s*\\{(${SLOTS.join("|")})\\}\\s*$`, "m"))
+    .map((part, i) => (i % 2 === 1 ? { slot: part } : { text: part.trim() }))
+    .filter(part => part.slot || part.text);
+}
+
+// Weighted pick from [{ id, weight }]
+function pickVariant(variants, random) {
+  const total = variants.reduce((sum, v) => sum + Math.max(0, v.weight ?? 1), 0);
+  let roll = random() * total;
+  for (const variant of variants) {
+    roll -= Math.max(0, variant.weight ?? 1);
+    if (roll < 0) return variant.id;
+  }
+  return variants[variants.length - 1]?.id;
+}
+
+// Which template this visitor gets: ?template= override, then their earlier A/B assignment, then a new one
+function assignPromptTemplate(config = {}, { templates, random, storage = null, override = null }) {
+  const known = (id) => Boolean(id && templates[id]);
+  if (known(override)) return { id: override, reason: "override" };
+
+  const variants = (config.abTest?.variants || []).filter(v => known(v.id));
+  if (config.abTest?.enabled && variants.length > 0) {
+    let stored = null;
+    try {
+      stored = storage?.getItem(STORAGE_KEY);
+    } catch {
+      // Storage can be blocked (private mode, sandboxed iframes)
+    }
+    if (variants.some(v => v.id === stored)) return { id: stored, reason: "ab-test" };
+
+    const id = pickVariant(variants, random);
+    try {
+      storage?.setItem(STORAGE_KEY, id);
+    } catch {
+      // Assignment just won't persist across visits
+    }
+    return { id, reason: "ab-test" };
+  }
+
+  return { id: known(config.active) ? config.active : "default", reason: "config" };
+}
+
+export {
+  fillTemplate,
+  templateLayout,
+  pickVariant,
+  assignPromptTemplate
+};
@@ -0,0 +1,85 @@
+// quality-gate.js — spots degenerate answers: empty text, loops of one phrase, gibberish
+// Tiny models produce these often; chat.js retries such an answer once with a more conservative
+// preset and then offers a stronger model. Scores are plain numbers so they can be logged.
+
+const QUALITY_THRESHOLDS = {
+  minWords: 1,        // Fewer words is an empty answer; "Yes." and "Python." are fine
+  maxRepetition: 0.5, // Share of repeated word trigrams
+  minEntropy: 2.5,    // Bits per character; loops of a few characters score below this
+  maxEntropy: 5.5,    // Random character soup scores above this; English prose is around 4
+  minStopwords: 0.08, // Share of the language's common words, for prose answers of 8 words or more
+  minScript: 0.8      // Share of letters in the language's script
+};
+
+// Languages the answers are checked against; others skip the language check
+const LANGUAGES = {
+  en: {
+    script: /\p{Script=Latin}/u,
+    stopwords: new Set(("a about an and are as at be but by can do for from have he her his how i if in is it " +
+      "its me my no not of on or our she so that the their them there they this to was we what when which who " +
+      "will with you your").split(" "))
+  }
+};
+
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s/;
+
+// Lists and comma-separated skills have hardly any common words, so the stopword check skips them
+function isListLike(text, words) {
+  const lines = text.split("\n").filter(line => line.trim());
+  const items = lines.filter(line => LIST_ITEM.test(line)).length;
+  const separators = (text.match(/[,;|•·]/g) || []).length;
+  return (items >= 2 && items * 2 >= lines.length) || separators * 3 >= words.length;
+}
+
+// Shannon entropy of the characters, in bits per character
+function characterEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  let entropy = 0;
+  for (const count of counts.values()) entropy -= (count / total) * Math.log2(count / total);
+  return entropy;
+}
+
+// Share of word trigrams that already appeared earlier in the text
+function repetitionRatio(words) {
+  if (words.length < 6) return 0;
+  const trigrams = words.slice(2).map((word, i) => `${words[i]} ${words[i + 1]} ${word}`);
+  return 1 - new Set(trigrams).size / trigrams.length;
+}
+
+// { ok, failures, scores }; failures name the checks that failed: length, repetition, entropy, language
+function checkOutput(text, { language = "en", ...thresholds } = {}) {
+  const limits = { ...QUALITY_THRESHOLDS, ...thresholds };
+  const trimmed = String(text || "").trim();
+  const words = (trimmed.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+  const letters = trimmed.match(/\p{L}/gu) || [];
+  const rules = LANGUAGES[language];
+
+  const scores = {
+    words: words.length,
+    repetition: repetitionRatio(words),
+    entropy: trimmed.length >= 20 ? characterEntropy(trimmed) : null, // Too little text to tell
+    stopwords: rules && words.length >= 8 && !isListLike(trimmed, words) ? words.filter(word => rules.stopwords.has(word)).length / words.length : null,
+    script: rules && letters.length > 0 ? letters.filter(letter => rules.script.test(letter)).length / letters.length : null
+  };
+
+  const failures = [];
+  if (scores.words < limits.minWords) failures.push("length");
+  if (scores.repetition > limits.maxRepetition) failures.push("repetition");
+  if (scores.entropy !== null && (scores.entropy < limits.minEntropy || scores.entropy > limits.maxEntropy)) failures.push("entropy");
+  if ((scores.stopwords !== null && scores.stopwords < limits.minStopwords) || (scores.script !== null && scores.script < limits.minScript)) {
+    failures.push("language");
+  }
+
+  return { ok: failures.length === 0, failures, scores };
+}
+
+export {
+  QUALITY_THRESHOLDS,
+  LANGUAGES,
+  isListLike,
+  characterEntropy,
+  repetitionRatio,
+  checkOutput
+};
@@ -0,0 +1,101 @@
+// random.js — seeded random numbers for reproducible sessions
+// Every random choice (context picks, generation ranges, greetings, promos, token sampling)
+// draws from one session generator. `?seed=123` in the URL replays a whole conversation.
+
+// 32-bit seed from a number or any string ("123", "demo-day")
+function toSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: tiny, fast and good enough for picking quotes; returns floats in [0, 1)
+function createRandom(seed) {
+  let state = toSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(random, n) {
+  return Math.floor(random() * n);
+}
+
+function pick(random, items) {
+  return items.length > 0 ? items[randomInt(random, items.length)] : undefined;
+}
+
+// Up to `count` distinct items in random order (partial Fisher-Yates)
+function sample(random, items, count) {
+  const pool = [...items];
+  const n = Math.min(count, pool.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + randomInt(random, pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n);
+}
+
+// "?seed=123" -> "123", or null
+function seedFromLocation(location = globalThis.location) {
+  const value = new URLSearchParams(location?.search || "").get("seed");
+  return value ? value : null;
+}
+
+// Sessions without ?seed still get a seed, so any conversation can be replayed from the logs
+let session = null;
+
+function setSessionSeed(seed) {
+  const value = seed ?? Math.floor(Math.random() * 1e9);
+  session = { seed: String(value), random: createRandom(value) };
+  return session.seed;
+}
+
+function getSessionSeed() {
+  return session.seed;
+}
+
+function sessionRandom() {
+  return session.random();
+}
+
+// Run fn with Math.random drawing from `random`, for libraries that sample with Math.random.
+// It patches the global, so only use it where nothing else runs (model-worker.js). Overlapping
+// calls restore the real Math.random once the last one ends.
+let patches = 0;
+let unpatchedRandom = null;
+
+async function withRandom(random, fn) {
+  if (patches++ === 0) unpatchedRandom = Math.random;
+  Math.random = random;
+  try {
+    return await fn();
+  } finally {
+    if (--patches === 0) Math.random = unpatchedRandom;
+  }
+}
+
+setSessionSeed(seedFromLocation());
+
+export {
+  toSeed,
+  createRandom,
+  randomInt,
+  pick,
+  sample,
+  seedFromLocation,
+  setSessionSeed,
+  getSessionSeed,
+  sessionRandom,
+  withRandom
+};
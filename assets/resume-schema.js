@@ -0,0 +1,83 @@
+// resume-schema.js — schema and validator for this site's résumé format (assets/resume.json)
+// Shared by the browser (warnings in the console) and `npm run validate:resume` before deploy
+
+const text = { type: "string" };
+const textList = { type: "array", items: text };
+
+const RESUME_SCHEMA = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: text,
+    currentRole: text,
+    experience: text,
+    summary: text,
+    contact: text,
+    background: text,
+    technicalSkills: textList,
+    workHistory: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["company", "role"],
+        properties: {
+          company: text,
+          role: text,
+          period: text,
+          description: text
+        }
+      }
+    },
+    education: textList,
+    publications: textList
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// Returns [{ path, message }] with paths like "workHistory[2].period"
+function validateAgainst(schema, value, path, errors) {
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    errors.push({ path: path || "(root)", message: `expected ${schema.type}, got ${actual}` });
+    return errors;
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) {
+        validateAgainst(propSchema, value[key], path ? `${path}.${key}` : key, errors);
+      }
+    });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) => validateAgainst(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  return errors;
+}
+
+function validateResume(resumeData, schema = RESUME_SCHEMA) {
+  const errors = validateAgainst(schema, resumeData, "", []);
+  return { valid: errors.length === 0, errors };
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => `  - ${path}: ${message}`).join("\n");
+}
+
+export {
+  RESUME_SCHEMA,
+  validateResume,
+  formatValidationErrors
+};
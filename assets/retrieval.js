@@ -0,0 +1,102 @@
+// retrieval.js — lightweight lexical retrieval (BM25) over site content passages
+// No dependencies so it runs the same in the browser and in Node build scripts
+
+// Common English words that carry no signal for ranking
+const STOPWORDS = new Set([
+  "a", "about", "after", "all", "also", "an", "and", "any", "are", "as", "at", "be", "been",
+  "but", "by", "can", "could", "did", "do", "does", "for", "from", "had", "has", "have",
+  "he", "her", "his", "how", "i", "if", "in", "into", "is", "it", "its", "just", "me",
+  "more", "my", "no", "not", "of", "on", "or", "our", "out", "she", "so", "some", "than",
+  "that", "the", "their", "them", "then", "there", "these", "they", "this", "to", "up",
+  "us", "was", "we", "were", "what", "when", "where", "which", "who", "why", "will",
+  "with", "would", "you", "your", "tell", "know", "think"
+]);
+
+// Very light suffix stripping so "debugging" matches "debug" and "books" matches "book"
+function stem(token) {
+  let base = token;
+  if (base.length > 5 && base.endsWith("ing")) base = base.slice(0, -3);
+  else if (base.length > 4 && base.endsWith("ed")) base = base.slice(0, -2);
+  else if (base.length > 3 && base.endsWith("s") && !base.endsWith("ss")) return base.slice(0, -1);
+
+  // "debugg" -> "debug", "plann" -> "plan"
+  if (base !== token && /([b-df-hj-np-tv-z])\1$/.test(base) && !/(ll|ss|zz)$/.test(base)) {
+    base = base.slice(0, -1);
+  }
+  return base;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Drop accents so "résumé" matches "resume"
+    .split(/[^a-z0-9+#]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+// Okapi BM25 index; passages are plain objects with at least { id, text }
+class BM25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.docs = [];
+    this.docFreq = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  add(passage) {
+    const tokens = tokenize(passage.text);
+    const termFreq = new Map();
+    tokens.forEach(t => termFreq.set(t, (termFreq.get(t) || 0) + 1));
+    termFreq.forEach((_, t) => this.docFreq.set(t, (this.docFreq.get(t) || 0) + 1));
+
+    this.docs.push({ passage, termFreq, length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  addAll(passages) {
+    passages.forEach(p => this.add(p));
+    return this;
+  }
+
+  _idf(term) {
+    const n = this.docFreq.get(term) || 0;
+    return Math.log(1 + (this.docs.length - n + 0.5) / (n + 0.5));
+  }
+
+  // Returns [{ passage, score }] sorted by descending score, best first
+  search(query, options = {}) {
+    const topK = options.topK ?? 4;
+    const minScore = options.minScore ?? 0;
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.docs.length === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.length || 1;
+    const results = [];
+
+    for (const doc of this.docs) {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.termFreq.get(term);
+        if (!tf) continue;
+        const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / avgLength));
+        score += this._idf(term) * (tf * (this.k1 + 1)) / norm;
+      }
+      if (score > minScore) results.push({ passage: doc.passage, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+export {
+  STOPWORDS,
+  tokenize,
+  BM25Index
+};
@@ -19,6 +19,15 @@ export const SITE_CONFIG = {
   // Default sample resume PDF for easy preview
   resumePdfPath: "public/files/resume.sample.pdf",
 
+  // Extra content for the AI beyond the résumé, highlights and manuscript above.
+  // Built-in types: "list" ([{ title, description, url, date }]) and "faq" ([{ question, answer }]).
+  // Any entry may supply its own format, parse, passages, render or renderPassage
+  // (see SOURCE_TYPES in assets/context.js); reuse an id like "resume" to replace a built-in.
+  contentSources: [
+    // { id: "projects", type: "list", label: "side projects", path: "public/files/projects.json" },
+    // { id: "faq", type: "faq", path: "public/files/faq.json" }
+  ],
+
   // Easter Egg feature toggle
   enableEasterEgg: true,
   easterEggPath: "gorilla-schedule.html",
@@ -37,14 +46,128 @@ export const SITE_CONFIG = {
     ]
   },
 
+  // Prompt templates: "default" and "conversational" are built in (PROMPT_TEMPLATES in
+  // assets/context.js). Add your own under `templates` using the {name}, {personality},
+  // {resumeLink}, {resume} and {ideas} placeholders, and bump `version` when you edit one.
+  // With abTest enabled each visitor is assigned a variant; ?template=<id> forces one.
+  promptTemplates: {
+    active: "default",
+    abTest: {
+      enabled: false,
+      variants: [
+        { id: "default", weight: 1 },
+        { id: "conversational", weight: 1 }
+      ]
+    },
+    templates: [
+      // { id: "brief", version: "2025-10-19.1", prompt: "You answer questions about {name} in one sentence.\n\n{resume}\n\n{ideas}" }
+    ]
+  },
+
   // System prompt customization
   personalityTrait: "snarky and humorous", // e.g., "professional and helpful", "witty and engaging"
+
+  // Personas visitors can pick next to the model menu. Each has a tone (the {personality}
+  // placeholder), an optional prompt fragment, how often answers get a book promo or quip
+  // (0 turns them off) and a generation preset from PRESETS in assets/generation-presets.js,
+  // which wins over the model's (leave it out to use the model's).
+  // Leave empty to use personalityTrait for everyone; ?persona=<id> preselects one.
+  personas: [
+    {
+      id: "snarky",
+      name: "Snarky",
+      tone: "snarky and humorous",
+      prompt: "Playful teasing and the occasional joke are welcome, as long as the facts stay straight.",
+      promoChance: 0.2,
+      quipChance: 0.15,
+      preset: "playful"
+    },
+    {
+      id: "professional",
+      name: "Professional",
+      tone: "professional and helpful",
+      prompt: "Visitors may be recruiters or hiring managers: lead with relevant experience and skills, and skip the jokes.",
+      promoChance: 0,
+      quipChance: 0,
+      preset: "precise"
+    }
+  ],
+  defaultPersona: "snarky",
   expertiseAreas: [
     "Your primary expertise",
     "Secondary area of knowledge",
     "Another skill or interest"
   ],
 
+  // Relevance retrieval over highlights, manuscript and work history.
+  // Passages scoring at or below minScore fall back to random picks.
+  retrieval: {
+    enabled: true,
+    topK: 4,
+    minScore: 1.5
+  },
+
+  // Models offered in the chat's model picker, with their download size, context window and loading options
+  modelsPath: "assets/models.json",
+
+  // Models tried in order when the default one fails to load (network, unsupported dtype, out of
+  // memory). Empty: every stable model in models.json order. Models that can't run in a browser
+  // (out of memory, unsupported) are skipped there for forgetFailuresAfterDays.
+  modelFallback: {
+    chain: [], // e.g. ["HuggingFaceTB/SmolLM2-360M-Instruct", "HuggingFaceTB/SmolLM2-135M-Instruct"]
+    forgetFailuresAfterDays: 7
+  },
+
+  // OpenAI-compatible chat server (llama.cpp, Ollama, vLLM…) offered in the model picker,
+  // ahead of the in-browser models. It's sent the same chat messages the local models are
+  // prompted with, and needs to allow this site's origin (CORS). The key is visible to every
+  // visitor, so only use one for a server or proxy you control.
+  chatServer: {
+    enabled: false,
+    label: "Local server",
+    baseURL: "http://localhost:8080/v1", // Ollama: "http://localhost:11434/v1"
+    model: "default", // Model name the server expects, e.g. "llama3.2" on Ollama
+    apiKey: null,
+    contextWindow: null // Tokens; null means only MAX_CONTEXT_LENGTH limits the prompt
+  },
+
+  // Serve transformers.js and models from this site instead of jsDelivr and the Hugging Face Hub
+  // (see "Self-hosting" in the README). Paths are relative to the page; null keeps the CDN/Hub.
+  selfHosted: {
+    // `npm run build` copies transformers.js and its WASM files here from node_modules
+    runtimePath: null, // e.g. "vendor/transformers/"
+    // `npm run build:models` copies model snapshots from modelSourceDir to dist/<localModelPath>
+    localModelPath: null, // e.g. "models/"
+    modelSourceDir: "models", // <org>/<model> folders or a Hugging Face cache (~/.cache/huggingface/hub)
+    models: [], // Ids to copy; empty copies every model in the picker plus the semantic search model
+    // false: models that aren't self-hosted fail instead of coming from the Hub
+    allowRemoteModels: true
+  },
+
+  // Service worker that lets the site and downloaded models work offline.
+  // `npm run build` precaches every file in dist/ (see "Offline use" in the README).
+  offline: {
+    enabled: true,
+    serviceWorkerPath: "sw.js"
+  },
+
+  // Precompiled content written by `npm run build`; raw files are loaded when it's missing (npm start)
+  contentBundle: {
+    enabled: true,
+    path: "content-bundle.json"
+  },
+
+  // Dense retrieval on top of keyword search. `npm run build` embeds every passage
+  // into dist/<indexPath>; the browser only embeds the visitor's question.
+  semanticSearch: {
+    enabled: true,
+    model: "Xenova/all-MiniLM-L6-v2",
+    dtype: "q8",
+    indexPath: "embeddings.json",
+    topK: 4,
+    minScore: 0.3
+  },
+
   // Conversation starters and personality
   useBookPromos: true,
   useFunnyQuips: true,
@@ -53,7 +176,7 @@ export const SITE_CONFIG = {
   chatTitle: "Chat with AI Assistant",
   aboutPageTitle: "About",
 
-  // Default fallback behavior when files are missing
+  // Content files that are missing or malformed are left out of the prompt; false fails loading instead
   gracefulDegradation: true
 };
 
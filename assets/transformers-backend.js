@@ -0,0 +1,320 @@
+// transformers-backend.js — loads and runs transformers.js pipelines. It doesn't touch the DOM,
+// so the same code runs on the main thread or inside model-worker.js.
+import { createRandom, withRandom } from './random.js';
+import { modelDevice } from './models.js';
+
+// Entry file of a vendored runtime (scripts/self-host.js copies it next to the WASM files)
+const RUNTIME_ENTRY = "transformers.min.js";
+
+// Where transformers.js, its WASM files and model files come from. selfHosted paths in
+// site-config.js are relative to the page, so they're resolved here rather than in the worker.
+function transformersSettings(selfHosted, { cdnUrl, baseUrl }) {
+  const resolve = (dir) => dir ? new URL(dir.endsWith("/") ? dir : `${dir}/`, baseUrl).href : null;
+  const runtime = resolve(selfHosted?.runtimePath);
+  return {
+    url: runtime ? new URL(RUNTIME_ENTRY, runtime).href : cdnUrl,
+    env: {
+      wasmPaths: runtime,
+      localModelPath: resolve(selfHosted?.localModelPath),
+      allowRemoteModels: selfHosted?.allowRemoteModels !== false
+    }
+  };
+}
+
+// transformers.js points ONNX Runtime at jsDelivr on import, so this runs right after it
+function configureTransformers(tf, { wasmPaths = null, localModelPath = null, allowRemoteModels = true } = {}) {
+  if (!tf.env) return;
+  if (wasmPaths && tf.env.backends?.onnx?.wasm) {
+    tf.env.backends.onnx.wasm.wasmPaths = wasmPaths;
+  }
+  // Local files are tried first; with remote models allowed, anything missing comes from the Hub
+  tf.env.allowLocalModels = Boolean(localModelPath);
+  if (localModelPath) tf.env.localModelPath = localModelPath;
+  tf.env.allowRemoteModels = allowRemoteModels;
+}
+
+// How many leading tokens two prompts share
+function sharedPrefixLength(a, b) {
+  const max = Math.min(a.length, b.length);
+  let length = 0;
+  while (length < max && a[length] === b[length]) length++;
+  return length;
+}
+
+// Cuts past key/values back to their first `length` positions. Only CPU tensors can be cut,
+// and hybrid caches (e.g. LFM2's conv states) aren't per position, so those return null.
+function truncatePastKeyValues(pastKeyValues, length) {
+  const tensors = Object.entries(pastKeyValues);
+  if (tensors.some(([name, tensor]) => !name.startsWith("past_key_values") || tensor.location === "gpu-buffer")) return null;
+  return Object.fromEntries(tensors.map(([name, tensor]) => [
+    name,
+    tensor.slice(...tensor.dims.map((_, i) => i === tensor.dims.length - 2 ? [0, length] : null))
+  ]));
+}
+
+// Adds finishReason to a text-generation result: "length" when decoding ran into max_new_tokens,
+// "stop" otherwise. Without a count from the cached path, the answer's tokens are counted again.
+function withFinishReason(result, options, tokenizer, interrupted = false) {
+  const [first, ...rest] = Array.isArray(result) ? result : [];
+  if (!first) return result;
+  let newTokens = first.newTokens;
+  if (newTokens === undefined && typeof tokenizer?.encode === "function") {
+    try {
+      newTokens = tokenizer.encode(first.generated_text || "", { add_special_tokens: false }).length;
+    } catch {
+      newTokens = 0;
+    }
+  }
+  const { newTokens: _, ...answer } = first;
+  const finishReason = !interrupted && options.max_new_tokens && newTokens >= options.max_new_tokens ? "length" : "stop";
+  return [{ ...answer, finishReason }, ...rest];
+}
+
+function disposePastKeyValues(pastKeyValues) {
+  for (const tensor of Object.values(pastKeyValues || {})) {
+    if (tensor.location === "gpu-buffer") tensor.dispose();
+  }
+}
+
+function isGPUKernelError(error) {
+  const message = String(error?.message || error || "");
+  return /WebGPU|kernel|Rotary interleaved|JSEP/i.test(message);
+}
+
+class TransformersBackend {
+  // settings: from transformersSettings()
+  // seedSampling: swap the seeded generator in for Math.random while generating. Only the worker
+  // sets it, since on the main thread the rest of the page would draw from it too.
+  constructor({ url, env = {}, seedSampling = false }) {
+    this.url = url;
+    this.env = env;
+    this.seedSampling = seedSampling;
+    this.tf = null;
+    this.pipe = null;
+    this.modelId = null;
+    this.extractor = null;
+    this.extractorModelId = null;
+    this._loadSeq = 0;
+    this._stopping = null; // InterruptableStoppingCriteria of the generation in progress
+    this._cache = null; // { ids, pastKeyValues } left by the previous generation
+  }
+
+  async loadTransformers() {
+    if (this.tf) return this.tf;
+
+    this.tf = await import(this.url);
+    configureTransformers(this.tf, this.env);
+    // Optimize ONNX WASM path when WebGPU is unavailable
+    try {
+      if (!globalThis.navigator?.gpu && this.tf.env) {
+        // Conservative number of threads to avoid contention; adjust if needed
+        this.tf.env.ONNX_NUM_THREADS = 2;
+      }
+    } catch { }
+    return this.tf;
+  }
+
+  _configureAuth(hfToken) {
+    if (hfToken && this.tf.env) {
+      this.tf.env.HF_TOKEN = hfToken;
+    }
+  }
+
+  // Loads without replacing the active model; pass the result to activate() or discard().
+  // onProgress gets the raw transformers.js progress events.
+  async load(modelId, model, { hfToken = null, onProgress = null } = {}) {
+    const seq = ++this._loadSeq;
+    await this.loadTransformers();
+    this._configureAuth(hfToken);
+
+    const device = modelDevice(model, Boolean(globalThis.navigator?.gpu));
+
+    // transformers.js can't abort a download, but throwing here rejects the file being read
+    const progressCallback = (event) => {
+      if (seq !== this._loadSeq) {
+        const error = new Error("Model load cancelled");
+        error.cancelled = true;
+        throw error;
+      }
+      onProgress?.(event);
+    };
+
+    try {
+      const pipe = await this._createPipeline(modelId, device, model?.dtypes || [], progressCallback);
+      return { modelId, pipe, device: device || "cpu", fallback: false };
+    } catch (error) {
+      if (!device || error.cancelled) throw error;
+      console.warn(`Could not load ${modelId} on ${device}, falling back to CPU:`, error);
+      const pipe = await this.tf.pipeline("text-generation", modelId, { progress_callback: progressCallback });
+      return { modelId, pipe, device: "cpu", fallback: true };
+    }
+  }
+
+  cancelLoad() {
+    this._loadSeq++;
+  }
+
+  // Try the registry's dtypes in order, then whatever the model ships by default
+  async _createPipeline(modelId, device, dtypes, progressCallback) {
+    for (const dtype of dtypes) {
+      try {
+        return await this.tf.pipeline("text-generation", modelId, { device, dtype, progress_callback: progressCallback });
+      } catch (error) {
+        if (error.cancelled) throw error;
+        console.warn(`Could not load ${modelId} as ${dtype}:`, error.message);
+      }
+    }
+    return await this.tf.pipeline("text-generation", modelId, { device, progress_callback: progressCallback });
+  }
+
+  // Swap in a loaded model and dispose the previous one
+  async activate(loaded) {
+    this.resetCache();
+    const previous = this.pipe;
+    this.pipe = loaded.pipe;
+    this.modelId = loaded.modelId;
+    if (previous && previous !== loaded.pipe) await this.discard({ pipe: previous });
+  }
+
+  async discard(loaded) {
+    try {
+      await loaded?.pipe?.dispose();
+    } catch (error) {
+      console.warn("An error occurred while disposing a model:", error);
+    }
+  }
+
+  // transformers.js samples with Math.random, so with seedSampling the seed is swapped in for the
+  // duration of the call; without it (the main thread) seed is ignored. onToken receives decoded
+  // text as it streams. The result has finishReason ("length" or "stop"), and with
+  // options.use_cache also cache: { promptTokens, reusedTokens }.
+  async generate(prompt, options, { seed = 0, onToken = null } = {}) {
+    if (!this.pipe) throw new Error("No model loaded");
+
+    const streamer = onToken && this.tf.TextStreamer
+      ? new this.tf.TextStreamer(this.pipe.tokenizer, { skip_prompt: true, callback_function: onToken })
+      : null;
+    const stopping = this.tf.InterruptableStoppingCriteria ? new this.tf.InterruptableStoppingCriteria() : null;
+    const run = { ...options, ...(streamer && { streamer }), ...(stopping && { stopping_criteria: stopping }) };
+    this._stopping = stopping;
+
+    const sample = async () => {
+      try {
+        return await this._run(prompt, run);
+      } catch (error) {
+        if (isGPUKernelError(error) && !stopping?.interrupted) {
+          return await this._retryOnCPU(prompt, run);
+        }
+        throw error;
+      }
+    };
+
+    try {
+      const result = this.seedSampling ? await withRandom(createRandom(seed), sample) : await sample();
+      return withFinishReason(result, options, this.pipe?.tokenizer, stopping?.interrupted);
+    } finally {
+      if (this._stopping === stopping) this._stopping = null;
+    }
+  }
+
+  // Decoding ends after the current token; generate() resolves with the text so far
+  stopGeneration() {
+    this._stopping?.interrupt();
+  }
+
+  async _run(prompt, options) {
+    if (!options.use_cache || !this.pipe.model?.generate || !this.pipe.tokenizer) {
+      this.resetCache();
+      return await this.pipe(prompt, options);
+    }
+    try {
+      return await this._generateWithCache(prompt, options);
+    } catch (error) {
+      if (options.stopping_criteria?.interrupted || isGPUKernelError(error)) throw error;
+      console.warn("Generation with the KV cache failed, retrying without it:", error);
+      this.resetCache();
+      return await this.pipe(prompt, options);
+    }
+  }
+
+  // What the text-generation pipeline does, plus past key/values kept between calls: the
+  // longest token prefix shared with the previous prompt and answer (the system prompt and
+  // earlier turns) isn't prefilled again.
+  async _generateWithCache(prompt, options) {
+    const { tokenizer, model } = this.pipe;
+    const addSpecialTokens = options.add_special_tokens ?? (tokenizer.add_bos_token || tokenizer.add_eos_token) ?? false;
+    tokenizer.padding_side = "left";
+    const inputs = tokenizer([prompt], { add_special_tokens: addSpecialTokens, padding: true, truncation: true });
+    const ids = inputs.input_ids.tolist()[0];
+
+    // At least one new token has to go through the model to get logits for the next one
+    const cache = this._cache;
+    this._cache = null;
+    let reused = cache ? Math.min(sharedPrefixLength(cache.ids, ids), ids.length - 1) : 0;
+    let pastKeyValues = null;
+    if (reused > 0) {
+      pastKeyValues = reused === cache.ids.length ? cache.pastKeyValues : truncatePastKeyValues(cache.pastKeyValues, reused);
+      if (!pastKeyValues) reused = 0;
+    }
+    if (pastKeyValues !== cache?.pastKeyValues) disposePastKeyValues(cache?.pastKeyValues);
+
+    const { sequences, past_key_values } = await model.generate({
+      ...inputs,
+      ...options,
+      past_key_values: pastKeyValues,
+      return_dict_in_generate: true
+    });
+
+    // The last sampled token never went through the model, so the cache stops one short
+    const cachedLength = Object.values(past_key_values)[0]?.dims.at(-2) ?? 0;
+    this._cache = { ids: sequences.tolist()[0].slice(0, cachedLength), pastKeyValues: past_key_values };
+
+    const [text] = tokenizer.batch_decode(sequences, { skip_special_tokens: true });
+    const [promptText] = tokenizer.batch_decode(inputs.input_ids, { skip_special_tokens: true });
+    return [{
+      generated_text: options.return_full_text === false ? text.slice(promptText.length) : text,
+      newTokens: sequences.dims.at(-1) - ids.length,
+      cache: { promptTokens: ids.length, reusedTokens: reused }
+    }];
+  }
+
+  // Past key/values belong to one model and conversation; the next generation prefills everything
+  resetCache() {
+    disposePastKeyValues(this._cache?.pastKeyValues);
+    this._cache = null;
+  }
+
+  async _retryOnCPU(prompt, options) {
+    if (!this.modelId) throw new Error("No current model for CPU retry");
+
+    console.warn(`GPU kernel error, reloading ${this.modelId} on CPU`);
+    this.resetCache();
+    await this.discard({ pipe: this.pipe });
+    this.pipe = await this.tf.pipeline("text-generation", this.modelId, {});
+    return await this.pipe(prompt, options);
+  }
+
+  // Query embedding for semantic search; kept separate from the chat model across switches.
+  // onProgress gets transformers.js progress events while the embedding model downloads.
+  async embed(text, modelId, dtype, { onProgress = null } = {}) {
+    await this.loadTransformers();
+    if (!this.extractor || this.extractorModelId !== modelId) {
+      this.extractor = await this.tf.pipeline("feature-extraction", modelId, { dtype, progress_callback: onProgress });
+      this.extractorModelId = modelId;
+    }
+
+    const output = await this.extractor(text, { pooling: "mean", normalize: true });
+    return output.data;
+  }
+}
+
+export {
+  RUNTIME_ENTRY,
+  transformersSettings,
+  configureTransformers,
+  TransformersBackend,
+  sharedPrefixLength,
+  truncatePastKeyValues,
+  withFinishReason,
+  isGPUKernelError
+};
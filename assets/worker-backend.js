@@ -0,0 +1,128 @@
+// worker-backend.js — main-thread client for model-worker.js with the same interface as TransformersBackend
+
+// Module workers are supported when the constructor reads the `type` option
+function supportsModuleWorkers() {
+  if (typeof Worker === "undefined") return false;
+  let supported = false;
+  try {
+    new Worker("blob://", {
+      get type() {
+        supported = true;
+        return "module";
+      }
+    }).terminate();
+  } catch { }
+  return supported;
+}
+
+class WorkerBackend {
+  // settings: from transformersSettings(), passed on to the worker's TransformersBackend
+  constructor(worker, settings) {
+    this.worker = worker;
+    this.requests = new Map(); // id -> { resolve, reject, onProgress, onToken }
+    this._nextId = 0;
+    this._loadId = null;
+    this._generateId = null;
+    this.failure = null; // Set once the worker has died; later requests fail straight away
+
+    worker.addEventListener("message", ({ data }) => this._onMessage(data));
+    // A worker that fails to start (bad import, CSP) rejects everything pending
+    worker.addEventListener("error", (event) => this._failAll(event.message || "Model worker failed"));
+    worker.postMessage({ type: "init", url: settings.url, env: settings.env });
+  }
+
+  _request(type, payload = {}, callbacks = {}) {
+    const id = ++this._nextId;
+    const promise = new Promise((resolve, reject) => {
+      if (this.failure) {
+        reject(this._workerError(this.failure));
+        return;
+      }
+      this.requests.set(id, { resolve, reject, ...callbacks });
+      this.worker.postMessage({ type, id, ...payload });
+    });
+    return { id, promise };
+  }
+
+  _onMessage({ type, id, ...data }) {
+    const request = this.requests.get(id);
+    if (!request) return;
+
+    if (type === "progress") {
+      request.onProgress?.(data.event);
+    } else if (type === "token") {
+      request.onToken?.(data.text);
+    } else if (type === "done") {
+      this.requests.delete(id);
+      request.resolve(data.result);
+    } else if (type === "error") {
+      this.requests.delete(id);
+      const error = new Error(data.message);
+      error.cancelled = data.cancelled;
+      request.reject(error);
+    }
+  }
+
+  _workerError(message) {
+    const error = new Error(message);
+    error.workerFailed = true;
+    return error;
+  }
+
+  _failAll(message) {
+    this.failure = message;
+    for (const request of this.requests.values()) {
+      request.reject(this._workerError(message));
+    }
+    this.requests.clear();
+  }
+
+  async load(modelId, model, { hfToken = null, onProgress = null } = {}) {
+    const { id, promise } = this._request("load", { modelId, model, hfToken }, { onProgress });
+    this._loadId = id;
+    try {
+      return { id, modelId, ...(await promise) };
+    } finally {
+      if (this._loadId === id) this._loadId = null;
+    }
+  }
+
+  cancelLoad() {
+    if (this._loadId !== null) this.worker.postMessage({ type: "cancel", id: this._loadId });
+  }
+
+  activate(loaded) {
+    return this._request("activate", { loadId: loaded.id }).promise;
+  }
+
+  discard(loaded) {
+    return this._request("discard", { loadId: loaded.id }).promise;
+  }
+
+  async generate(prompt, options, { seed = 0, onToken = null } = {}) {
+    const { id, promise } = this._request("generate", { prompt, options, seed }, { onToken });
+    this._generateId = id;
+    try {
+      return await promise;
+    } finally {
+      if (this._generateId === id) this._generateId = null;
+    }
+  }
+
+  stopGeneration() {
+    if (this._generateId !== null) this.worker.postMessage({ type: "cancel", id: this._generateId });
+  }
+
+  resetCache() {
+    return this._request("resetCache").promise;
+  }
+
+  embed(text, modelId, dtype, { onProgress = null } = {}) {
+    return this._request("embed", { text, modelId, dtype }, { onProgress }).promise;
+  }
+}
+
+export {
+  supportsModuleWorkers,
+  WorkerBackend
+};
@@ -1,12 +1,41 @@
 const fs = require('fs');
 const path = require('path');
+const { buildContentBundle } = require('./content-bundle');
+const { buildEmbeddingIndex } = require('./embeddings');
+const { buildServiceWorker } = require('./service-worker');
+const { vendorRuntime } = require('./self-host');
 
 fs.rmSync('dist', { recursive: true, force: true });
 fs.mkdirSync('dist', { recursive: true });
-for (const file of ['index.html', 'about.html']) {
+for (const file of ['index.html', 'about.html', 'gorilla-schedule.html', 'manifest.webmanifest']) {
   fs.copyFileSync(file, path.join('dist', file));
 }
+// assets/package.json only tells Node the browser modules are ES modules; the site doesn't need it
 for (const dir of ['assets', 'public']) {
-  fs.cpSync(dir, path.join('dist', dir), { recursive: true });
+  fs.cpSync(dir, path.join('dist', dir), { recursive: true, filter: (file) => file !== path.join('assets', 'package.json') });
 }
-console.log('Built to dist/');
+
+// All optional: without the bundle the site loads raw files, without the index it uses keyword
+// retrieval, and without the service worker it needs the network on every visit. A step that throws
+// an error marked fatal (a missing dependency for an enabled feature) still fails the build.
+function reportStep(what) {
+  return (error) => {
+    if (error.fatal) {
+      console.error(`❌ Could not ${what}:`, error.message);
+      process.exitCode = 1;
+    } else {
+      console.warn(`⚠️ Could not ${what}:`, error.message);
+    }
+  };
+}
+
+buildContentBundle('dist')
+  .catch(reportStep('build content bundle'))
+  .then(() => buildEmbeddingIndex('dist'))
+  .catch(reportStep('build embedding index'))
+  .then(() => vendorRuntime('dist'))
+  .catch(reportStep('vendor transformers.js'))
+  // Last, so it precaches everything above
+  .then(() => buildServiceWorker('dist'))
+  .catch(reportStep('build service worker'))
+  .then(() => console.log(process.exitCode ? 'Build failed, see above' : 'Built to dist/'));
@@ -0,0 +1,70 @@
+// Build step: compile every content source into one versioned bundle so the browser
+// skips fetching, parsing and chunking the raw files
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.join(__dirname, '..');
+
+function importAsset(file) {
+  return import(pathToFileURL(path.join(ROOT, 'assets', file)).href);
+}
+
+// Read a content source from disk the way DataLoader fetches it in the browser
+function readSource(source) {
+  const file = path.join(ROOT, source.path);
+  if (!fs.existsSync(file)) {
+    console.warn(`${source.label || source.id} not found at ${source.path}, skipping it`);
+    return null;
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  return source.parse(source.format === 'text' ? text : JSON.parse(text), source);
+}
+
+async function compileContentBundle() {
+  const { CONTEXT_VERSION, CONTENT_BUNDLE_FORMAT, collectPassages, getContentSources } = await importAsset('context.js');
+
+  const loaded = getContentSources()
+    .map(source => ({ source, data: readSource(source) }))
+    .filter(({ data }) => data != null);
+
+  const sources = {};
+  for (const { source, data } of loaded) {
+    sources[source.id] = { type: source.type, path: source.path, data: source.compile(data, source) };
+  }
+  const passages = collectPassages(loaded);
+
+  // Hash only the content, so rebuilding unchanged content gives the same hash
+  const contentHash = crypto.createHash('sha256')
+    .update(JSON.stringify({ sources, passages }))
+    .digest('hex')
+    .slice(0, 12);
+
+  return {
+    format: CONTENT_BUNDLE_FORMAT,
+    contextVersion: CONTEXT_VERSION,
+    contentHash,
+    builtAt: new Date().toISOString(),
+    sources,
+    passages
+  };
+}
+
+async function buildContentBundle(outDir) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const config = SITE_CONFIG.contentBundle;
+  if (!config?.enabled || !config.path) {
+    console.log('Content bundle disabled, the site will load raw content files');
+    return null;
+  }
+
+  const bundle = await compileContentBundle();
+  const json = JSON.stringify(bundle);
+  const outFile = path.join(outDir, config.path);
+  fs.writeFileSync(outFile, json);
+  console.log(`Wrote ${path.relative(ROOT, outFile)} (${Object.keys(bundle.sources).length} sources, ${bundle.passages.length} passages, ${bundle.contentHash}, ${(json.length / 1024).toFixed(1)} KB)`);
+  return outFile;
+}
+
+module.exports = { importAsset, readSource, compileContentBundle, buildContentBundle };
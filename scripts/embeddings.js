@@ -0,0 +1,58 @@
+// Build step: embed every content passage once so visitors only embed their question
+const fs = require('fs');
+const path = require('path');
+const { importAsset, readSource } = require('./content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+
+async function buildEmbeddingIndex(outDir) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const semantic = SITE_CONFIG.semanticSearch;
+  if (!semantic?.enabled) {
+    console.log('Semantic search disabled, skipping embedding index');
+    return null;
+  }
+
+  // Enabled but unbuildable (package missing, model download or embedding failing) fails the
+  // build, rather than deploying a site without its index
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch {
+    const error = new Error('@huggingface/transformers is not installed; run npm install, or set semanticSearch.enabled to false in site-config.js');
+    error.fatal = true;
+    throw error;
+  }
+
+  const { collectPassages, getContentSources } = await importAsset('context.js');
+  const { createIndexJSON, embedTexts } = await importAsset('embeddings.js');
+
+  const loaded = getContentSources()
+    .map(source => ({ source, data: readSource(source) }))
+    .filter(({ data }) => data != null);
+  const passages = collectPassages(loaded);
+  if (passages.length === 0) {
+    console.warn('No passages to embed, skipping embedding index');
+    return null;
+  }
+
+  console.log(`Embedding ${passages.length} passages with ${semantic.model}…`);
+  let vectors;
+  try {
+    const extractor = await transformers.pipeline('feature-extraction', semantic.model, { dtype: semantic.dtype });
+    vectors = await embedTexts(extractor, passages.map(p => p.text));
+    await extractor.dispose?.();
+  } catch (cause) {
+    const error = new Error(`embedding with ${semantic.model} failed: ${cause.message}`);
+    error.fatal = true;
+    throw error;
+  }
+
+  const json = JSON.stringify(createIndexJSON(passages, vectors, semantic.model));
+  const outFile = path.join(outDir, semantic.indexPath);
+  fs.writeFileSync(outFile, json);
+  console.log(`Wrote ${path.relative(ROOT, outFile)} (${(json.length / 1024).toFixed(1)} KB)`);
+  return outFile;
+}
+
+module.exports = { buildEmbeddingIndex };
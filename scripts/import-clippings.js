@@ -0,0 +1,43 @@
+// Convert a Kindle "My Clippings.txt" into highlights JSON:
+// node scripts/import-clippings.js "/Volumes/Kindle/documents/My Clippings.txt" [public/files/highlights.json]
+const fs = require('fs');
+const path = require('path');
+const { importAsset } = require('./content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_OUTPUT = 'public/files/highlights.json';
+
+async function main() {
+  const [inputPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+  if (!inputPath) {
+    console.error('Usage: npm run import:clippings -- "<path to My Clippings.txt>" [output.json]');
+    process.exit(1);
+  }
+
+  const { clippingsToHighlights } = await importAsset('kindle-clippings.js');
+
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(inputPath), 'utf8');
+  } catch (error) {
+    console.error(`❌ Could not read ${inputPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const highlightsData = clippingsToHighlights(text);
+  const count = highlightsData.books.reduce((total, book) => total + book.highlights.length, 0);
+  if (count === 0) {
+    console.error(`❌ No highlights found in ${inputPath}; is it a Kindle clippings file?`);
+    process.exit(1);
+  }
+
+  const target = path.resolve(ROOT, outputPath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(highlightsData, null, 2) + '\n');
+  console.log(`📚 Imported ${count} highlights from ${highlightsData.books.length} books to ${outputPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not import clippings:', error.message);
+  process.exitCode = 1;
+});
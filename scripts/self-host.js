@@ -0,0 +1,142 @@
+// Self-hosting (site-config selfHosted): vendor transformers.js and copy model snapshots into dist/
+// npm run build:models [-- [--from <dir>] [model id...]]   (after npm run build, which empties dist/)
+const fs = require('fs');
+const path = require('path');
+const { importAsset } = require('./content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+
+// The standalone bundle (RUNTIME_ENTRY in assets/transformers-backend.js) and the ONNX Runtime files it loads
+const RUNTIME_FILES = ['transformers.min.js', 'ort-wasm-simd-threaded.jsep.mjs', 'ort-wasm-simd-threaded.jsep.wasm'];
+
+// transformers.js names weights onnx/model<suffix>.onnx by dtype
+const DTYPE_SUFFIXES = { fp32: '', fp16: '_fp16', int8: '_int8', uint8: '_uint8', q8: '_quantized', q4: '_q4', q4f16: '_q4f16', bnb4: '_bnb4' };
+
+// Only paths inside the site can be copied to; a URL means the files live elsewhere
+function siteDir(outDir, dir) {
+  return dir && !/^[a-z]+:/i.test(dir) ? path.join(outDir, dir) : null;
+}
+
+async function vendorRuntime(outDir) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const target = siteDir(outDir, SITE_CONFIG.selfHosted?.runtimePath);
+  if (!target) return null;
+
+  let sourceDir;
+  try {
+    sourceDir = path.dirname(require.resolve('@huggingface/transformers'));
+  } catch {
+    console.warn('⚠️ @huggingface/transformers is not installed, the site has no runtime at selfHosted.runtimePath (run npm install)');
+    return null;
+  }
+
+  fs.mkdirSync(target, { recursive: true });
+  for (const file of RUNTIME_FILES) {
+    fs.copyFileSync(path.join(sourceDir, file), path.join(target, file));
+  }
+  const { version } = JSON.parse(fs.readFileSync(path.join(sourceDir, '..', 'package.json'), 'utf8'));
+  console.log(`Wrote ${path.relative(ROOT, target)}/ (transformers.js ${version} and its WASM files)`);
+  return target;
+}
+
+// A Hugging Face cache (models--<org>--<model>/snapshots/<revision>) or a plain <org>/<model> folder
+function findSnapshot(sourceDir, modelId) {
+  const cached = path.join(sourceDir, `models--${modelId.split('/').join('--')}`);
+  if (fs.existsSync(cached)) {
+    const ref = path.join(cached, 'refs', 'main');
+    const revision = fs.existsSync(ref)
+      ? fs.readFileSync(ref, 'utf8').trim()
+      : fs.readdirSync(path.join(cached, 'snapshots'))[0];
+    if (revision) return path.join(cached, 'snapshots', revision);
+  }
+  const plain = path.join(sourceDir, modelId);
+  return fs.existsSync(plain) ? plain : null;
+}
+
+// Config and tokenizer JSON, plus weights for the listed dtypes only; the rest can be gigabytes
+function snapshotFiles(snapshotDir, dtypes) {
+  const files = fs.readdirSync(snapshotDir).filter(file => file.endsWith('.json'));
+  const onnxDir = path.join(snapshotDir, 'onnx');
+  if (fs.existsSync(onnxDir)) {
+    const weights = dtypes.map(dtype => `model${DTYPE_SUFFIXES[dtype] ?? `_${dtype}`}.onnx`);
+    for (const file of fs.readdirSync(onnxDir).sort()) {
+      // Large models keep their weights in model_q4.onnx_data, model_q4.onnx_data_1, ...
+      if (weights.some(name => file === name || file.startsWith(`${name}_data`))) files.push(`onnx/${file}`);
+    }
+  }
+  return files;
+}
+
+// Models in the picker with their dtypes, plus the semantic search model
+async function modelsToCopy(requested) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const { normalizeRegistry, selectableModels, findModel } = await importAsset('models.js');
+  const registry = normalizeRegistry(JSON.parse(fs.readFileSync(path.join(ROOT, SITE_CONFIG.modelsPath || 'assets/models.json'), 'utf8')));
+
+  const semantic = SITE_CONFIG.semanticSearch?.enabled ? SITE_CONFIG.semanticSearch : null;
+  const dtypesFor = (id) => findModel(registry, id)?.dtypes || (id === semantic?.model ? [semantic.dtype || 'q8'] : ['q4']);
+
+  const ids = requested.length > 0 ? requested
+    : SITE_CONFIG.selfHosted?.models?.length > 0 ? SITE_CONFIG.selfHosted.models
+      : [...selectableModels(registry).map(model => model.id), ...(semantic ? [semantic.model] : [])];
+  return [...new Set(ids)].map(id => ({ id, dtypes: dtypesFor(id) }));
+}
+
+async function copyModels(outDir, { sourceDir = null, modelIds = [] } = {}) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const selfHosted = SITE_CONFIG.selfHosted || {};
+  const target = siteDir(outDir, selfHosted.localModelPath);
+  if (!target) {
+    console.log('selfHosted.localModelPath is not a folder on this site, no models to copy');
+    return [];
+  }
+
+  const from = path.resolve(ROOT, sourceDir || selfHosted.modelSourceDir || 'models');
+  const copied = [];
+  for (const { id, dtypes } of await modelsToCopy(modelIds)) {
+    const snapshot = findSnapshot(from, id);
+    if (!snapshot) {
+      console.warn(`⚠️ No snapshot of ${id} in ${path.relative(ROOT, from) || '.'}, skipping it`);
+      continue;
+    }
+    const files = snapshotFiles(snapshot, dtypes);
+    if (!files.some(file => file.startsWith('onnx/'))) {
+      console.warn(`⚠️ ${id} has no ONNX weights for ${dtypes.join(', ')}, skipping it`);
+      continue;
+    }
+
+    let bytes = 0;
+    for (const file of files) {
+      const destination = path.join(target, id, file);
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.copyFileSync(path.join(snapshot, file), destination); // Follows the cache's symlinks to blobs
+      bytes += fs.statSync(destination).size;
+    }
+    console.log(`📦 ${id}: ${files.length} files, ${(bytes / 1e6).toFixed(1)} MB`);
+    copied.push(id);
+  }
+
+  console.log(`Copied ${copied.length} models to ${path.relative(ROOT, target)}/`);
+  return copied;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fromIndex = args.indexOf('--from');
+  const sourceDir = fromIndex >= 0 ? args.splice(fromIndex, 2)[1] : null;
+
+  if (!fs.existsSync(path.join(ROOT, 'dist'))) {
+    console.error('❌ dist/ not found; run npm run build first');
+    process.exit(1);
+  }
+  await copyModels(path.join(ROOT, 'dist'), { sourceDir, modelIds: args });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Could not copy models:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { RUNTIME_FILES, vendorRuntime, findSnapshot, snapshotFiles, copyModels };
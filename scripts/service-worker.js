@@ -0,0 +1,55 @@
+// Build step: list every file in dist/ in the service worker so the first visit caches the whole site
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { importAsset } = require('./content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+const PLACEHOLDER = 'const PRECACHE_MANIFEST = null;';
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+// version changes whenever any file does, which makes browsers install the new service worker.
+// Self-hosted models are left out: they're cached as they download, like models from the Hub.
+function precacheManifest(outDir, swPath, localModelPath = null) {
+  const modelDir = localModelPath && !/^[a-z]+:/i.test(localModelPath)
+    ? localModelPath.replace(/^\.?\/+/, '').replace(/\/*$/, '/')
+    : null;
+  const hash = crypto.createHash('sha256');
+  const urls = ['./'];
+  for (const file of listFiles(outDir).sort()) {
+    const url = path.relative(outDir, file).split(path.sep).join('/');
+    if (url === swPath || (modelDir && url.startsWith(modelDir))) continue;
+    hash.update(url).update(fs.readFileSync(file));
+    urls.push(encodeURI(url));
+  }
+  return { version: hash.digest('hex').slice(0, 12), urls, ...(modelDir && { localModelPath: modelDir }) };
+}
+
+async function buildServiceWorker(outDir) {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const config = SITE_CONFIG.offline;
+  if (!config?.enabled) {
+    console.log('Offline support disabled, skipping service worker');
+    return null;
+  }
+
+  const swPath = config.serviceWorkerPath || 'sw.js';
+  const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+  if (!source.includes(PLACEHOLDER)) {
+    throw new Error(`sw.js has no "${PLACEHOLDER}" line to fill in`);
+  }
+
+  const manifest = precacheManifest(outDir, swPath, SITE_CONFIG.selfHosted?.localModelPath);
+  const outFile = path.join(outDir, swPath);
+  fs.writeFileSync(outFile, source.replace(PLACEHOLDER, `const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`));
+  console.log(`Wrote ${path.relative(ROOT, outFile)} (${manifest.urls.length} precached files, ${manifest.version})`);
+  return outFile;
+}
+
+module.exports = { precacheManifest, buildServiceWorker };
@@ -0,0 +1,43 @@
+// Validate the résumé before deploy: node scripts/validate-resume.js [path/to/resume.json]
+const fs = require('fs');
+const path = require('path');
+const { importAsset } = require('./content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+
+async function main() {
+  const { SITE_CONFIG } = await importAsset('site-config.js');
+  const { validateResume, formatValidationErrors } = await importAsset('resume-schema.js');
+  const { isJsonResume, fromJsonResume } = await importAsset('json-resume.js');
+
+  const resumePath = process.argv[2] || SITE_CONFIG.resumeJsonPath;
+  if (!resumePath) {
+    console.log('No résumé configured (resumeJsonPath is null), nothing to validate');
+    return;
+  }
+
+  let resumeData;
+  try {
+    resumeData = JSON.parse(fs.readFileSync(path.resolve(ROOT, resumePath), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${resumePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (isJsonResume(resumeData)) {
+    console.log('Detected JSON Resume format, validating the mapped résumé');
+    resumeData = fromJsonResume(resumeData);
+  }
+
+  const { valid, errors } = validateResume(resumeData);
+  if (!valid) {
+    console.error(`❌ ${resumePath} has ${errors.length} problem(s):\n${formatValidationErrors(errors)}`);
+    process.exit(1);
+  }
+  console.log(`✅ ${resumePath} is valid`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not validate the résumé:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,109 @@
+// sw.js — service worker: precaches the built site and serves CDN files and model weights offline
+// `npm run build` fills in PRECACHE_MANIFEST (scripts/service-worker.js). Without it (npm start)
+// site files are cached as they're fetched, so a second visit still works offline.
+const PRECACHE_MANIFEST = null;
+
+const SITE_CACHE = `site-${PRECACHE_MANIFEST?.version || "dev"}`;
+const RUNTIME_CACHE = "runtime"; // transformers.js, ONNX Runtime wasm, styles from CDNs
+// transformers.js puts each model file here once it's fully downloaded, so a cancelled
+// download leaves nothing half-cached (MODEL_CACHE in assets/offline.js)
+const MODEL_CACHE = "transformers-cache";
+
+const CDN_HOSTS = ["cdn.jsdelivr.net", "unpkg.com"];
+const MODEL_FILE = /\/resolve\/[^/]+\//; // https://huggingface.co/<model>/resolve/<revision>/<file>
+// Self-hosted models (site-config selfHosted.localModelPath) are handled like the Hub's
+const LOCAL_MODELS = PRECACHE_MANIFEST?.localModelPath
+  ? new URL(PRECACHE_MANIFEST.localModelPath, self.location).pathname
+  : null;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    if (PRECACHE_MANIFEST) {
+      const cache = await caches.open(SITE_CACHE);
+      await cache.addAll(PRECACHE_MANIFEST.urls);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith("site-") && name !== SITE_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// The page sends URLs only it knows about, like the transformers.js bundle
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "precache") return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(RUNTIME_CACHE);
+    for (const url of event.data.urls || []) {
+      if (await caches.match(url)) continue;
+      try {
+        await cache.add(url);
+      } catch (error) {
+        console.warn(`Could not precache ${url}:`, error);
+      }
+    }
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (MODEL_FILE.test(url.pathname) || (sameOrigin && LOCAL_MODELS && url.pathname.startsWith(LOCAL_MODELS))) {
+    event.respondWith(modelFile(request));
+  } else if (sameOrigin) {
+    event.respondWith(siteFile(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cdnFile(request));
+  }
+});
+
+// Precached files only change with a new build (and so a new service worker); anything
+// else is fetched fresh and kept for when the network is gone
+async function siteFile(request) {
+  // ?seed=, ?persona= and friends shouldn't miss the cached page
+  const cached = await caches.match(request, { ignoreSearch: request.mode === "navigate" });
+  if (cached && PRECACHE_MANIFEST) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await (await caches.open(RUNTIME_CACHE)).put(request, response.clone());
+    return response;
+  } catch (error) {
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// CDN URLs are versioned, so a cached copy never goes stale
+async function cdnFile(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    await (await caches.open(RUNTIME_CACHE)).put(request, response.clone());
+  }
+  return response;
+}
+
+// Offline, an uncached model file is a 404 rather than a network error, so transformers.js
+// skips optional files (like generation_config.json) instead of failing the whole load
+async function modelFile(request) {
+  const cached = await caches.match(request, { cacheName: MODEL_CACHE });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch {
+    return new Response(null, { status: 404, statusText: "Offline and not cached" });
+  }
+}
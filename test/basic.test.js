@@ -21,4 +21,104 @@ require('./context.test.js');
 console.log('\nRunning manuscript functionality tests...');
 require('./simple-manuscript.test.js');
 
+// Run retrieval tests
+console.log('\nRunning retrieval tests...');
+require('./retrieval.test.js');
+
+// Run embedding index tests
+console.log('\nRunning embedding index tests...');
+require('./embeddings.test.js');
+
+// Run prompt budget tests
+console.log('\nRunning prompt budget tests...');
+require('./prompt-budget.test.js');
+
+// Run content source tests
+console.log('\nRunning content source tests...');
+require('./content-sources.test.js');
+
+// Run JSON Resume adapter tests
+console.log('\nRunning JSON Resume adapter tests...');
+require('./json-resume.test.js');
+
+// Run résumé schema tests
+console.log('\nRunning résumé schema tests...');
+require('./resume-schema.test.js');
+
+// Run manuscript chapter tests
+console.log('\nRunning manuscript chapter tests...');
+require('./manuscript-chapters.test.js');
+
+// Run Kindle clippings tests
+console.log('\nRunning Kindle clippings tests...');
+require('./kindle-clippings.test.js');
+
+// Run seeded random tests
+console.log('\nRunning seeded random tests...');
+require('./seeded-random.test.js');
+
+// Run prompt template tests
+console.log('\nRunning prompt template tests...');
+require('./prompt-templates.test.js');
+
+// Run persona tests
+console.log('\nRunning persona tests...');
+require('./personas.test.js');
+
+// Run citation tests
+console.log('\nRunning citation tests...');
+require('./citations.test.js');
+
+// Run content bundle tests
+console.log('\nRunning content bundle tests...');
+require('./content-bundle.test.js');
+
+// Run model registry tests
+console.log('\nRunning model registry tests...');
+require('./model-registry.test.js');
+
+// Run download progress tests
+console.log('\nRunning download progress tests...');
+require('./download-progress.test.js');
+
+// Run model worker tests
+console.log('\nRunning model worker tests...');
+require('./model-worker.test.js');
+
+// Run offline support tests
+console.log('\nRunning offline support tests...');
+require('./offline.test.js');
+
+// Run self-hosting tests
+console.log('\nRunning self-hosting tests...');
+require('./self-host.test.js');
+
+// Run stop generation tests
+console.log('\nRunning stop generation tests...');
+require('./stop-generation.test.js');
+
+// Run chat server backend tests
+console.log('\nRunning chat server backend tests...');
+require('./openai-backend.test.js');
+
+// Run KV cache tests
+console.log('\nRunning KV cache tests...');
+require('./kv-cache.test.js');
+
+// Run generation preset tests
+console.log('\nRunning generation preset tests...');
+require('./generation-presets.test.js');
+
+// Run post-processing tests
+console.log('\nRunning post-processing tests...');
+require('./post-process.test.js');
+
+// Run quality gate tests
+console.log('\nRunning quality gate tests...');
+require('./quality-gate.test.js');
+
+// Run model fallback tests
+console.log('\nRunning model fallback tests...');
+require('./model-fallback.test.js');
+
 console.log('\n🎉 Basic tests passed!');
@@ -0,0 +1,43 @@
+// Imports assets/chat.js in Node for behavior tests. The browser globals it touches on import are
+// stubbed, and the model registry is read from disk.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// fetch for repo files, the way DataLoader and loadModelRegistry fetch them in the browser
+function fileFetch(file) {
+  const target = path.resolve(String(file));
+  const exists = fs.existsSync(target);
+  const body = exists ? fs.readFileSync(target, 'utf8') : '';
+  return Promise.resolve({
+    ok: exists,
+    status: exists ? 200 : 404,
+    statusText: exists ? 'OK' : 'Not Found',
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  });
+}
+
+let chatModule = null; // One import shared by every test file
+
+function importChat() {
+  chatModule ??= load();
+  return chatModule;
+}
+
+async function load() {
+  globalThis.document ??= { baseURI: pathToFileURL(path.resolve('index.html')).href };
+  globalThis.HTMLElement ??= class { };
+  globalThis.customElements ??= { define() { } };
+
+  // Other tests may be talking to a local server meanwhile; only relative paths are files
+  const fetch = globalThis.fetch;
+  globalThis.fetch = (url, init) => (/^[a-z]+:/i.test(String(url)) ? fetch(url, init) : fileFetch(url));
+  try {
+    return await import(pathToFileURL(path.resolve('assets/chat.js')).href);
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+module.exports = { importChat, fileFetch };
@@ -0,0 +1,82 @@
+// Test for inline source citations
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing citations...');
+
+const citationsJs = fs.readFileSync('assets/citations.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const chatCss = fs.readFileSync('assets/chat.css', 'utf8');
+
+// Test 1: Every injected passage is tagged with its ID
+console.log('  ✓ Testing passage tagging...');
+assert(contextJs.includes('`[${passage.id}] ${renderPassage(passage, dataLoader.sources)}`'), 'Retrieved passages should carry their ID');
+assert(contextJs.includes("`[${passage.id}] ${renderPassage(passage, dataLoader.sources, 'renderSample')}`"), 'Random passages should carry their ID');
+assert(contextJs.includes('`- [${id}] ${job.role} at ${job.company}'), 'Résumé work entries should carry their ID');
+assert(contextJs.includes("id: `h${b + 1}.${h + 1}`, // Same IDs"), 'Random highlights should use the passage IDs');
+assert(contextJs.includes('cite its ID in square brackets'), 'Prompt should ask the model to cite IDs');
+assert(contextJs.includes('trace.citations = describeCitations(cited, dataLoader.sources)'), 'Prompt builder should report what each ID refers to');
+['resume', 'highlights', 'manuscript'].forEach(type => {
+  const start = contextJs.indexOf(`\n  ${type}: {`);
+  const end = contextJs.indexOf('\n  },', start);
+  assert(contextJs.slice(start, end).includes('cite:'), `${type} source should describe its citations`);
+});
+
+// Test 2: UI renders chips and flags unknown IDs
+console.log('  ✓ Testing chat UI...');
+assert(chatJs.includes('renderCitationChips(formatted, citations)'), 'Messages should render citation chips');
+assert(chatJs.includes('toggleCitation(chip)'), 'Clicking a chip should show the source');
+assert(chatJs.includes('findCitations(reply, citations)'), 'Answers should be checked for unknown citations');
+assert(chatCss.includes('.message .cite.unknown'), 'Unknown citations should be styled');
+
+// Test 3: Parsing and rendering, evaluated from the module source
+console.log('  ✓ Testing citation parsing...');
+const { findCitations, citationsInPrompt, renderCitationChips } = new Function(
+  `${citationsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { findCitations, citationsInPrompt, renderCitationChips };`
+)();
+
+const known = { w1: { title: 'Engineer at Acme' }, 'h2.3': { title: '"Clean Code" by Robert C. Martin' } };
+const answer = 'Fred leads AI work [w1] and likes clean code [h2.3][w1]. He also won a Nobel prize [x9]. See [the docs](https://example.com).';
+
+assert.deepStrictEqual(findCitations(answer, known), { cited: ['w1', 'h2.3', 'x9'], known: ['w1', 'h2.3'], unknown: ['x9'] });
+assert.deepStrictEqual(findCitations('No citations here, just [brackets].', known).cited, [], 'Plain brackets are not citations');
+assert.deepStrictEqual(findCitations('[projects12] and [faq3]', {}).cited, ['projects12', 'faq3'], 'Custom source IDs should be recognized');
+
+const html = renderCitationChips(answer, known);
+assert.strictEqual((html.match(/class="cite"/g) || []).length, 3, 'Known citations should become chips');
+assert.strictEqual((html.match(/class="cite unknown"/g) || []).length, 1, 'Unknown citations should be flagged');
+assert(html.includes('data-cite="w1" title="Engineer at Acme">1</button>'), 'Chips should be numbered by first appearance');
+assert(html.includes('data-cite="h2.3" title="&quot;Clean Code&quot; by Robert C. Martin">2</button>'), 'Chip titles should be escaped');
+assert((html.match(/data-cite="w1"[^>]*>1</g) || []).length === 2, 'Repeated citations should reuse their number');
+assert(html.includes('[the docs](https://example.com)'), 'Markdown links should be left alone');
+
+// Test 4: Passages trimmed to fit the budget can't be cited
+console.log('  ✓ Testing trimmed passages...');
+const { fitSections } = new Function(
+  `${fs.readFileSync('assets/prompt-budget.js', 'utf8').replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { fitSections };`
+)();
+assert(chatJs.includes('selections.citations = citationsInPrompt(selections.citations, passageText);'), 'Citations should follow the trimmed prompt');
+(async () => {
+  const render = (sections) => sections.flatMap(section => section.items).join('\n');
+  const fitted = await fitSections([
+    { name: 'base', priority: 100, pinned: 1, items: ['Cite IDs like [w1].'] },
+    { name: 'passages', priority: 1, items: ['[h2.3] Clean code matters.', `[m4] ${'A long manuscript passage. '.repeat(10)}`] }
+  ], { budget: 30, render });
+  assert.deepStrictEqual(fitted.sections[1].items, ['[h2.3] Clean code matters.'], 'The manuscript passage should be trimmed');
+
+  const all = { ...known, m4: { title: 'Chapter 7: The AI Revolution' } };
+  const passageText = fitted.sections.filter(section => section.name === 'passages').flatMap(section => section.items).join('\n');
+  const kept = citationsInPrompt(all, passageText);
+  assert.deepStrictEqual(Object.keys(kept), ['h2.3'], 'Only passages left in the prompt are citable');
+  assert.deepStrictEqual(findCitations('Clean code [h2.3], the AI revolution [m4], Acme [w1].', kept),
+    { cited: ['h2.3', 'm4', 'w1'], known: ['h2.3'], unknown: ['m4', 'w1'] }, 'A trimmed passage is an unknown citation');
+
+  console.log('\n✅ Citation tests passed!');
+  console.log('- Every injected passage is tagged with a stable ID');
+  console.log('- Cited IDs render as footnote chips; unknown IDs are flagged');
+  console.log('- Passages trimmed from the prompt count as unknown');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
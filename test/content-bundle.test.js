@@ -0,0 +1,51 @@
+// Test for the build-time content bundle
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing content bundle...');
+
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+const buildJs = fs.readFileSync('scripts/build.js', 'utf8');
+
+// Test 1: Build and config
+console.log('  ✓ Testing build integration...');
+assert(buildJs.includes("buildContentBundle('dist')"), 'npm run build should write the content bundle');
+assert(siteConfigJs.includes('contentBundle: {'), 'site-config.js should configure the content bundle');
+
+// Test 2: DataLoader prefers the bundle and falls back to raw files
+console.log('  ✓ Testing runtime loading...');
+assert(contextJs.includes('async loadBundle()'), 'DataLoader should load the bundle');
+assert(contextJs.includes('source.restore(bundled.data, source)'), 'Bundled sources should be restored by their type');
+assert(contextJs.includes('loading raw content files'), 'Missing bundle should fall back to raw files');
+assert(contextJs.includes('bundle.format !== CONTENT_BUNDLE_FORMAT'), 'Bundles from another format should be ignored');
+
+// Test 3: Compile the sample content
+console.log('  ✓ Testing compiled bundle...');
+(async () => {
+  const { compileContentBundle } = require('../scripts/content-bundle');
+  const bundle = await compileContentBundle();
+
+  assert.strictEqual(bundle.format, 'content-bundle.v1');
+  assert(/^2025/.test(bundle.contextVersion), 'Bundle should record the context version');
+  assert(/^[0-9a-f]{12}$/.test(bundle.contentHash), 'Bundle should carry a content hash');
+  assert.deepStrictEqual(Object.keys(bundle.sources), ['resume', 'highlights', 'manuscript']);
+
+  const { manuscript } = bundle.sources;
+  assert(manuscript.data.paragraphs.length > 0, 'Manuscript should be pre-chunked into paragraphs');
+  manuscript.data.paragraphs.forEach(p => {
+    assert(p.chapter === null || manuscript.data.chapters[p.chapter], 'Paragraphs should reference chapters by index');
+  });
+  assert(bundle.passages.some(p => p.id === 'h1.1' && p.source === 'highlights'), 'Highlights should be flattened with IDs');
+  assert(bundle.passages.some(p => p.id === 'w1' && p.source === 'resume'), 'Work history should be flattened with IDs');
+
+  const again = await compileContentBundle();
+  assert.strictEqual(again.contentHash, bundle.contentHash, 'Unchanged content should give the same hash');
+
+  console.log('\n✅ Content bundle tests passed!');
+  console.log('- npm run build compiles every source into one versioned bundle');
+  console.log('- DataLoader uses the bundle and falls back to raw files in dev');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+// Test for the pluggable content-source registry
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing content source registry...');
+
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+const buildEmbeddingsJs = fs.readFileSync('scripts/embeddings.js', 'utf8');
+
+// Test 1: Registry structure
+console.log('  ✓ Testing source types...');
+assert(contextJs.includes('const SOURCE_TYPES = {'), 'SOURCE_TYPES registry missing');
+['resume', 'highlights', 'manuscript', 'list', 'faq'].forEach(type => {
+  assert(new RegExp(`\\n  ${type}: {`).test(contextJs), `Built-in source type missing: ${type}`);
+});
+['format', 'passages', 'render', 'sample', 'renderPassage'].forEach(field => {
+  assert(contextJs.includes(`// - ${field}`), `Source interface field should be documented: ${field}`);
+});
+
+// Test 2: Built-ins go through the same interface
+console.log('  ✓ Testing built-in sources...');
+assert(contextJs.includes("{ id: 'resume', type: 'resume'"), 'Resume should be a registered source');
+assert(contextJs.includes("{ id: 'highlights', type: 'highlights'"), 'Highlights should be a registered source');
+assert(contextJs.includes("{ id: 'manuscript', type: 'manuscript'"), 'Manuscript should be a registered source');
+assert(contextJs.includes('async loadSource(source)'), 'DataLoader should have one shared loader');
+assert(contextJs.includes('async loadAllSources()'), 'DataLoader should load every source');
+assert(contextJs.includes('source.render(data, source)'), 'Prompt builder should use source renderers');
+assert(contextJs.includes('source.sample(data, options, source)'), 'Random fallback should use source samplers');
+
+// Test 3: Config and build step
+console.log('  ✓ Testing configuration...');
+assert(siteConfigJs.includes('contentSources: ['), 'site-config.js should declare contentSources');
+assert(buildEmbeddingsJs.includes('getContentSources()'), 'Build step should read the same sources');
+
+// Serves files from the repo, 404 for anything else, and records what was asked for
+function fileFetch() {
+  const requested = [];
+  const fetchFile = async (file) => {
+    requested.push(file);
+    const exists = fs.existsSync(file);
+    const body = exists ? fs.readFileSync(file, 'utf8') : '';
+    return { ok: exists, status: exists ? 200 : 404, statusText: exists ? 'OK' : 'Not Found', text: async () => body, json: async () => JSON.parse(body) };
+  };
+  return { fetchFile, requested };
+}
+
+(async () => {
+  // Test 4: Every source loads through loadSource
+  console.log('  ✓ Testing loadSource...');
+  const { DataLoader, getContentSources } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const { fetchFile, requested } = fileFetch();
+  const sources = getContentSources();
+  const loader = new DataLoader(sources, { fetch: fetchFile });
+
+  const loaded = await loader.loadAllSources();
+  assert.deepStrictEqual(loaded.map(({ source }) => source.id).sort(), ['highlights', 'manuscript', 'resume'], 'The built-in sources load through the registry');
+  sources.forEach(source => assert(requested.includes(source.path), `${source.id} should be fetched from its path`));
+  assert.strictEqual(typeof loaded.find(({ source }) => source.id === 'resume').data, 'object', 'JSON sources are parsed');
+
+  const fetched = requested.length;
+  await loader.loadSource(loader.getSource('resume'));
+  assert.strictEqual(requested.length, fetched, 'Loaded sources are cached');
+
+  // Test 5: Extra sources, text format and missing files
+  console.log('  ✓ Testing extra and missing sources...');
+  const lines = { id: 'lines', format: 'text', path: 'README.md', parse: (raw) => raw.split('\n'), restore: (data) => data };
+  const missing = { id: 'missing', format: 'json', path: 'nowhere.json', parse: (raw) => raw, restore: (data) => data };
+  const extraLoader = new DataLoader([lines, missing], { fetch: fileFetch().fetchFile });
+  assert(Array.isArray(await extraLoader.loadSource(lines)), 'A source\'s own parse gets the raw text');
+  const warn = console.warn;
+  console.warn = () => { };
+  assert.strictEqual(await extraLoader.loadSource(missing), null, 'A missing file degrades to null');
+  console.warn = warn;
+  assert(!extraLoader.sourceData.has('missing'), 'Failed loads are not cached');
+  assert.strictEqual(await extraLoader.loadSource(null), null);
+
+  // Test 6: A source that fails to parse is left out of the prompt
+  console.log('  ✓ Testing malformed sources...');
+  const { buildSystemPrompt } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const malformed = { basics: { name: 'Ada' }, work: { company: 'not a list' } };
+  const fetchMalformed = async (file) => (file === sources.find(source => source.id === 'resume').path
+    ? { ok: true, json: async () => malformed }
+    : fileFetch().fetchFile(file));
+  const malformedLoader = new DataLoader(getContentSources(), { fetch: fetchMalformed });
+  const log = console.log;
+  console.warn = () => { };
+  console.log = () => { };
+  const resume = await malformedLoader.loadSource(malformedLoader.getSource('resume'));
+  const prompt = await buildSystemPrompt({ dataLoader: malformedLoader });
+  console.warn = warn;
+  console.log = log;
+  assert.strictEqual(resume, null, 'A JSON Resume with a non-array work degrades to null');
+  assert(prompt.includes('Answer questions'), 'The prompt is built without the malformed source');
+
+  console.log('\n✅ Content source tests passed!');
+  console.log('- Built-in résumé, highlights and manuscript use the source interface');
+  console.log('- Extra sources can be added from site-config.js');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
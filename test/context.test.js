@@ -1,6 +1,9 @@
 // Test for context.js module functionality
 const fs = require('fs');
+const path = require('path');
 const assert = require('assert');
+const { pathToFileURL } = require('url');
+const { fileFetch } = require('./chat-module');
 
 console.log('Testing context.js module functionality...');
 
@@ -12,7 +15,6 @@ const contextJs = fs.readFileSync('assets/context.js', 'utf8');
 assert(contextJs.includes('export'), 'Context module should use ES6 exports');
 assert(contextJs.includes('import { SITE_CONFIG'), 'Should import SITE_CONFIG');
 assert(contextJs.includes('CONTEXT_VERSION'), 'CONTEXT_VERSION constant missing');
-assert(contextJs.includes('BASE_SYSTEM_PROMPT'), 'BASE_SYSTEM_PROMPT constant missing');
 assert(contextJs.includes('BOOK_PROMOS'), 'BOOK_PROMOS array missing');
 assert(contextJs.includes('FUNNY_QUIPS'), 'FUNNY_QUIPS array missing');
 assert(contextJs.includes('buildSystemPrompt'), 'buildSystemPrompt function missing');
@@ -24,13 +26,12 @@ const versionMatch = contextJs.match(/CONTEXT_VERSION = "([^"]+)"/);
 assert(versionMatch, 'CONTEXT_VERSION should be a quoted string');
 assert(versionMatch[1].includes('2025'), 'Version should include year 2025');
 
-// Test 3: Test configuration-driven BASE_SYSTEM_PROMPT
-console.log('  ✓ Testing BASE_SYSTEM_PROMPT content...');
-assert(contextJs.includes('createBaseSystemPrompt'), 'Should have createBaseSystemPrompt function');
+// Test 3: Test configuration-driven system prompt
+console.log('  ✓ Testing system prompt content...');
 assert(contextJs.includes('SITE_CONFIG.name'), 'Should reference SITE_CONFIG.name');
 assert(contextJs.includes('SITE_CONFIG.personalityTrait'), 'Should reference personalityTrait');
-assert(contextJs.includes('factually'), 'BASE_SYSTEM_PROMPT should emphasize factual answers');
-assert(contextJs.includes('concisely'), 'BASE_SYSTEM_PROMPT should emphasize concise answers');
+assert(contextJs.includes('factually'), 'The system prompt should emphasize factual answers');
+assert(contextJs.includes('concisely'), 'The system prompt should emphasize concise answers');
 
 // Test 4: Test configurable BOOK_PROMOS
 console.log('  ✓ Testing BOOK_PROMOS array...');
@@ -98,10 +99,28 @@ assert(fs.existsSync('assets/resume.json'), 'assets/resume.json should exist');
 assert(fs.existsSync('public/files/highlights.sample.json'), 'highlights.sample.json should exist');
 assert(fs.existsSync('public/files/manuscript.sample.txt'), 'manuscript.sample.txt should exist');
 
-console.log('\n✅ Context module tests passed!');
+// Test 14: The system prompt is built per persona and template when asked for, not at import
+(async () => {
+  console.log('  ✓ Testing prompts per persona and template...');
+  const context = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const prompts = Object.keys(context).filter(name => typeof context[name] === 'string' && context[name].includes('You are'));
+  assert.deepStrictEqual(prompts, [], 'Importing context.js should not build a prompt');
+
+  const warn = console.warn;
+  console.warn = () => { };
+  const dataLoader = new context.DataLoader(context.getContentSources(), { fetch: fileFetch });
+  const build = (options) => context.buildSystemPrompt({ dataLoader, seed: 1, ...options });
+  const snarky = await build({ persona: 'snarky' });
+  const professional = await build({ persona: 'professional' });
+  const conversational = await build({ persona: 'snarky', template: 'conversational' });
+  console.warn = warn;
+  assert(snarky.includes('be snarky and humorous') && professional.includes('be professional and helpful'), 'Each persona should get its own prompt');
+  assert(!snarky.includes('You are chatting') && conversational.includes('You are chatting with a visitor'), 'Each template should give its own prompt');
+
+  console.log('\n✅ Context module tests passed!');
 console.log('- context.js file properly structured with configuration support');
 console.log('- CONTEXT_VERSION properly formatted with current year');
-console.log('- BASE_SYSTEM_PROMPT uses configuration for personalization');
+console.log('- The system prompt uses configuration for personalization');
 console.log('- BOOK_PROMOS and FUNNY_QUIPS are configurable');
 console.log('- DataLoader class uses configuration paths');
 console.log('- Selection functions support deterministic options');
@@ -109,4 +128,8 @@ console.log('- buildSystemPrompt function uses configuration');
 console.log('- Graceful degradation supported for missing files');
 console.log('- site-config.js properly structured');
 console.log('- Sample content files are present');
-console.log('- All expected exports present');
\ No newline at end of file
+console.log('- All expected exports present');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -19,11 +19,13 @@ assert(chatJs.includes('REPETITION_PENALTY: { min:'), 'REPETITION_PENALTY range
 // Test 2: Verify getDynamicValues function exists
 console.log('  ✓ Testing getDynamicValues function...');
 assert(chatJs.includes('getDynamicValues()'), 'getDynamicValues method missing');
-assert(chatJs.includes('Math.random() * (range.max - range.min)'), 'Random value generation missing');
+assert(chatJs.includes('random() * (range.max - range.min)'), 'Random value generation missing');
+assert(chatJs.includes('getDynamicValues(random = sessionRandom)'), 'Dynamic values should use the seeded session generator');
 
 // Test 3: Verify dynamic parameters are used in ChatEngine
 console.log('  ✓ Testing dynamic parameter usage...');
-assert(chatJs.includes('this.currentParams = CONFIG.getDynamicValues()'), 'Dynamic parameter generation missing');
+assert(chatJs.includes('random: ({ random, length }) => withLength(CONFIG.getDynamicValues(random), length)'), 'getDynamicValues should back the random strategy');
+assert(chatJs.includes('this.currentParams = this.generationParams(model);'), 'Dynamic parameter generation missing');
 assert(chatJs.includes('console.log("🎲 Dynamic parameters for this response:"'), 'Dynamic parameter logging missing');
 
 // Test 4: Test the dynamic value generation logic
@@ -9,12 +9,12 @@ console.log('Testing end-to-end dynamic generation functionality...');
 
 // Test 1: Verify generateText method accepts dynamic parameters
 console.log('  ✓ Testing generateText method signature...');
-assert(chatJs.includes('async generateText(prompt, onUpdate, dynamicParams = null)'), 'generateText method should accept dynamicParams');
+assert(chatJs.includes('async generateText(prompt, onUpdate, dynamicParams = null, messages = null)'), 'generateText method should accept dynamicParams');
 assert(chatJs.includes('const params = dynamicParams || CONFIG.getDynamicValues()'), 'generateText should use dynamic parameters');
 
 // Test 2: Verify parameters are passed from ChatEngine to ModelManager
 console.log('  ✓ Testing parameter passing...');
-assert(chatJs.includes('this.modelManager.generateText(formatted, onUpdate, this.chatEngine.currentParams)'),
+assert(chatJs.includes('this.modelManager.generateText(formatted, onUpdate, this.chatEngine.currentParams, this.chatEngine.currentMessages)'),
        'generateText should be called with dynamic parameters');
 
 // Test 3: Verify sampling is enabled for temperature > 0
@@ -24,8 +24,8 @@ assert(chatJs.includes('do_sample: shouldSample'), 'do_sample should use shouldS
 
 // Test 4: Verify dynamic context length usage
 console.log('  ✓ Testing dynamic context length...');
-assert(chatJs.includes('formatted.length > this.currentParams.MAX_CONTEXT_LENGTH'), 'Dynamic context length check missing');
-assert(chatJs.includes('fullPrompt.length > this.currentParams.MAX_CONTEXT_LENGTH'), 'Dynamic context length check missing in fallback');
+assert(chatJs.includes('Math.min(this.currentParams.MAX_CONTEXT_LENGTH, windowBudget)'), 'Dynamic context length should cap the prompt budget');
+assert(chatJs.includes('const budget = this._contextBudget(modelId)'), 'formatPrompt should enforce the prompt budget');
 
 // Test 5: Verify dynamic history limit usage
 console.log('  ✓ Testing dynamic history limit...');
@@ -0,0 +1,51 @@
+// Test for the build-time embedding index and runtime semantic search
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing semantic embedding index...');
+
+const embeddingsJs = fs.readFileSync('assets/embeddings.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const buildJs = fs.readFileSync('scripts/build.js', 'utf8');
+const buildEmbeddingsJs = fs.readFileSync('scripts/embeddings.js', 'utf8');
+
+// Test 1: Build step writes the index
+console.log('  ✓ Testing build integration...');
+assert(buildJs.includes("require('./embeddings')"), 'build.js should use the embeddings build step');
+assert(buildEmbeddingsJs.includes("'feature-extraction'"), 'Build step should use a feature-extraction pipeline');
+assert(buildEmbeddingsJs.includes('collectPassages'), 'Build step should chunk content the same way as the runtime');
+
+// Test 2: Runtime integration
+console.log('  ✓ Testing runtime integration...');
+assert(contextJs.includes('async loadSemanticIndex()'), 'DataLoader should load the embedding index');
+assert(contextJs.includes('hashPassages(this.passages)'), 'Stale indexes should be detected by content hash');
+assert(contextJs.includes('function fuseRankings'), 'Keyword and semantic results should be fused');
+assert(chatJs.includes('async embed(text, modelId, onProgress = null)'), 'ModelManager should embed queries');
+assert(chatJs.includes('this.ui.showLoadProgress("Search model", progress, { cancellable: false })'), 'The embedding model download should show progress');
+assert(buildEmbeddingsJs.includes('error.fatal = true') && buildJs.includes('process.exitCode = 1'),
+  'A missing @huggingface/transformers should fail the build while semantic search is enabled');
+
+// Test 3: Quantized index round trip, evaluated from the module source
+console.log('  ✓ Testing int8 index round trip...');
+const { createIndexJSON, hashPassages, SemanticIndex } = new Function(
+  `${embeddingsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { createIndexJSON, hashPassages, SemanticIndex };`
+)();
+
+const passages = [{ id: 'a', text: 'alpha' }, { id: 'b', text: 'beta' }, { id: 'c', text: 'gamma' }];
+const json = createIndexJSON(passages, [[2, 0, 0], [0, 3, 0], [1, 1, 0]], 'test-model');
+
+assert.strictEqual(json.dim, 3, 'Index should record the vector dimension');
+assert.strictEqual(json.contentHash, hashPassages(passages), 'Index should record the content hash');
+assert.notStrictEqual(hashPassages(passages), hashPassages([{ id: 'a', text: 'changed' }]), 'Hash should change with content');
+
+const index = SemanticIndex.fromJSON(JSON.parse(JSON.stringify(json)));
+const results = index.search([1, 0.1, 0], { topK: 2 });
+assert.deepStrictEqual(results.map(r => r.id), ['a', 'c'], 'Nearest neighbours should be ranked by cosine similarity');
+assert(Math.abs(results[0].score - 0.995) < 0.01, 'Quantized cosine should stay close to the exact value');
+assert.deepStrictEqual(index.search([1, 0]), [], 'Mismatched dimensions should return nothing');
+assert.throws(() => SemanticIndex.fromJSON({ format: 'other' }), /Unsupported/, 'Unknown formats should be rejected');
+
+console.log('\n✅ Embedding index tests passed!');
+console.log('- Build step embeds passages into a compact int8 index');
+console.log('- Runtime search ranks passages by cosine similarity');
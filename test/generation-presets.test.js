@@ -0,0 +1,89 @@
+// Test for named generation presets, answer length and creativity picks
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing generation presets...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const presetsJs = fs.readFileSync('assets/generation-presets.js', 'utf8');
+const modelsJs = fs.readFileSync('assets/models.js', 'utf8');
+const registry = JSON.parse(fs.readFileSync('assets/models.json', 'utf8'));
+
+// Evaluate the browser module without its export block
+const { PRESETS, DEFAULT_PRESET, LENGTHS, resolvePresetName, choosePreset, presetValues } = new Function(
+  `${presetsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { PRESETS, DEFAULT_PRESET, LENGTHS, resolvePresetName, choosePreset, presetValues };`
+)();
+const { normalizeModel } = new Function(
+  `${modelsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { normalizeModel };`
+)();
+
+// Small seeded generator so draws are repeatable
+function seeded(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+// Test 1: Presets
+console.log('  ✓ Testing presets...');
+assert.deepStrictEqual(Object.keys(PRESETS), ['precise', 'balanced', 'playful']);
+assert.strictEqual(DEFAULT_PRESET, 'balanced');
+assert(PRESETS.precise.TEMPERATURE < PRESETS.balanced.TEMPERATURE && PRESETS.balanced.TEMPERATURE < PRESETS.playful.TEMPERATURE,
+  'Presets should go from precise to playful');
+const keys = ['TEMPERATURE', 'TOP_P', 'TOP_K', 'REPETITION_PENALTY', 'MAX_NEW_TOKENS', 'HISTORY_LIMIT', 'MAX_CONTEXT_LENGTH'];
+assert.deepStrictEqual(Object.keys(presetValues('precise')).sort(), [...keys].sort(), 'Every parameter generation needs is set');
+
+// Test 2: Same preset, same answer settings; jitter stays within its bounds
+console.log('  ✓ Testing jitter...');
+const random = seeded(1);
+const precise = presetValues('precise', { random });
+for (let i = 0; i < 20; i++) {
+  assert.deepStrictEqual(presetValues('precise', { random }), precise, 'A preset without jitter never varies');
+  const playful = presetValues('playful', { random });
+  assert(Math.abs(playful.TEMPERATURE - PRESETS.playful.TEMPERATURE) <= PRESETS.playful.jitter.TEMPERATURE + 1e-9, 'Temperature jitter out of bounds');
+  assert(Number.isInteger(playful.TOP_K), 'TOP_K should stay an integer');
+  assert.strictEqual(playful.MAX_NEW_TOKENS, PRESETS.playful.MAX_NEW_TOKENS, 'Parameters without jitter stay fixed');
+}
+assert.deepStrictEqual(presetValues('playful', { random: seeded(7) }), presetValues('playful', { random: seeded(7) }), 'Jitter follows the session seed');
+
+// Test 3: Length picks and unknown names
+console.log('  ✓ Testing length and fallbacks...');
+assert.strictEqual(presetValues('playful', { length: 'short' }).MAX_NEW_TOKENS, LENGTHS.short);
+assert.strictEqual(presetValues('precise', { length: 'long' }).MAX_NEW_TOKENS, LENGTHS.long);
+assert.strictEqual(presetValues('precise', { length: 'huge' }).MAX_NEW_TOKENS, PRESETS.precise.MAX_NEW_TOKENS, 'Unknown lengths keep the preset\'s');
+const warn = console.warn;
+console.warn = () => { };
+assert.strictEqual(resolvePresetName('creative'), DEFAULT_PRESET, 'Unknown presets fall back to the default');
+console.warn = warn;
+assert.strictEqual(resolvePresetName(null), DEFAULT_PRESET);
+
+// Which preset wins: the visitor's pick, then the persona's, then the model's
+const persona = { preset: 'playful' };
+const withPreset = normalizeModel({ id: 'a/precise', preset: 'precise' });
+const withoutPreset = normalizeModel({ id: 'a/plain' });
+assert.strictEqual(choosePreset({ creativity: 'balanced', model: withPreset, persona }), 'balanced', 'The visitor\'s pick wins');
+assert.strictEqual(choosePreset({ model: withPreset, persona }), 'playful', 'The persona\'s preset beats the model\'s');
+assert.strictEqual(choosePreset({ model: withPreset, persona: { preset: null } }), 'precise', 'The model\'s preset covers personas without one');
+assert.strictEqual(choosePreset({ model: withoutPreset, persona }), 'playful');
+assert.strictEqual(choosePreset({ model: withoutPreset }), DEFAULT_PRESET, 'Without either, the default preset');
+assert.strictEqual(choosePreset(), DEFAULT_PRESET);
+
+// Test 4: Every model on offer declares a known default preset
+console.log('  ✓ Testing model defaults...');
+registry.models.filter(model => model.status !== 'broken').forEach(model => {
+  assert(PRESETS[model.preset], `${model.id} should declare a known preset`);
+});
+
+// Test 5: Strategies and visitor choices in the chat component
+console.log('  ✓ Testing strategies and UI...');
+assert(chatJs.includes('PARAMS_STRATEGY: "preset"'), 'Presets should be the default strategy');
+assert(chatJs.includes('preset: ({ random, preset, length }) => presetValues(preset, { random, length })'), 'Preset strategy missing');
+assert(chatJs.includes('random: ({ random, length }) => withLength(CONFIG.getDynamicValues(random), length)'), 'getDynamicValues should stay available as a strategy');
+assert(chatJs.includes('<select id="lengthSelect"') && chatJs.includes('<select id="creativitySelect"'), 'Visitors should pick length and creativity');
+assert(chatJs.includes('localStorage.setItem("generation", JSON.stringify(chosen))'), 'Picks should be remembered');
+
+console.log('\n✅ Generation preset tests passed!');
+console.log('- precise, balanced and playful presets with optional jitter');
+console.log('- Models declare a default preset; visitors can pick length and creativity');
+console.log('- getDynamicValues is the "random" strategy next to "preset"');
@@ -0,0 +1,102 @@
+// Test for the JSON Resume (jsonresume.org) import adapter
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing JSON Resume adapter...');
+
+const adapterJs = fs.readFileSync('assets/json-resume.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+
+// Test 1: Wiring
+console.log('  ✓ Testing resume source integration...');
+assert(contextJs.includes("import { isJsonResume, fromJsonResume } from './json-resume.js'"), 'context.js should import the adapter');
+assert(contextJs.includes('if (isJsonResume(raw)) {'), 'Resume source should detect JSON Resume files');
+
+// Test 2: Mapping, evaluated from the module source
+console.log('  ✓ Testing field mapping...');
+const { isJsonResume, fromJsonResume, formatDate } = new Function(
+  `${adapterJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { isJsonResume, fromJsonResume, formatDate };`
+)();
+
+const jsonResume = {
+  basics: {
+    name: 'Ada Example',
+    label: 'Engineer',
+    email: 'ada@example.com',
+    phone: '555-0100',
+    url: 'https://ada.example',
+    summary: 'Builds small, sharp tools',
+    location: { city: 'Portland', region: 'OR' },
+    profiles: [{ network: 'GitHub', username: 'ada', url: 'https://github.com/ada' }]
+  },
+  work: [
+    { name: 'Acme', position: 'Staff Engineer', startDate: '2021-03-01', url: 'https://acme.example', summary: 'Leads the platform team', highlights: ['Cut build times in half'] },
+    { name: 'Initech', position: 'Developer', startDate: '2016-06', endDate: '2021-02' }
+  ],
+  volunteer: [{ organization: 'Code Club', position: 'Mentor', startDate: '2019' }],
+  education: [
+    { institution: 'State University', area: 'Computer Science', studyType: 'BSc', endDate: '2016', courses: ['Compilers'] },
+    { institution: 'Tech Institute', area: 'Data Science', studyType: 'MSc', startDate: '2016-09', endDate: '2018-06', score: '3.9', url: 'https://tech.example' }
+  ],
+  skills: [{ name: 'Web', level: 'Advanced', keywords: ['JavaScript', 'CSS'] }, { name: 'Rust', level: 'Beginner' }],
+  languages: [{ language: 'English', fluency: 'Native speaker' }, { language: 'Spanish' }],
+  certificates: [{ name: 'Cloud Architect', issuer: 'CloudCo', date: '2022-04', url: 'https://cert.example' }],
+  interests: [{ name: 'Chess', keywords: ['openings', 'endgames'] }, { name: 'Hiking' }],
+  publications: [{ name: 'On Tools', publisher: 'Tech Press', releaseDate: '2020-05', url: 'https://pub.example' }],
+  awards: [{ title: 'Hackathon Winner', awarder: 'DevConf', date: '2018' }]
+};
+
+assert(isJsonResume(jsonResume), 'JSON Resume files should be detected');
+assert(!isJsonResume(JSON.parse(fs.readFileSync('assets/resume.json', 'utf8'))), 'Site résumé format should not be detected as JSON Resume');
+assert.strictEqual(formatDate('2020-05-01'), 'May 2020', 'Dates should be formatted as month and year');
+assert.strictEqual(formatDate('2018'), '2018', 'Year-only dates should be kept');
+
+const mapped = fromJsonResume(jsonResume, new Date('2026-01-01'));
+assert.strictEqual(mapped.name, 'Ada Example');
+assert.strictEqual(mapped.currentRole, 'Staff Engineer at Acme (Mar 2021 - Present)', 'Current role should come from the open-ended job');
+assert.strictEqual(mapped.experience, '9 Years Experience', 'Experience should count from the earliest job');
+assert.deepStrictEqual(mapped.technicalSkills, ['JavaScript', 'CSS', 'Rust (Beginner)'], 'Skill keywords should be flattened, with levels of skills without keywords');
+assert.strictEqual(mapped.workHistory.length, 3, 'Work and volunteer entries should be included');
+assert(mapped.workHistory[0].description.includes('Cut build times in half'), 'Work highlights should be kept');
+assert(mapped.workHistory[0].description.includes('https://acme.example'), 'Work URLs should be kept');
+assert.strictEqual(mapped.workHistory[1].period, 'Jun 2016 - Feb 2021', 'Work dates should be kept');
+assert.strictEqual(mapped.education[0], 'BSc, Computer Science - State University (2016); courses: Compilers');
+assert.strictEqual(mapped.education[1], 'MSc, Data Science - Tech Institute (Sep 2016 - Jun 2018); score: 3.9 https://tech.example', 'Education dates, score and URL should be kept');
+assert(mapped.publications.includes('Certificate: Cloud Architect from CloudCo (Apr 2022) https://cert.example'), 'Certificates should be listed');
+assert(mapped.background.includes('Languages: English (Native speaker), Spanish.'), 'Languages should be part of the background');
+assert(mapped.background.includes('Interests: Chess (openings, endgames); Hiking.'), 'Interests should be part of the background');
+assert(mapped.publications.some(p => p.includes('Tech Press (May 2020) https://pub.example')), 'Publications should keep publisher, date and URL');
+assert(mapped.publications.some(p => p.startsWith('Award: Hackathon Winner')), 'Awards should be listed');
+assert(mapped.contact.includes('https://github.com/ada'), 'Profile URLs should be kept');
+assert(mapped.contact.includes('555-0100'), 'The phone number should be part of contact');
+assert(mapped.background.includes('Based in Portland, OR'), 'Location should be part of the background');
+
+assert.strictEqual(mapped.workHistory[2].role, 'Mentor (volunteer)');
+assert.strictEqual(mapped.url, undefined, 'basics.url is part of contact');
+
+const warnings = [];
+const warn = console.warn;
+console.warn = (message) => warnings.push(message);
+const volunteers = fromJsonResume({ basics: {}, volunteer: [{ organization: 'Food Bank' }, { summary: 'Nothing to go on' }, { position: 'Tutor' }] }).workHistory;
+console.warn = warn;
+assert.deepStrictEqual(volunteers.map(job => `${job.role} at ${job.company}`), ['Volunteer at Food Bank'],
+  'Volunteer entries without a position fall back to the organization, and without one are skipped');
+assert.deepStrictEqual(warnings, ['Skipping volunteer entry "Tutor" without an organization'], 'A skipped volunteer position is logged');
+
+(async () => {
+  // Test 3: Every mapped field reaches the prompt
+  console.log('  ✓ Testing résumé section...');
+  const { SOURCE_TYPES } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const section = SOURCE_TYPES.resume.render(mapped);
+  const text = section.items.join('\n');
+  assert(text.includes('- Contact: ada@example.com • 555-0100 • https://ada.example • https://github.com/ada'), 'Contact details and URLs should be rendered');
+  assert(!text.includes('undefined'), 'No missing value should show up as "undefined"');
+
+  console.log('\n✅ JSON Resume adapter tests passed!');
+  console.log('- JSON Resume files are detected and mapped to the site résumé shape');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+// Test for the Kindle "My Clippings.txt" importer
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing Kindle clippings importer...');
+
+const clippingsJs = fs.readFileSync('assets/kindle-clippings.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+// Test 1: Wiring
+console.log('  ✓ Testing build step and browser source...');
+assert(fs.existsSync('scripts/import-clippings.js'), 'Import script missing');
+assert(packageJson.scripts['import:clippings'], 'import:clippings npm script missing');
+assert(contextJs.includes(": clippingsToHighlights(raw)"), 'Highlights source should parse raw clippings in the browser');
+
+// Test 2: Parsing, evaluated from the module source
+console.log('  ✓ Testing clippings parsing...');
+const { parseClippings, clippingsToHighlights } = new Function(
+  `${clippingsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { parseClippings, clippingsToHighlights };`
+)();
+
+const sample = [
+  '\uFEFFThe Pragmatic Programmer (Hunt, Andrew; Thomas, David)',
+  '- Your Highlight on page 12 | Location 180-182 | Added on Monday, March 4, 2019 10:15:30 PM',
+  '',
+  'Care about your craft.',
+  '==========',
+  'The Pragmatic Programmer (Hunt, Andrew; Thomas, David)',
+  '- Your Highlight on page 12 | Location 180-184 | Added on Monday, March 4, 2019 10:16:02 PM',
+  '',
+  'Care about your craft. Why spend your life developing software unless you care about doing it well?',
+  '==========',
+  'The Pragmatic Programmer (Hunt, Andrew; Thomas, David)',
+  '- Your Note on page 12 | Location 184 | Added on Monday, March 4, 2019 10:17:00 PM',
+  '',
+  'Put this on the wall',
+  '==========',
+  'The Pragmatic Programmer (Hunt, Andrew; Thomas, David)',
+  '- Your Bookmark on page 40 | Location 610 | Added on Tuesday, March 5, 2019 8:00:00 AM',
+  '',
+  '',
+  '==========',
+  'Thinking, Fast and Slow (Kahneman, Daniel)',
+  '- Highlight Loc. 1205-06 | Added on Sunday, June 2, 2013, 09:12 AM',
+  '',
+  'Nothing in life is as important as you think it is while you are thinking about it.',
+  '==========',
+  'Thinking, Fast and Slow (Kahneman, Daniel)',
+  '- Your Note at location 9000 | Added on Sunday, June 2, 2013 09:20:00 AM',
+  '',
+  'Reread the last chapter',
+  '=========='
+].join('\r\n');
+
+const clippings = parseClippings(sample);
+assert.strictEqual(clippings.length, 6, 'Every entry should be parsed');
+assert.strictEqual(clippings[0].title, 'The Pragmatic Programmer', 'BOM and author should be stripped from the title');
+assert.strictEqual(clippings[0].page, '12', 'Page should be parsed');
+assert.deepStrictEqual(clippings[0].location, { start: 180, end: 182 }, 'Location range should be parsed');
+assert.strictEqual(clippings[2].kind, 'note', 'Notes should be recognized');
+assert.deepStrictEqual(clippings[4].location, { start: 1205, end: 1206 }, 'Abbreviated location ranges should be expanded');
+assert.strictEqual(clippings[4].author, 'Daniel Kahneman', '"Last, First" authors should be normalized');
+
+// Test 3: Grouping, dedupe and notes
+console.log('  ✓ Testing grouping, dedupe and notes...');
+const { books } = clippingsToHighlights(sample);
+assert.strictEqual(books.length, 2, 'Highlights should be grouped by book');
+assert.strictEqual(books[0].author, 'Hunt, Andrew; Thomas, David', 'Multiple authors should be kept as-is');
+
+const pragmatic = books[0].highlights;
+assert.strictEqual(pragmatic.length, 1, 'Overlapping re-highlights should be deduplicated and bookmarks dropped');
+assert(pragmatic[0].text.startsWith('Care about your craft. Why'), 'The longer highlight should be kept');
+assert.strictEqual(pragmatic[0].location, '180-184');
+assert.strictEqual(pragmatic[0].page, '12');
+assert.strictEqual(pragmatic[0].date, '2019-03-04 22:16', 'Date should be normalized');
+assert.strictEqual(pragmatic[0].note, 'Put this on the wall', 'Notes should attach to their highlight');
+
+const thinking = books[1].highlights;
+assert.strictEqual(thinking.length, 2, 'Notes without a highlight should be kept');
+assert.strictEqual(thinking[1].isNote, true, 'Standalone notes should be flagged');
+assert.strictEqual(parseClippings('').length, 0, 'Empty input should parse to nothing');
+
+console.log('\n✅ Kindle clippings tests passed!');
+console.log('- Entries are grouped by title and author with location, page and date');
+console.log('- Overlapping highlights are deduplicated and notes attached');
+console.log('- Available as npm run import:clippings and as a browser source');
@@ -0,0 +1,140 @@
+// Test for reusing past key/values between turns
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing KV cache reuse...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+
+// Token ids as a [1, n] tensor
+function idsTensor(ids) {
+  return { dims: [1, ids.length], tolist: () => [ids] };
+}
+
+// Key/value tensor that remembers which token sits at each position
+function kvTensor(tokens, location = 'cpu') {
+  return {
+    dims: [1, 2, tokens.length, 4],
+    location,
+    tokens,
+    disposed: false,
+    dispose() { this.disposed = true; },
+    slice(...slices) { return kvTensor(tokens.slice(...slices[2]), location); }
+  };
+}
+
+// Whitespace tokenizer and a model that answers "a0 a1 …"; the model checks that the cache it gets
+// lines up with the prompt and records how much it had to prefill
+function fakePipe({ location = 'cpu' } = {}) {
+  const vocab = [];
+  const idOf = (word) => {
+    if (!vocab.includes(word)) vocab.push(word);
+    return BigInt(vocab.indexOf(word));
+  };
+  const tokenizer = (texts) => ({ input_ids: idsTensor(texts[0].split(' ').map(idOf)) });
+  tokenizer.batch_decode = (tensor) => tensor.tolist().map(ids => ids.map(id => vocab[Number(id)]).join(' '));
+
+  const calls = [];
+  const model = {
+    async generate({ input_ids, past_key_values, max_new_tokens }) {
+      const ids = input_ids.tolist()[0];
+      const past = past_key_values?.['past_key_values.0.key'];
+      if (past) assert.deepStrictEqual(past.tokens, ids.slice(0, past.tokens.length), 'Cached positions must match the prompt');
+      calls.push({ prefilled: ids.length - (past?.tokens.length || 0) });
+
+      const sequence = [...ids];
+      for (let i = 0; i < max_new_tokens; i++) sequence.push(idOf(`a${i}`));
+      const cached = sequence.slice(0, -1);
+      return {
+        sequences: idsTensor(sequence),
+        past_key_values: { 'past_key_values.0.key': kvTensor(cached, location), 'past_key_values.0.value': kvTensor(cached, location) }
+      };
+    }
+  };
+  const pipe = async () => [{ generated_text: 'from the pipeline' }];
+  return Object.assign(pipe, { tokenizer, model, calls });
+}
+
+(async () => {
+  // Test 1: Wiring
+  console.log('  ✓ Testing configuration...');
+  assert(chatJs.includes('KV_CACHE: true'), 'CONFIG should turn the cache on by default');
+  assert(chatJs.includes('use_cache: CONFIG.KV_CACHE'), 'The setting should reach the backend');
+  assert(chatJs.includes('this.modelManager.resetCache(`persona changed to ${persona.id}`)'), 'A persona switch should drop the cache');
+  assert(chatJs.includes('this.modelManager.resetCache("chat cleared")'), 'Clearing the chat should drop the cache');
+  assert(chatJs.includes('Promise.resolve(this.activeBackend.resetCache())\n      .catch('), 'A failed worker should not leave an unhandled rejection');
+  assert(chatJs.includes('console.log(`⏱️ Average time to first token: with cache'), 'TTFT with and without the cache should be logged');
+
+  const { TransformersBackend, sharedPrefixLength, withFinishReason } = await import(pathToFileURL(path.resolve('assets/transformers-backend.js')).href);
+  assert.strictEqual(sharedPrefixLength([1n, 2n, 3n], [1n, 2n, 4n, 5n]), 2);
+
+  const options = { max_new_tokens: 3, return_full_text: false, use_cache: true };
+  const generate = (backend, prompt, extra = {}) => backend.generate(prompt, { ...options, ...extra });
+  const newBackend = (pipe) => {
+    const backend = new TransformersBackend({ url: 'unused' });
+    backend.tf = {};
+    backend.pipe = pipe;
+    return backend;
+  };
+
+  // Test 2: Only the new turn is prefilled
+  console.log('  ✓ Testing reuse across turns...');
+  const pipe = fakePipe();
+  const backend = newBackend(pipe);
+  const system = 'sys base persona resume passages';
+  const [first] = await generate(backend, `${system} user: hi assistant:`);
+  assert.strictEqual(first.generated_text, ' a0 a1 a2', 'Only the answer should come back');
+  assert.deepStrictEqual(first.cache, { promptTokens: 8, reusedTokens: 0 });
+  assert.strictEqual(first.finishReason, 'length', 'An answer of max_new_tokens tokens was cut off');
+
+  const [second] = await generate(backend, `${system} user: hi assistant: a0 a1 a2 user: more assistant:`);
+  assert.deepStrictEqual(second.cache, { promptTokens: 14, reusedTokens: 10 }, 'The previous prompt and answer come from the cache');
+  assert.strictEqual(pipe.calls[1].prefilled, 4, 'Only the new turn should be prefilled');
+
+  // Test 3: A changed prompt keeps only the shared prefix
+  console.log('  ✓ Testing context changes...');
+  const [third] = await generate(backend, 'sys base persona resume other passages user: hi assistant:');
+  assert.strictEqual(third.cache.reusedTokens, 4, 'The cache is cut back to where the prompts differ');
+
+  const [same] = await generate(backend, 'sys base persona resume other passages user: hi assistant:');
+  assert.strictEqual(same.cache.reusedTokens, 8, 'At least one prompt token is always prefilled');
+
+  backend.resetCache();
+  const [afterReset] = await generate(backend, 'sys base persona resume other passages user: hi assistant:');
+  assert.strictEqual(afterReset.cache.reusedTokens, 0, 'resetCache() drops the cache');
+
+  await backend.activate({ pipe, modelId: 'm' });
+  const [afterSwitch] = await generate(backend, 'sys base persona resume other passages user: hi assistant:');
+  assert.strictEqual(afterSwitch.cache.reusedTokens, 0, 'A new model starts without a cache');
+
+  const [uncached] = await generate(backend, 'sys base', { use_cache: false });
+  assert.deepStrictEqual(uncached, { generated_text: 'from the pipeline', finishReason: 'stop' }, 'Without use_cache the pipeline runs as before');
+  assert.strictEqual(backend._cache, null);
+
+  // Without a count from the cached path, the answer's tokens are counted again
+  const words = { encode: (text) => text.split(' ').filter(Boolean) };
+  assert.strictEqual(withFinishReason([{ generated_text: 'one two three' }], options, words)[0].finishReason, 'length');
+  assert.strictEqual(withFinishReason([{ generated_text: 'one two' }], options, words)[0].finishReason, 'stop');
+  assert.strictEqual(withFinishReason([{ generated_text: 'one two three' }], options, words, true)[0].finishReason, 'stop', 'A Stop is not a cut-off');
+
+  // Test 4: GPU caches can't be cut, so a partial match starts over
+  console.log('  ✓ Testing GPU caches...');
+  const gpu = newBackend(fakePipe({ location: 'gpu-buffer' }));
+  await generate(gpu, `${system} user: hi assistant:`);
+  const gpuCache = gpu._cache.pastKeyValues;
+  const [gpuPartial] = await generate(gpu, 'sys changed user: hi assistant:');
+  assert.strictEqual(gpuPartial.cache.reusedTokens, 0);
+  assert(Object.values(gpuCache).every(tensor => tensor.disposed), 'GPU buffers of a dropped cache are freed');
+  const [gpuFull] = await generate(gpu, 'sys changed user: hi assistant: a0 a1 a2 user: again assistant:');
+  assert.strictEqual(gpuFull.cache.reusedTokens, 7, 'A cache that is a full prefix is still reused on the GPU');
+
+  console.log('\n✅ KV cache tests passed!');
+  console.log('- Past key/values for the shared prompt prefix are kept between turns');
+  console.log('- The cache is dropped on model, persona or chat changes and cut back when the prompt changes');
+  console.log('- Time to first token with and without the cache is logged');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
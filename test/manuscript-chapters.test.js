@@ -0,0 +1,78 @@
+// Test for chapter-aware manuscript parsing
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing chapter-aware manuscript parsing...');
+
+const manuscriptJs = fs.readFileSync('assets/manuscript.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+
+// Test 1: Integration
+console.log('  ✓ Testing context integration...');
+assert(contextJs.includes('function parseManuscript'), 'parseManuscript function missing');
+assert(contextJs.includes('chapter: paragraph.chapter'), 'Manuscript passages should carry chapter metadata');
+assert(contextJs.includes('findChapterReference(query'), 'Visitors should be able to ask for a chapter');
+assert(contextJs.includes('formatChapter(passage.chapter)'), 'Prompt should cite the chapter');
+
+// Test 2: Heading parsing, evaluated from the module source
+console.log('  ✓ Testing heading styles...');
+const { parseChapterHeading, formatChapter, findChapterReference, parseNumber } = new Function(
+  `${manuscriptJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { parseChapterHeading, formatChapter, findChapterReference, parseNumber };`
+)();
+
+const headings = {
+  'Chapter 7: The AI Revolution': { number: 7, title: 'The AI Revolution' },
+  'CHAPTER SEVEN': { number: 7, title: null },
+  'Chapter VII — The AI Revolution': { number: 7, title: 'The AI Revolution' },
+  'Chapter twenty-one. Endings': { number: 21, title: 'Endings' },
+  '## Chapter 3: The Art of Debugging': { number: 3, title: 'The Art of Debugging' },
+  '## 12. The Future of Code': { number: 12, title: 'The Future of Code' },
+  '# Prologue': { number: null, title: 'Prologue' }
+};
+Object.entries(headings).forEach(([line, expected]) => {
+  assert.deepStrictEqual(parseChapterHeading(line), expected, `Heading not parsed: ${line}`);
+});
+
+assert.deepStrictEqual(parseChapterHeading('7. The AI Revolution', { standalone: true }), { number: 7, title: 'The AI Revolution' }, 'Standalone numbered headings should be recognized');
+assert.strictEqual(parseChapterHeading('7. The AI Revolution'), null, 'Numbered lines inside paragraphs are not headings');
+assert.strictEqual(parseChapterHeading('Chapter and verse, he said, quoting the rules again.'), null, 'Sentences starting with "Chapter" are not headings');
+assert.strictEqual(parseNumber('xii'), 12, 'Roman numerals should be parsed');
+assert.strictEqual(parseChapterHeading('### Scene break', { chapterLevel: 2 }), null, 'Headings below the chapter level are sections');
+assert.deepStrictEqual(parseChapterHeading('### Chapter 8', { chapterLevel: 2 }), { number: 8, title: null }, 'Chapter headings count at any level');
+
+// Test 3: Citations and chapter lookup
+console.log('  ✓ Testing chapter references...');
+const chapters = [{ number: 3, title: 'The Art of Debugging' }, { number: 7, title: 'The AI Revolution' }, { number: null, title: 'Prologue' }];
+assert.strictEqual(formatChapter(chapters[1]), 'Chapter 7: The AI Revolution');
+assert.strictEqual(formatChapter(chapters[2]), '"Prologue"');
+assert.strictEqual(findChapterReference('What happens in chapter 7?', chapters), chapters[1], 'Chapters should be found by number');
+assert.strictEqual(findChapterReference('summarize chapter three', chapters), chapters[0], 'Chapters should be found by spelled-out number');
+assert.strictEqual(findChapterReference('tell me about the art of debugging', chapters), chapters[0], 'Chapters should be found by title');
+assert.strictEqual(findChapterReference('what is your favorite color?', chapters), null, 'Unrelated questions should not match a chapter');
+
+(async () => {
+  // Test 4: Section headings inside a chapter
+  console.log('  ✓ Testing section headings...');
+  const { parseManuscript } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const paragraph = (n) => `Paragraph ${n} goes on about machines and minds for long enough to count as a real passage of the book, not a stray heading or a page number.`;
+  const { chapters, paragraphs } = parseManuscript([
+    '# Prologue', paragraph(1),
+    '## Chapter 7: The AI Revolution', paragraph(2),
+    '### Scene break', paragraph(3),
+    '### A quiet morning\n' + paragraph(4)
+  ].join('\n\n'));
+  assert.deepStrictEqual(chapters.map(formatChapter), ['"Prologue"', 'Chapter 7: The AI Revolution']);
+  assert.deepStrictEqual(paragraphs.map(p => formatChapter(p.chapter)), ['"Prologue"', 'Chapter 7: The AI Revolution', 'Chapter 7: The AI Revolution', 'Chapter 7: The AI Revolution'],
+    'Section headings should not reset the chapter');
+  assert.strictEqual(paragraphs[3].text, paragraph(4), 'Section headings are not part of the passage');
+
+  console.log('\n✅ Manuscript chapter tests passed!');
+  console.log('- Plain-text, numbered and Markdown chapter headings are recognized');
+  console.log('- Deeper Markdown headings are sections of the current chapter');
+  console.log('- Passages carry chapter metadata for citations');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
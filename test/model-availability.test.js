@@ -1,21 +1,14 @@
 const fs = require('fs');
 const assert = require('assert');
 
-// 1. Read chat.js and extract the MODELS array
-const chatJsContent = fs.readFileSync('assets/chat.js', 'utf8');
-const modelsRegex = new RegExp("const MODELS = (\\s*\[[\\s\\S]*?\]);");
-const match = chatJsContent.match(modelsRegex);
-
-assert(match && match[1], 'Test failed: Could not find the MODELS array in assets/chat.js. Please check the regex.');
-
-const modelsArrayString = match[1];
+// 1. Read the model registry; broken models are not offered, so they aren't checked
 let models = [];
 try {
-  // Using a function constructor for safer evaluation than direct eval()
-  models = new Function(`return ${modelsArrayString}`)();
-  assert(Array.isArray(models) && models.length > 0, 'Test failed: MODELS array is empty or invalid.');
+  const registry = JSON.parse(fs.readFileSync('assets/models.json', 'utf8'));
+  models = registry.models.filter(model => model.status !== 'broken');
+  assert(Array.isArray(models) && models.length > 0, 'Test failed: model registry has no selectable models.');
 } catch (e) {
-  assert.fail(`Test failed: Could not parse the MODELS array from chat.js. Error: ${e.message}`);
+  assert.fail(`Test failed: Could not read the model registry from assets/models.json. Error: ${e.message}`);
 }
 
 // 2. Define the test function
@@ -0,0 +1,91 @@
+// Test for falling back to other models when one fails to load
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing model fallback chain...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+
+// In-memory stand-in for localStorage
+function memoryStorage() {
+  const items = new Map();
+  return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, String(value)) };
+}
+
+(async () => {
+  const { FAILED_MODELS_KEY, failureReason, readFailures, recordFailure, clearFailure, fallbackChain } =
+    await import(pathToFileURL(path.resolve('assets/model-fallback.js')).href);
+  const { normalizeRegistry } = await import(pathToFileURL(path.resolve('assets/models.js')).href);
+
+  const models = normalizeRegistry([
+    { id: 'small', status: 'stable' },
+    { id: 'medium', status: 'stable' },
+    { id: 'tiny', status: 'experimental' },
+    { id: 'large', status: 'stable' },
+    { id: 'broken', status: 'broken' }
+  ]);
+  const ids = (chain) => chain.map(model => model.id);
+
+  // Test 1: Candidate order
+  console.log('  ✓ Testing candidate order...');
+  assert.deepStrictEqual(ids(fallbackChain(models)), ['small', 'medium', 'large'], 'Default model, then the other stable models');
+  assert.deepStrictEqual(ids(fallbackChain(models, { picked: 'tiny' })), ['tiny', 'small', 'medium', 'large'], 'A picked model goes first');
+  assert.deepStrictEqual(ids(fallbackChain(models, { chain: ['large', 'tiny'] })), ['small', 'large', 'tiny'], 'A configured chain replaces the stable models');
+  const warn = console.warn;
+  console.warn = () => { };
+  assert.deepStrictEqual(ids(fallbackChain(models, { chain: ['broken', 'gone', 'medium'] })), ['small', 'medium'], 'Models not in the picker are skipped');
+  console.warn = warn;
+
+  // Test 2: Skipping models that failed before
+  console.log('  ✓ Testing remembered failures...');
+  const failed = { small: { reason: 'out of memory', at: 0 } };
+  assert.deepStrictEqual(ids(fallbackChain(models, { failed })), ['medium', 'large'], 'Failed models are skipped');
+  assert.deepStrictEqual(ids(fallbackChain(models, { picked: 'small', failed })), ['small', 'medium', 'large'], 'Unless the visitor picks one');
+  const allFailed = { small: failed.small, medium: failed.small, large: failed.small };
+  assert.deepStrictEqual(ids(fallbackChain(models, { failed: allFailed })), ['small', 'medium', 'large'], 'With every model failed, all are tried again');
+
+  // Test 3: Failure records in storage
+  console.log('  ✓ Testing failure storage...');
+  const storage = memoryStorage();
+  const day = 86400000;
+  assert.deepStrictEqual(recordFailure('small', new Error('RangeError: Array buffer allocation failed'), storage, 1000), { reason: 'out of memory', at: 1000 });
+  recordFailure('medium', new Error('Unsupported dtype: q4f16'), storage, 1000 + 5 * day);
+  assert.deepStrictEqual(Object.keys(readFailures(storage, { now: 1000 + day })), ['small', 'medium']);
+  assert.deepStrictEqual(Object.keys(readFailures(storage, { now: 1000 + 8 * day })), ['medium'], 'Failures are forgotten after maxAgeDays');
+  clearFailure('medium', storage);
+  assert.deepStrictEqual(Object.keys(JSON.parse(storage.getItem(FAILED_MODELS_KEY))), ['small'], 'A model that loads is no longer skipped');
+  assert.deepStrictEqual(recordFailure('large', new TypeError('Failed to fetch'), storage, 1000), { reason: 'network error', at: 1000 });
+  recordFailure('large', new Error('something else'), storage, 1000);
+  assert.deepStrictEqual(Object.keys(readFailures(storage, { now: 1000 })), ['small'], 'Network and unknown errors are retried next visit');
+  storage.setItem(FAILED_MODELS_KEY, 'not json');
+  assert.deepStrictEqual(readFailures(storage), {}, 'A corrupt record is ignored');
+  assert.deepStrictEqual(readFailures(undefined), {}, 'No storage, no failures');
+
+  // Test 4: Reasons
+  console.log('  ✓ Testing failure reasons...');
+  assert.strictEqual(failureReason(new TypeError('Failed to fetch')), 'network error');
+  assert.strictEqual(failureReason(new Error('Could not locate file: "onnx/model_q4.onnx".')), 'network error');
+  assert.strictEqual(failureReason(new Error('Unsupported dtype: q4f16')), 'not supported in this browser');
+  assert.strictEqual(failureReason(new Error('Out of memory')), 'out of memory');
+  assert.strictEqual(failureReason(new Error('something else')), 'load error');
+
+  // Test 5: Wiring in the chat component
+  console.log('  ✓ Testing configuration...');
+  assert(siteConfigJs.includes('modelFallback: {') && siteConfigJs.includes('forgetFailuresAfterDays: 7'), 'site-config.js should have a modelFallback section');
+  assert(chatJs.includes('const candidates = loadedId ? [findModel(MODELS, picked)].filter(Boolean) : this._fallbackChain(picked);'),
+    'The chain should only be walked when no model is loaded, and an unknown pick keeps the loaded model');
+  assert(chatJs.includes('const { reason } = recordFailure(model.id, error);'), 'Failures should be remembered');
+  assert(chatJs.includes('clearFailure(model.id);'), 'Successful loads should clear old failures');
+  assert(chatJs.includes("couldn't load in this browser, so you're talking to ${modelName} instead."), 'The chat should say which model it ended up on');
+
+  console.log('\n✅ Model fallback tests passed!');
+  console.log('- The default model, then modelFallback.chain (or the stable models) are tried in order');
+  console.log('- Models that can\'t run in a browser are remembered and skipped for forgetFailuresAfterDays');
+  console.log('- The chat says which model failed and which one answers instead');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
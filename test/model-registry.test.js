@@ -0,0 +1,76 @@
+// Test for the data-driven model registry
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing model registry...');
+
+const modelsJs = fs.readFileSync('assets/models.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+const backendJs = fs.readFileSync('assets/transformers-backend.js', 'utf8');
+const { models } = JSON.parse(fs.readFileSync('assets/models.json', 'utf8'));
+
+// Test 1: Registry entries
+console.log('  ✓ Testing models.json...');
+const statuses = ['stable', 'experimental', 'broken'];
+const presets = ['precise', 'balanced', 'playful'];
+assert(models.length > 0, 'Registry should list models');
+assert.strictEqual(new Set(models.map(m => m.id)).size, models.length, 'Model ids should be unique');
+models.forEach(model => {
+  assert(model.id && model.label, `Model needs an id and label: ${JSON.stringify(model)}`);
+  assert(statuses.includes(model.status), `${model.id} has an unknown status`);
+  if (model.status === 'broken') return;
+  assert(model.sizeMB > 0, `${model.id} should declare its download size`);
+  assert(model.contextWindow > 0, `${model.id} should declare its context window`);
+  assert(Array.isArray(model.dtypes) && model.dtypes.length > 0, `${model.id} should list its dtypes`);
+  assert(model.devices.every(d => ['webgpu', 'cpu'].includes(d)), `${model.id} has an unknown device`);
+  assert.strictEqual(typeof model.chatTemplate, 'boolean', `${model.id} should say whether it has a chat template`);
+  assert(presets.includes(model.preset), `${model.id} should recommend a known preset`);
+});
+assert(models.some(m => m.status === 'stable'), 'At least one model should be stable');
+
+// Test 2: chat.js reads the registry instead of hard-coding models
+console.log('  ✓ Testing chat integration...');
+assert(!/HuggingFaceTB\/|onnx-community\//.test(chatJs), 'chat.js should not hard-code model ids');
+assert(chatJs.includes('await loadModelRegistry('), 'chat.js should load the registry');
+assert(chatJs.includes('selectableModels(MODELS).map('), 'Model picker should list selectable models');
+assert(chatJs.includes('title="${escape(m.notes)}"'), 'Model notes should be escaped in the option title');
+assert(backendJs.includes('modelDevice(model, Boolean(globalThis.navigator?.gpu))'), 'Device should come from the registry');
+assert(chatJs.includes("model?.chatTemplate === false ? null : tokenizer"), 'Models without a chat template should use the plain format');
+assert(siteConfigJs.includes('modelsPath:'), 'site-config.js should point at the registry');
+
+// Test 3: Registry helpers, evaluated from the module source
+console.log('  ✓ Testing registry helpers...');
+const { normalizeRegistry, selectableModels, defaultModel, modelLabel, modelDevice } = new Function(
+  `${modelsJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { normalizeRegistry, selectableModels, defaultModel, modelLabel, modelDevice };`
+)();
+
+const warn = console.warn;
+console.warn = () => {};
+const registry = normalizeRegistry({
+  models: [
+    { id: 'a/broken', status: 'broken' },
+    { id: 'a/exp', label: 'Exp', sizeMB: 1500 },
+    { id: 'a/stable', label: 'Stable', status: 'stable', sizeMB: 270, devices: ['cpu'] },
+    { label: 'No id' },
+    { id: 'a/exp', label: 'Exp v2', status: 'shiny' }
+  ]
+});
+console.warn = warn;
+
+assert.deepStrictEqual(registry.map(m => m.id), ['a/broken', 'a/exp', 'a/stable'], 'Entries without ids are dropped');
+assert.strictEqual(registry[1].label, 'Exp v2', 'Later duplicates should win');
+assert.strictEqual(registry[1].status, 'experimental', 'Unknown statuses fall back to experimental');
+assert.deepStrictEqual(registry[0].dtypes, ['q4'], 'Defaults should be filled in');
+assert.deepStrictEqual(selectableModels(registry).map(m => m.id), ['a/exp', 'a/stable'], 'Broken models are not offered');
+assert.strictEqual(defaultModel(registry).id, 'a/stable', 'Default should be the first stable model');
+assert.strictEqual(modelLabel(registry[2]), 'Stable · ~270 MB');
+assert.strictEqual(modelLabel({ ...registry[1], sizeMB: 1500 }), '🧪 Exp v2 · ~1.5 GB');
+assert.strictEqual(modelLabel(registry[2], { offline: true }), 'Stable · ~270 MB · 💾 offline', 'Cached models are marked');
+assert.strictEqual(modelDevice(registry[2], true), undefined, 'CPU-only models should not use WebGPU');
+assert.strictEqual(modelDevice(registry[1], true), 'webgpu');
+assert.strictEqual(modelDevice(registry[1], false), undefined);
+
+console.log('\n✅ Model registry tests passed!');
+console.log('- Models, sizes, context windows and loading options live in assets/models.json');
+console.log('- Broken models stay documented but are never offered');
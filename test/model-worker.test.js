@@ -0,0 +1,103 @@
+// Test for running the model in a module Worker
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing model worker...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const workerJs = fs.readFileSync('assets/model-worker.js', 'utf8');
+const workerBackendJs = fs.readFileSync('assets/worker-backend.js', 'utf8');
+const backendJs = fs.readFileSync('assets/transformers-backend.js', 'utf8');
+
+(async () => {
+  // Test 1: chat.js picks a backend and falls back to the main thread
+  console.log('  ✓ Testing backend selection...');
+  assert(chatJs.includes('USE_WORKER: true'), 'CONFIG should turn the worker on by default');
+  assert(chatJs.includes('new Worker(new URL("./model-worker.js", import.meta.url), { type: "module" })'), 'Worker should be a module worker next to chat.js');
+  assert(chatJs.includes('CONFIG.USE_WORKER && supportsModuleWorkers()'), 'Browsers without module workers should use the main thread');
+  assert(chatJs.includes('if (!error.workerFailed) throw error;'), 'A dead worker should fall back to the main thread');
+  assert(!/document|window\./.test(backendJs), 'transformers-backend.js must not touch the DOM');
+
+  // Test 2: Worker protocol
+  console.log('  ✓ Testing worker protocol...');
+  ['init', 'load', 'activate', 'discard', 'generate', 'embed', 'cancel'].forEach(type => {
+    assert(new RegExp(`\\b${type}\\(\\{`).test(workerJs), `Worker should handle ${type}`);
+  });
+  ['progress', 'token', 'done', 'error'].forEach(type => {
+    assert(workerJs.includes(`type: "${type}"`), `Worker should reply with ${type}`);
+  });
+
+  // Test 3: WorkerBackend against a fake worker, evaluated from the module source
+  console.log('  ✓ Testing WorkerBackend...');
+  const { WorkerBackend } = new Function(
+    `${workerBackendJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { WorkerBackend };`
+  )();
+
+  class FakeWorker {
+    constructor() {
+      this.listeners = {};
+      this.sent = [];
+    }
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+    postMessage(message) {
+      this.sent.push(message);
+    }
+    reply(data) {
+      this.listeners.message({ data });
+    }
+  }
+
+  const worker = new FakeWorker();
+  const settings = { url: 'cdn', env: { wasmPaths: null, localModelPath: null, allowRemoteModels: true } };
+  const backend = new WorkerBackend(worker, settings);
+  assert.deepStrictEqual(worker.sent[0], { type: 'init', ...settings }, 'The worker gets the same transformers.js settings');
+
+  const events = [];
+  const loading = backend.load('m', { id: 'm' }, { onProgress: event => events.push(event) });
+  const { id: loadId } = worker.sent[1];
+  backend.cancelLoad();
+  assert.deepStrictEqual(worker.sent[2], { type: 'cancel', id: loadId }, 'Cancel should name the pending load');
+  worker.reply({ type: 'progress', id: loadId, event: { status: 'progress' } });
+  worker.reply({ type: 'done', id: loadId, result: { device: 'cpu', fallback: false } });
+  const loaded = await loading;
+  assert.deepStrictEqual(events, [{ status: 'progress' }], 'Progress events should reach the caller');
+  assert.deepStrictEqual(loaded, { id: loadId, modelId: 'm', device: 'cpu', fallback: false });
+
+  const tokens = [];
+  const generating = backend.generate('hi', { max_new_tokens: 4 }, { seed: 7, onToken: text => tokens.push(text) });
+  const generate = worker.sent[3];
+  assert.strictEqual(generate.seed, 7, 'The sampling seed should travel with the request');
+  worker.reply({ type: 'token', id: generate.id, text: 'Hel' });
+  worker.reply({ type: 'token', id: generate.id, text: 'lo' });
+  worker.reply({ type: 'done', id: generate.id, result: [{ generated_text: 'hi Hello' }] });
+  assert.deepStrictEqual(await generating, [{ generated_text: 'hi Hello' }]);
+  assert.deepStrictEqual(tokens, ['Hel', 'lo'], 'Tokens should stream in order');
+
+  const cancelled = backend.load('n', { id: 'n' });
+  worker.reply({ type: 'error', id: worker.sent[4].id, message: 'Model load cancelled', cancelled: true });
+  await assert.rejects(cancelled, error => error.cancelled === true, 'Cancelled loads should say so');
+
+  const embedProgress = [];
+  const embedding = backend.embed('text', 'e', 'q8', { onProgress: event => embedProgress.push(event) });
+  const embedRequest = worker.sent[worker.sent.length - 1];
+  assert.strictEqual(embedRequest.type, 'embed');
+  worker.reply({ type: 'progress', id: embedRequest.id, event: { status: 'progress', file: 'model.onnx', loaded: 5, total: 10 } });
+  worker.reply({ type: 'done', id: embedRequest.id, result: [0.1, 0.2] });
+  assert.deepStrictEqual(await embedding, [0.1, 0.2]);
+  assert.strictEqual(embedProgress[0].loaded, 5, 'The embedding model\'s download progress should cross the worker boundary');
+
+  const pending = backend.embed('text', 'e', 'q8');
+  worker.listeners.error({ message: 'Failed to import' });
+  await assert.rejects(pending, error => error.workerFailed === true, 'Pending requests should fail with the worker');
+  await assert.rejects(backend.generate('hi', {}), error => error.workerFailed === true, 'Later requests should fail straight away');
+
+  console.log('\n✅ Model worker tests passed!');
+  console.log('- Model loading and generation run in a module Worker');
+  console.log('- Progress, tokens and cancel cross the worker boundary');
+  console.log('- Without module workers, or if the worker dies, the model runs on the main thread');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
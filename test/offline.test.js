@@ -0,0 +1,172 @@
+// Test for offline support: service worker, web app manifest and offline models
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { precacheManifest } = require('../scripts/service-worker');
+
+console.log('Testing offline support...');
+
+const swJs = fs.readFileSync('sw.js', 'utf8');
+const offlineJs = fs.readFileSync('assets/offline.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const indexHtml = fs.readFileSync('index.html', 'utf8');
+const manifest = JSON.parse(fs.readFileSync('manifest.webmanifest', 'utf8'));
+
+// Minimal CacheStorage: cache name -> Map of URL -> Response
+function createCaches(fetch) {
+  const store = new Map();
+  const open = async (name) => {
+    if (!store.has(name)) store.set(name, new Map());
+    const entries = store.get(name);
+    return {
+      put: async (request, response) => { entries.set(new URL(request.url || request).href, response); },
+      add: async (url) => { entries.set(new URL(url).href, await fetch(url)); },
+      addAll: async (urls) => { for (const url of urls) entries.set(new URL(url, 'https://site.test/').href, new Response(url)); },
+      keys: async () => [...entries.keys()].map(url => ({ url }))
+    };
+  };
+  const match = async (request, { ignoreSearch = false, cacheName } = {}) => {
+    const url = new URL(request.url || request);
+    if (ignoreSearch) url.search = '';
+    for (const [name, entries] of store) {
+      if (cacheName && name !== cacheName) continue;
+      const hit = entries.get(url.href);
+      if (hit) return hit.clone();
+    }
+    return undefined;
+  };
+  return {
+    store,
+    open,
+    match,
+    has: async (name) => store.has(name),
+    keys: async () => [...store.keys()],
+    delete: async (name) => store.delete(name)
+  };
+}
+
+// Runs sw.js (optionally with a built manifest) and returns its event handlers.
+// fetch is passed in rather than swapped globally, since other tests run alongside.
+function loadServiceWorker(source, caches, fetch) {
+  const listeners = {};
+  const self = {
+    location: new URL('https://site.test/sw.js'),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    skipWaiting: async () => {},
+    clients: { claim: async () => {} }
+  };
+  new Function('self', 'caches', 'fetch', source)(self, caches, fetch);
+  return listeners;
+}
+
+// Only the fields sw.js reads; undici refuses navigate requests
+const get = (url, mode = 'cors') => ({ url, method: 'GET', mode });
+
+async function dispatch(listener, data) {
+  let response;
+  const pending = [];
+  listener({
+    ...data,
+    respondWith: (promise) => { response = promise; },
+    waitUntil: (promise) => pending.push(promise)
+  });
+  await Promise.all(pending);
+  return response && await response;
+}
+
+(async () => {
+  // Test 1: Page wiring
+  console.log('  ✓ Testing manifest and registration...');
+  assert(indexHtml.includes('<link rel="manifest" href="manifest.webmanifest">'), 'index.html should link the manifest');
+  assert.strictEqual(manifest.start_url, './', 'Manifest should start at the site root, wherever it is hosted');
+  assert(manifest.icons.length > 0, 'Manifest needs icons');
+  manifest.icons.forEach(icon => assert(fs.existsSync(icon.src), `Missing icon ${icon.src}`));
+  assert(chatJs.includes('registerServiceWorker(SITE_CONFIG.offline.serviceWorkerPath'), 'chat.js should register the service worker');
+  assert(chatJs.includes('precache: [TRANSFORMERS.url]'), 'The transformers.js bundle should be precached');
+  assert(chatJs.includes('this.ui.markOfflineModels(await offlineModelIds(MODELS, TRANSFORMERS.env.localModelPath))'), 'Picker should mark cached models');
+
+  // Test 2: Build manifest
+  console.log('  ✓ Testing precache manifest...');
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sw-'));
+  fs.mkdirSync(path.join(outDir, 'assets'));
+  fs.writeFileSync(path.join(outDir, 'index.html'), '<html>');
+  fs.writeFileSync(path.join(outDir, 'sw.js'), '');
+  fs.writeFileSync(path.join(outDir, 'assets', 'site config.js'), 'export {}');
+  const built = precacheManifest(outDir, 'sw.js');
+  assert.deepStrictEqual(built.urls, ['./', 'assets/site%20config.js', 'index.html'], 'Every file but the service worker is precached');
+  fs.writeFileSync(path.join(outDir, 'index.html'), '<html lang="en">');
+  assert.notStrictEqual(precacheManifest(outDir, 'sw.js').version, built.version, 'Changed files should change the version');
+  fs.rmSync(outDir, { recursive: true, force: true });
+  assert(swJs.includes('const PRECACHE_MANIFEST = null;'), 'sw.js needs the placeholder the build fills in');
+
+  // Test 3: Service worker caching, with a fake network
+  console.log('  ✓ Testing service worker...');
+  let online = true;
+  const fetch = async (request) => {
+    if (!online) throw new TypeError('Failed to fetch');
+    return new Response(`from network: ${request.url || request}`);
+  };
+
+  const caches = createCaches(fetch);
+  const builtSource = swJs.replace('const PRECACHE_MANIFEST = null;', `const PRECACHE_MANIFEST = ${JSON.stringify({ version: 'v2', urls: ['./', 'index.html'] })};`);
+  caches.store.set('site-v1', new Map());
+  const sw = loadServiceWorker(builtSource, caches, fetch);
+  await dispatch(sw.install, {});
+  await dispatch(sw.activate, {});
+  assert.deepStrictEqual([...caches.store.keys()], ['site-v2'], 'Old site caches should be removed');
+
+  const page = await dispatch(sw.fetch, { request: get('https://site.test/?seed=42', 'navigate') });
+  assert.strictEqual(await page.text(), './', 'Navigations with query strings should get the precached page');
+
+  const cdn = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.2';
+  await dispatch(sw.message, { data: { type: 'precache', urls: [cdn] } });
+  online = false;
+  const bundle = await dispatch(sw.fetch, { request: get(cdn) });
+  assert.strictEqual(await bundle.text(), `from network: ${cdn}`, 'Precached bundle should load offline');
+
+  const modelUrl = 'https://huggingface.co/org/model/resolve/main/config.json';
+  caches.store.set('transformers-cache', new Map([[modelUrl, new Response('{"cached":true}')]]));
+  const config = await dispatch(sw.fetch, { request: get(modelUrl) });
+  assert.strictEqual(await config.text(), '{"cached":true}', 'Cached model files should load offline');
+  const missing = await dispatch(sw.fetch, { request: get('https://huggingface.co/org/model/resolve/main/generation_config.json') });
+  assert.strictEqual(missing.status, 404, 'Uncached model files are a 404 offline');
+  assert.strictEqual(await dispatch(sw.fetch, { request: get('https://api.example.com/x') }), undefined, 'Other hosts are left alone');
+
+  // Test 4: Which models work offline, evaluated from the module source
+  console.log('  ✓ Testing offline models...');
+  const { cachedModelIds } = new Function(
+    `${offlineJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { cachedModelIds };`
+  )();
+  const hf = (model, file) => `https://huggingface.co/${model}/resolve/main/${file}`;
+  const withFiles = (model, ...weights) => ['config.json', 'tokenizer.json', ...weights].map(file => hf(model, file));
+  const registry = [
+    { id: 'org/ready', dtypes: ['q4'] },
+    { id: 'org/partial', dtypes: ['q4'] },
+    { id: 'org/other-dtype', dtypes: ['q4'] },
+    { id: 'org/second-dtype', dtypes: ['q4f16', 'q8'] },
+    { id: 'org/default', dtypes: [] }
+  ];
+  const ids = cachedModelIds([
+    ...withFiles('org/ready', 'onnx/model_q4.onnx'),
+    ...withFiles('org/partial'),
+    ...withFiles('org/other-dtype', 'onnx/model_fp16.onnx'),
+    ...withFiles('org/second-dtype', 'onnx/model_quantized.onnx'),
+    ...withFiles('org/default', 'onnx/model_quantized.onnx'),
+    ...withFiles('org/unlisted', 'onnx/model_q4.onnx'),
+    'https://cdn.jsdelivr.net/npm/x/dist/ort.wasm'
+  ], registry);
+  assert(ids.has('org/ready') && !ids.has('org/partial'), 'Models without cached weights are not offline');
+  assert(!ids.has('org/other-dtype'), 'Weights for a dtype the registry doesn\'t request don\'t count');
+  assert(ids.has('org/second-dtype'), 'Any of the registry\'s dtypes counts');
+  assert(ids.has('org/default'), 'Without dtypes, the transformers.js default weights count');
+  assert(!ids.has('org/unlisted'), 'Only registry models are checked');
+
+  console.log('\n✅ Offline support tests passed!');
+  console.log('- npm run build precaches every file in dist/ in the service worker');
+  console.log('- The transformers.js bundle, runtime wasm and model files are served from cache offline');
+  console.log('- The model picker marks models that are available offline');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
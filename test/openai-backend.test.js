@@ -0,0 +1,137 @@
+// Test for the OpenAI-compatible chat server backend
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing chat server backend...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+
+const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+(async () => {
+  // Test 1: Wiring
+  console.log('  ✓ Testing configuration...');
+  assert(siteConfigJs.includes('chatServer: {') && /enabled: false/.test(siteConfigJs), 'site-config.js should have a chatServer section, off by default');
+  assert(chatJs.includes('serverModel(SITE_CONFIG.chatServer)'), 'The server model should join the registry');
+  assert(chatJs.includes('backend.generate(prompt, options, { seed: samplingSeed, onToken, messages })'), 'Backends should get the chat messages');
+  assert(chatJs.includes('this.currentMessages = messages;'), 'formatPrompt should keep the messages it rendered');
+
+  const { serverModel, chatCompletionRequest, createEventStreamParser, OpenAIBackend } =
+    await import(pathToFileURL(path.resolve('assets/openai-backend.js')).href);
+  const { normalizeModel, defaultModel, modelLabel } = await import(pathToFileURL(path.resolve('assets/models.js')).href);
+
+  // Test 2: The server's model in the picker
+  console.log('  ✓ Testing server model entry...');
+  assert.strictEqual(serverModel({ enabled: false, baseURL: 'http://localhost:8080/v1', model: 'm' }), null);
+  const model = normalizeModel(serverModel({ enabled: true, label: 'Llama', baseURL: 'http://localhost:11434/v1', model: 'llama3.2' }));
+  assert.strictEqual(model.id, 'server:llama3.2');
+  assert.strictEqual(model.backend, 'openai');
+  assert.strictEqual(modelLabel(model), 'Llama · 🌐 server');
+  assert.strictEqual(defaultModel([model, normalizeModel({ id: 'local', status: 'stable' })]), model, 'A configured server is the default');
+  assert.strictEqual(normalizeModel({ id: 'local' }).backend, 'transformers', 'Registry models run in the browser');
+
+  // Test 3: Request body
+  console.log('  ✓ Testing request body...');
+  const messages = [{ role: 'system', content: 'You are a bot.' }, { role: 'user', content: 'Hi' }];
+  const options = { max_new_tokens: 120, temperature: 0.7, top_p: 0.9, top_k: 20, repetition_penalty: 1.1, do_sample: true, return_full_text: false };
+  assert.deepStrictEqual(chatCompletionRequest('llama3.2', messages, options, 42), {
+    model: 'llama3.2', messages, stream: true, max_tokens: 120, temperature: 0.7, top_p: 0.9, top_k: 20, seed: 42
+  });
+  assert.strictEqual(chatCompletionRequest('m', messages, { ...options, do_sample: false }, 0).temperature, 0, 'No sampling is greedy');
+
+  // Test 4: SSE events split across chunks
+  console.log('  ✓ Testing event stream parsing...');
+  const events = [];
+  const parse = createEventStreamParser(event => events.push(event));
+  parse(': keep-alive\n\ndata: {"a"');
+  parse(':1}\r\n\r\ndata: {"a":2}\n');
+  parse('\ndata: [DONE]\n\n');
+  assert.deepStrictEqual(events, [{ a: 1 }, { a: 2 }]);
+  const warn = console.warn;
+  console.warn = () => { };
+  parse('data: {"a":\ndata: {"a":3}\n');
+  console.warn = warn;
+  assert.deepStrictEqual(events, [{ a: 1 }, { a: 2 }, { a: 3 }], 'Malformed events are skipped');
+  parse('data: {"a":4}');
+  assert.strictEqual(events.length, 3, 'A line waits for its newline');
+  parse('', true);
+  assert.deepStrictEqual(events[3], { a: 4 }, 'The last line is parsed when the stream ends');
+
+  // Test 5: Streaming from a fake server on a local port
+  console.log('  ✓ Testing streaming...');
+  const requests = [];
+  let respond = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      respond(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  const send = (status, type, body) => (res) => res.writeHead(status, { 'Content-Type': type }).end(body);
+
+  const backend = new OpenAIBackend({ baseURL: `${baseURL}/`, model: 'llama3.2', apiKey: 'secret' });
+  respond = send(200, 'application/json', '{"data":[]}');
+  assert.deepStrictEqual(await backend.load('server:llama3.2'), { modelId: 'server:llama3.2', device: 'server', fallback: false });
+  assert.strictEqual(requests[0].url, '/v1/models', 'Loading checks the server is there');
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+
+  respond = (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(delta('Hel'));
+    res.write(delta('lo') + delta(' there').slice(0, 10));
+    res.end(delta(' there').slice(10) + 'data: [DONE]\n\n');
+  };
+  const tokens = [];
+  const result = await backend.generate('rendered prompt', options, { seed: 7, onToken: text => tokens.push(text), messages });
+  assert.deepStrictEqual(result, [{ generated_text: 'Hello there', finishReason: 'stop' }]);
+  assert.deepStrictEqual(tokens, ['Hel', 'lo', ' there'], 'Tokens should stream in order');
+  const sent = JSON.parse(requests[1].body);
+  assert.strictEqual(requests[1].url, '/v1/chat/completions');
+  assert.deepStrictEqual(sent.messages, messages, 'The messages array is sent, not the rendered prompt');
+  assert.strictEqual(sent.seed, 7);
+
+  respond = send(200, 'text/event-stream', delta('No ') + delta('newline').trimEnd());
+  assert.deepStrictEqual(await backend.generate('p', options, { messages }), [{ generated_text: 'No newline', finishReason: 'stop' }], 'A stream without a trailing newline keeps its last event');
+
+  const cutOff = `data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'length' }] })}\n\n`;
+  respond = send(200, 'text/event-stream', delta('Cut') + cutOff);
+  assert.deepStrictEqual(await backend.generate('p', options, { messages }), [{ generated_text: 'Cut', finishReason: 'length' }], 'The server says when max_tokens cut the answer off');
+
+  respond = send(200, 'text/event-stream', delta('Oops') + 'data: {"error":{"message":"context too long"}}\n\n');
+  await assert.rejects(backend.generate('p', options, { messages }), /context too long/, 'Error events should reject');
+
+  respond = send(200, 'application/json', '{"choices":[{"message":{"content":"All at once"}}]}');
+  assert.deepStrictEqual(await backend.generate('p', options, { messages }), [{ generated_text: 'All at once', finishReason: 'stop' }], 'Non-streaming answers work too');
+
+  respond = send(404, 'text/plain', 'model not found');
+  await assert.rejects(backend.generate('p', options, { messages }), /404: model not found/, 'Server errors should say what went wrong');
+
+  // Test 6: Stop aborts the request and keeps the text so far
+  console.log('  ✓ Testing stop...');
+  respond = (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(delta('Partial')); // ...and never finishes
+  };
+  const stopTokens = [];
+  const generating = backend.generate('p', options, { onToken: text => stopTokens.push(text), messages });
+  while (stopTokens.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+  backend.stopGeneration();
+  assert.deepStrictEqual(await generating, [{ generated_text: 'Partial', finishReason: 'stop' }]);
+  server.closeAllConnections();
+  server.close();
+
+  console.log('\n✅ Chat server backend tests passed!');
+  console.log('- chatServer in site-config.js adds an OpenAI-compatible server to the model picker');
+  console.log('- The structured messages stream back over SSE, and Stop aborts the request');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Test for visitor-selectable personas
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+const { importChat, fileFetch } = require('./chat-module');
+
+console.log('Testing personas...');
+
+const chatCss = fs.readFileSync('assets/chat.css', 'utf8');
+
+(async () => {
+  const { SITE_CONFIG } = await import(pathToFileURL(path.resolve('assets/site-config.js')).href);
+  const { getPersonas, resolvePersona, buildSystemPrompt, getContentSources, DataLoader } =
+    await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const { PRESETS } = await import(pathToFileURL(path.resolve('assets/generation-presets.js')).href);
+  const { normalizeModel } = await import(pathToFileURL(path.resolve('assets/models.js')).href);
+  const { ChatEngine, UIController } = await importChat();
+
+  // Test 1: Config
+  console.log('  ✓ Testing persona configuration...');
+  const personas = getPersonas();
+  assert.deepStrictEqual(personas.map(p => p.id), ['snarky', 'professional'], 'Sample personas missing');
+  personas.forEach(persona => {
+    assert(persona.tone && persona.prompt, `${persona.id} should have a tone and prompt fragment`);
+    assert(PRESETS[persona.preset], `${persona.id} should pick a known preset`);
+  });
+  assert.strictEqual(resolvePersona().id, SITE_CONFIG.defaultPersona, 'The default persona is used without a pick');
+  assert.strictEqual(resolvePersona('nobody').id, SITE_CONFIG.defaultPersona, 'Unknown ids fall back to the default');
+  assert.strictEqual(resolvePersona('professional').promoChance, 0, 'Personas can turn promos off');
+
+  const configured = SITE_CONFIG.personas;
+  SITE_CONFIG.personas = [];
+  const [fallback] = getPersonas();
+  SITE_CONFIG.personas = configured;
+  assert.strictEqual(fallback.tone, SITE_CONFIG.personalityTrait, 'personalityTrait is the tone without personas');
+
+  // Test 2: Prompt is rebuilt for the chosen persona
+  console.log('  ✓ Testing prompt integration...');
+  const warn = console.warn;
+  console.warn = () => { };
+  const dataLoader = new DataLoader(getContentSources(), { fetch: fileFetch });
+  const professional = await buildSystemPrompt({ persona: 'professional', dataLoader, query: 'What do you do?' });
+  const snarky = await buildSystemPrompt({ persona: 'snarky', dataLoader, query: 'What do you do?' });
+  console.warn = warn;
+  assert(professional.includes('professional and helpful'), 'The template\'s {personality} comes from the persona');
+  assert(professional.includes(resolvePersona('professional').prompt), 'The persona\'s prompt fragment is placed in the prompt');
+  assert(snarky.includes('snarky and humorous') && !snarky.includes(resolvePersona('professional').prompt), 'Each persona gets its own prompt');
+
+  // Test 3: Chat engine and switcher
+  console.log('  ✓ Testing persona switcher...');
+  const log = console.log;
+  console.log = () => { };
+  const engine = new ChatEngine();
+  engine.setPersona('professional');
+  assert.strictEqual(engine.quipChance, 0, 'Quip chance should come from the persona');
+  assert.strictEqual(engine.bookPromoChance, 0, 'Promo chance should come from the persona');
+  const withoutPreset = engine.generationParams(normalizeModel({ id: 'a/plain' }));
+  const withPreset = engine.generationParams(normalizeModel({ id: 'a/playful', preset: 'playful' }));
+  console.log = log;
+  assert.strictEqual(withoutPreset.TEMPERATURE, PRESETS.precise.TEMPERATURE, 'The persona\'s preset applies to models without their own');
+  assert.strictEqual(withPreset.MAX_NEW_TOKENS, PRESETS.precise.MAX_NEW_TOKENS, 'The persona\'s preset wins over the model\'s');
+
+  const html = UIController.createHTML([...personas, { id: 'x"y', name: '<b>Evil</b>' }]);
+  assert(html.indexOf('id="personaSelect"') > html.indexOf('id="modelSelect"'), 'Persona switcher should sit next to the model menu');
+  assert(html.includes('<option value="x&quot;y">&lt;b&gt;Evil&lt;/b&gt;</option>'), 'Persona ids and names should be escaped');
+  assert(!/id="personaSelect"[^>]*hidden/.test(html), 'The switcher shows with several personas');
+  assert(/id="personaSelect"[^>]*hidden/.test(UIController.createHTML([personas[0]])), 'A single persona hides the switcher');
+  assert(chatCss.includes('#personaSelect'), 'Persona switcher styles missing');
+
+  console.log('\n✅ Persona tests passed!');
+  console.log('- Personas set tone, prompt fragment, promo/quip policy and generation preset');
+  console.log('- Visitors switch personas next to the model menu');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+// Test for cleaning up model output before it is shown or stored
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing output post-processing...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const postProcessJs = fs.readFileSync('assets/post-process.js', 'utf8');
+
+// Evaluate the browser module without its export block
+const { POST_PROCESSORS, DEFAULT_STEPS, templateStopStrings, reachedStopString, createPostProcessor } = new Function(
+  `${postProcessJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { POST_PROCESSORS, DEFAULT_STEPS, templateStopStrings, reachedStopString, createPostProcessor };`
+)();
+
+const chatml = '<|im_start|>system\nYou are Sam, a friendly scientist who answers questions about his work.<|im_end|>\n<|im_start|>user\nHi<|im_end|>\n<|im_start|>assistant\n';
+const plain = 'You are Sam, a friendly scientist who answers questions about his work.\nUser: Hi\nAssistant:';
+const systemPrompt = 'You are Sam, a friendly scientist who answers questions about his work.\nKeep answers short.';
+const clean = (raw, context = {}) => createPostProcessor(DEFAULT_STEPS, { systemPrompt, ...context })(raw).text;
+
+// Test 1: Stop strings follow the prompt's chat template
+console.log('  ✓ Testing stop strings...');
+assert(templateStopStrings(chatml).includes('<|im_end|>'));
+assert(templateStopStrings('<|user|>\nHi</s>\n<|assistant|>\n').includes('</s>'));
+assert(templateStopStrings(plain).includes('\nUser:'), 'The plain-text format stops at the next "User:" line');
+assert.strictEqual(clean('Hello there.<|im_end|>\n<|im_start|>user\nMore?', { prompt: chatml }), 'Hello there.');
+assert.strictEqual(clean('Hello there.\nUser: And you?\nAssistant: Me too.', { prompt: plain }), 'Hello there.');
+assert.strictEqual(clean('Hello there. END and more.', { prompt: plain, stopStrings: [' END'] }), 'Hello there.', 'Models can add their own stop strings');
+assert(reachedStopString('Hello there.<|im_end|>', { prompt: chatml }), 'Streaming can stop at the template\'s end-of-turn marker');
+assert(reachedStopString('Hello. END', { prompt: plain, stopStrings: [' END'] }));
+assert(!reachedStopString('Hello there.\nUser', { prompt: plain }), 'Not until the whole stop string has streamed');
+
+// Test 2: Role prefixes and made-up follow-up turns
+console.log('  ✓ Testing role leaks...');
+assert.strictEqual(clean('Assistant: I study evolution.'), 'I study evolution.');
+assert.strictEqual(clean('assistant\nI study evolution.'), 'I study evolution.');
+assert.strictEqual(clean('I study evolution.\nuser\nWhat else?\nassistant\nRobots.'), 'I study evolution.', 'Special tokens are skipped when decoding, leaving bare role names');
+assert.strictEqual(clean('I study evolution.\nHuman: Cool!'), 'I study evolution.');
+assert.strictEqual(clean('I wrote about users: who they are.'), 'I wrote about users: who they are.', 'Role words inside sentences stay');
+
+// Test 3: Repeated system prompt
+console.log('  ✓ Testing system prompt echoes...');
+assert.strictEqual(clean('I study evolution. You are Sam, a friendly scientist who answers'), 'I study evolution.');
+assert.strictEqual(clean('You are Sam, a friendly scientist who answers questions about his work.\nKeep answers short.\n\nI study evolution.'), 'I study evolution.');
+
+// Test 4: Unfinished last sentence of a reply cut off at max_new_tokens
+console.log('  ✓ Testing sentence ends...');
+const cutOff = (raw) => createPostProcessor(DEFAULT_STEPS, { systemPrompt })(raw, { truncated: true }).text;
+assert.strictEqual(cutOff('I study evolution. I also build rob'), 'I study evolution.');
+assert.strictEqual(cutOff('See my book [w1]. It covers the hist'), 'See my book [w1].', 'Citation markers stay with their sentence');
+assert.strictEqual(cutOff('It was "great!" And then'), 'It was "great!"');
+assert.strictEqual(cutOff('Version 3.5 is out'), 'Version 3.5 is out', 'An answer without any sentence end is kept');
+assert.strictEqual(cutOff('Happy to help 🙂'), 'Happy to help 🙂');
+assert.strictEqual(cutOff('My tools:\n- Python\n- R'), 'My tools:\n- Python\n- R', 'List items without punctuation are kept');
+assert.strictEqual(cutOff('Skills:\nPython, JavaScript, Go'), 'Skills:\nPython, JavaScript, Go', 'Comma lists are kept');
+assert.strictEqual(cutOff('I write code.\nLanguages: Python and R'), 'I write code.\nLanguages: Python and R', 'Label: value lines are kept');
+assert.strictEqual(cutOff('My tools are many.\nThe first one i'), 'My tools are many.');
+assert.strictEqual(cutOff('I like it.\nI also build robots, drones, and'), 'I like it.', 'A cut-off sentence with commas is still dropped');
+assert.strictEqual(cutOff('... Hello there.'), 'Hello there.', 'A leading "..." is still dropped');
+
+// Streamed updates and replies that ended on their own keep their last sentence
+assert.strictEqual(clean('I study evolution. I also build rob'), 'I study evolution. I also build rob', 'Streaming shows every token');
+assert.strictEqual(clean('My tools are many.\nThe first one is R'), 'My tools are many.\nThe first one is R');
+
+// Test 5: Configurable steps, and the same pipeline for streaming and the final reply
+console.log('  ✓ Testing configuration...');
+const onlyStops = createPostProcessor(['stopStrings'], { prompt: plain });
+assert.deepStrictEqual(onlyStops('Assistant: Hi\nUser: yo'), { text: 'Assistant: Hi', applied: ['stopStrings'] });
+const warn = console.warn;
+console.warn = () => { };
+assert.strictEqual(createPostProcessor(['nope', 'leadingEllipsis'])('...ok').text, 'ok', 'Unknown steps are skipped');
+console.warn = warn;
+assert.deepStrictEqual(Object.keys(POST_PROCESSORS).sort(), [...DEFAULT_STEPS].sort(), 'Every step runs by default');
+assert(chatJs.includes('POST_PROCESS: DEFAULT_STEPS,'), 'CONFIG should default to every step');
+assert(chatJs.includes('const display = postProcess(latestText).text;'), 'Streamed updates should be post-processed');
+assert(chatJs.includes('reachedStopString(latestText, cleanup)') && chatJs.includes('this.modelManager.stopGeneration();\n        }'), 'Generation should end at a streamed stop string');
+assert(chatJs.includes('const { text, applied } = postProcess(full, { truncated: result?.[0]?.finishReason === "length" });'),
+  'The final reply should be post-processed, trimming a cut-off last sentence');
+assert(!chatJs.includes('no sanitization'), 'Raw output should no longer be used directly');
+
+console.log('\n✅ Post-processing tests passed!');
+console.log('- Stop strings per chat template, plus per-model stopStrings');
+console.log('- Role prefixes, fabricated turns and system prompt echoes are trimmed');
+console.log('- Unfinished last sentences are cut from replies that ran into max_new_tokens');
@@ -0,0 +1,66 @@
+// Test for token-budgeted prompt assembly
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing prompt budget functionality...');
+
+const budgetJs = fs.readFileSync('assets/prompt-budget.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+
+// Test 1: Sections and priorities
+console.log('  ✓ Testing prompt sections...');
+assert(contextJs.includes('async function buildSystemPromptSections'), 'Context should expose prompt sections');
+assert(contextJs.includes('function renderSections'), 'Context should render sections');
+assert(chatJs.includes('PROMPT_PRIORITIES: {'), 'CONFIG should declare section priorities');
+const { models } = JSON.parse(fs.readFileSync('assets/models.json', 'utf8'));
+assert(models.filter(m => m.status !== 'broken').every(m => m.contextWindow > 0), 'Models should declare a context window');
+assert(chatJs.includes('model.contextWindow - this.currentParams.MAX_NEW_TOKENS'), 'Budget should leave room for the answer');
+assert(chatJs.includes('createTokenCounter(tokenizer)'), 'Tokens should be counted with the loaded tokenizer');
+assert(chatJs.includes('__CHAT_DEBUG__.lastBudget = {'), 'Cuts should be recorded in __CHAT_DEBUG__');
+assert(!chatJs.includes('using full context anyway'), 'Over-budget prompts should no longer be sent untouched');
+
+// Test 2: Trimming order, evaluated from the module source
+console.log('  ✓ Testing trimming by priority...');
+const { fitSections, estimateTokens, createTokenCounter } = new Function(
+  `${budgetJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { fitSections, estimateTokens, createTokenCounter };`
+)();
+
+const words = (n, w) => Array(n).fill(w).join(' ');
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+const render = (sections) => sections.flatMap(s => s.items.map(i => (typeof i === 'string' ? i : i.content))).join(' ');
+
+const sections = [
+  { name: 'base', priority: 90, pinned: 1, items: [words(10, 'base')] },
+  { name: 'resume', priority: 60, items: [words(10, 'about'), words(10, 'skills')] },
+  { name: 'passages', priority: 40, items: [words(10, 'p1'), words(10, 'p2')] },
+  { name: 'history', priority: 20, dropFrom: 'start', items: [{ content: words(10, 'old') }, { content: words(10, 'new') }] },
+  { name: 'user', priority: 100, pinned: 1, items: [{ content: words(5, 'question') }] }
+];
+
+(async () => {
+  const fitted = await fitSections(sections, { budget: 40, render, countTokens });
+  assert.strictEqual(fitted.originalTokens, 75, 'Original size should be reported');
+  assert(fitted.fits && fitted.tokens <= 40, 'Prompt should fit the budget');
+  assert.deepStrictEqual(
+    fitted.cuts.map(c => `${c.section}:${c.action}`),
+    ['history:shortened', 'history:dropped', 'passages:shortened', 'passages:dropped'],
+    'Lowest-priority sections should be cut first'
+  );
+  assert(fitted.cuts[0].item.startsWith('old'), 'History should be trimmed oldest first');
+  assert.strictEqual(sections[3].items.length, 2, 'Input sections should not be mutated');
+
+  const impossible = await fitSections(sections, { budget: 5, render, countTokens });
+  assert(!impossible.fits, 'Pinned sections should never be dropped even when over budget');
+  assert(impossible.text.includes('question') && impossible.text.includes('base'), 'Base prompt and user turn should survive');
+
+  assert.strictEqual(estimateTokens('abcdefgh'), 2, 'Estimate should be ~4 characters per token');
+  assert.strictEqual(createTokenCounter({ encode: (t) => t.split('') })('abc'), 3, 'Tokenizer counts should be used when available');
+
+  console.log('\n✅ Prompt budget tests passed!');
+  console.log('- Sections are trimmed lowest priority first until the prompt fits');
+  console.log('- Base prompt and user turn are never dropped');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// Test for versioned prompt templates and A/B assignment
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing prompt templates...');
+
+const templatesJs = fs.readFileSync('assets/prompt-templates.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+
+// Test 1: Templates are data, selected from config
+console.log('  ✓ Testing template registry...');
+assert(contextJs.includes('const PROMPT_TEMPLATES = {'), 'Built-in templates missing');
+assert(contextJs.includes("id: 'default'") && contextJs.includes('version: CONTEXT_VERSION'), 'Default template should carry the context version');
+['{name}', '{personality}', '{resume}', '{ideas}'].forEach(placeholder => {
+  assert(contextJs.includes(placeholder), `Default template should use ${placeholder}`);
+});
+assert(siteConfigJs.includes('promptTemplates: {'), 'site-config.js should select the active template');
+assert(siteConfigJs.includes('abTest: {'), 'site-config.js should declare the A/B test');
+
+// Test 2: Version is recorded with each answer
+console.log('  ✓ Testing version tracking...');
+assert(contextJs.includes('trace.template = { id: template.id, version: template.version }'), 'Prompt builder should report the template used');
+assert(chatJs.includes('__CHAT_DEBUG__.promptTemplate = trace.template'), 'Template should be exposed in debug hooks');
+assert(chatJs.includes('promptTemplate: this.chatEngine.promptManager.getLastSelections()?.template'), 'Transcript should record the template per answer');
+
+// Test 3: Placeholders and assignment, evaluated from the module source
+console.log('  ✓ Testing placeholders and A/B assignment...');
+const { fillTemplate, templateLayout, pickVariant, assignPromptTemplate } = new Function(
+  `${templatesJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { fillTemplate, templateLayout, pickVariant, assignPromptTemplate };`
+)();
+
+assert.strictEqual(fillTemplate('Hi {name}, be {personality}. {ideas}', { name: 'Ada', personality: 'kind' }), 'Hi Ada, be kind. {ideas}', 'Unknown placeholders should be left alone');
+assert.deepStrictEqual(
+  templateLayout('Intro about {name}.\n\n{resume}\n\n{ideas}\n\nOutro.'),
+  [{ text: 'Intro about {name}.' }, { slot: 'resume' }, { slot: 'ideas' }, { text: 'Outro.' }],
+  'Slots should split the template into sections'
+);
+assert.deepStrictEqual(templateLayout('Inline {resume} is not a slot'), [{ text: 'Inline {resume} is not a slot' }], 'Slots must stand on their own line');
+
+assert.strictEqual(pickVariant([{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }], () => 0.1), 'a');
+assert.strictEqual(pickVariant([{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }], () => 0.5), 'b');
+assert.strictEqual(pickVariant([{ id: 'a', weight: 0 }, { id: 'b' }], () => 0), 'b', 'Zero-weight variants should never be picked');
+
+const templates = { default: {}, conversational: {} };
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: key => data[key] ?? null, setItem: (key, value) => { data[key] = String(value); } };
+};
+const abConfig = { active: 'default', abTest: { enabled: true, variants: [{ id: 'default' }, { id: 'conversational' }] } };
+
+assert.deepStrictEqual(assignPromptTemplate({ active: 'conversational' }, { templates, random: () => 0 }), { id: 'conversational', reason: 'config' });
+assert.strictEqual(assignPromptTemplate({ active: 'missing' }, { templates, random: () => 0 }).id, 'default', 'Unknown active template should fall back to default');
+assert.deepStrictEqual(assignPromptTemplate(abConfig, { templates, random: () => 0, override: 'conversational' }), { id: 'conversational', reason: 'override' });
+
+const storage = memoryStorage();
+assert.strictEqual(assignPromptTemplate(abConfig, { templates, random: () => 0.9, storage }).id, 'conversational');
+assert.strictEqual(assignPromptTemplate(abConfig, { templates, random: () => 0, storage }).id, 'conversational', 'Visitors should keep their assignment');
+
+const blocked = { getItem: () => { throw new Error('blocked'); }, setItem: () => { throw new Error('blocked'); } };
+assert.strictEqual(assignPromptTemplate(abConfig, { templates, random: () => 0, storage: blocked }).id, 'default', 'Blocked storage should not break assignment');
+
+console.log('\n✅ Prompt template tests passed!');
+console.log('- Templates are versioned data with {name}, {personality}, {resume} and {ideas} placeholders');
+console.log('- A/B variants are assigned per visitor and recorded with each answer');
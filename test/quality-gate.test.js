@@ -0,0 +1,82 @@
+// Test for spotting degenerate answers and retrying them
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing quality gate...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const qualityGateJs = fs.readFileSync('assets/quality-gate.js', 'utf8');
+
+// Evaluate the browser module without its export block
+const { characterEntropy, repetitionRatio, checkOutput } = new Function(
+  `${qualityGateJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { characterEntropy, repetitionRatio, checkOutput };`
+)();
+
+(async () => {
+  // Test 1: Scores
+  console.log('  ✓ Testing scores...');
+  assert.strictEqual(characterEntropy('aaaa'), 0);
+  assert.strictEqual(characterEntropy('abab'), 1);
+  assert.strictEqual(repetitionRatio('a b c d e f'.split(' ')), 0);
+  assert(repetitionRatio('go go go go go go go go'.split(' ')) > 0.8);
+  assert.strictEqual(repetitionRatio(['go', 'go']), 0, 'Too few words to judge');
+
+  // Test 2: Good answers pass
+  console.log('  ✓ Testing good answers...');
+  [
+    "I'm a scientist who studies evolution and builds robots. My book covers how AI and biology meet [w1].",
+    'Yes, I worked there for five years.',
+    'My tools:\n- Python\n- R\n- JavaScript',
+    'Yes.',
+    'Python.',
+    'Python, JavaScript, TypeScript, Rust, Go, Kubernetes, Docker, Terraform, PostgreSQL, AWS.',
+    'Skills:\n- Machine learning\n- Distributed systems\n- Cloud infrastructure\n- Technical writing'
+  ].forEach(text => assert(checkOutput(text).ok, `Should pass: ${text}`));
+
+  // Test 3: Degenerate answers fail, saying why
+  console.log('  ✓ Testing degenerate answers...');
+  assert.deepStrictEqual(checkOutput('').failures, ['length']);
+  assert.deepStrictEqual(checkOutput('   ').failures, ['length']);
+  assert(checkOutput('the the the the the the the the the').failures.includes('repetition'));
+  assert(checkOutput('I am a bot. I am a bot. I am a bot. I am a bot.').failures.includes('repetition'));
+  assert(checkOutput('hahahahahahahahahahahahahahaha').failures.includes('entropy'));
+  assert(checkOutput('Kelp ghyt vorn plest quibbit snarf glorp wizzle frumble nax').failures.includes('language'));
+  assert(checkOutput('这是一个测试回答，我们看看结果如何吧。').failures.includes('language'), 'Answers in another script fail');
+  assert(checkOutput('这是一个测试回答，我们看看结果如何吧。', { language: null }).ok, 'The language check can be turned off');
+  assert.deepStrictEqual(checkOutput('Yes, five years.', { minWords: 5 }).failures, ['length'], 'Thresholds can be overridden');
+
+  // Test 4: Which model to offer instead
+  console.log('  ✓ Testing stronger model choice...');
+  const { normalizeRegistry, strongerModel } = await import(pathToFileURL(path.resolve('assets/models.js')).href);
+  const models = normalizeRegistry([
+    { id: 'tiny', status: 'experimental', sizeMB: 5 },
+    { id: 'small', status: 'stable', sizeMB: 120 },
+    { id: 'medium', status: 'stable', sizeMB: 270 },
+    { id: 'big', status: 'broken', sizeMB: 900 }
+  ]);
+  assert.strictEqual(strongerModel(models, 'tiny').id, 'small', 'The next stable model up');
+  assert.strictEqual(strongerModel(models, 'small').id, 'medium');
+  assert.strictEqual(strongerModel(models, 'medium'), null, 'Broken models are never offered');
+  const withServer = [...models, ...normalizeRegistry([{ id: 'server:llama', status: 'stable', backend: 'openai' }])];
+  assert.strictEqual(strongerModel(withServer, 'medium').id, 'server:llama', 'A chat server is offered first');
+  assert.strictEqual(strongerModel(withServer, 'server:llama'), null);
+
+  // Test 5: Wiring in the chat component
+  console.log('  ✓ Testing retry wiring...');
+  assert(chatJs.includes('QUALITY_GATE: { enabled: true, retryPreset: "precise", language: "en" }'), 'CONFIG should turn the gate on');
+  assert(chatJs.includes('quality: checkOutput(text, CONFIG.QUALITY_GATE)'), 'Every attempt should be scored');
+  assert(chatJs.includes('this.chatEngine.currentParams = this.chatEngine.retryParams(gate.retryPreset);'), 'Retries should use the conservative preset');
+  assert(chatJs.includes('__CHAT_DEBUG__.retries.push(retry)'), 'Retries should be logged for debugging');
+  assert(chatJs.includes('offer = strongerModel(MODELS, this.modelManager.currentModelId);'), 'A stronger model should be offered after a failed retry');
+  assert(chatJs.includes('this.history.filter(([, , meta]) => !meta?.degenerate)'), 'Degenerate answers should not be fed back to the model');
+
+  console.log('\n✅ Quality gate tests passed!');
+  console.log('- Empty, looping, low/high-entropy and wrong-language answers are caught');
+  console.log('- A degenerate answer is retried once with the precise preset and logged in __CHAT_DEBUG__.retries');
+  console.log('- If the retry fails too, a stronger model is offered');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
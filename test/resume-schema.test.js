@@ -0,0 +1,84 @@
+// Test for résumé schema validation and per-field degradation
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing résumé schema validation...');
+
+const schemaJs = fs.readFileSync('assets/resume-schema.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+// Test 1: Wiring
+console.log('  ✓ Testing integration...');
+assert(contextJs.includes('function checkResume'), 'Résumé source should validate on load');
+assert(contextJs.includes('if (!SITE_CONFIG.gracefulDegradation) throw new Error(report)'), 'Strict mode should reject invalid résumés');
+assert(!contextJs.includes('${summary.toLowerCase()}'), 'Renderer should not call methods on unchecked fields');
+assert(fs.existsSync('scripts/validate-resume.js'), 'Node validation command missing');
+assert(packageJson.scripts['validate:resume'], 'validate:resume npm script missing');
+
+// Test 2: Validator behaviour, evaluated from the module source
+console.log('  ✓ Testing validator...');
+const { validateResume, formatValidationErrors } = new Function(
+  `${schemaJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { validateResume, formatValidationErrors };`
+)();
+
+const sample = JSON.parse(fs.readFileSync('assets/resume.json', 'utf8'));
+assert.deepStrictEqual(validateResume(sample), { valid: true, errors: [] }, 'Sample résumé should be valid');
+
+const { valid, errors } = validateResume({
+  technicalSkills: 'JavaScript',
+  workHistory: [{ company: 'Acme', period: 2020 }, 'oops'],
+  publications: ['Book', 42]
+});
+assert(!valid, 'Broken résumé should be invalid');
+assert.deepStrictEqual(errors.map(e => `${e.path}: ${e.message}`), [
+  'name: is required',
+  'technicalSkills: expected array, got string',
+  'workHistory[0].role: is required',
+  'workHistory[0].period: expected string, got number',
+  'workHistory[1]: expected object, got string',
+  'publications[1]: expected string, got number'
+], 'Errors should report exact field paths and types');
+assert(formatValidationErrors(errors).includes('  - workHistory[0].role: is required'), 'Errors should format one per line');
+assert.strictEqual(validateResume(null).errors[0].path, '(root)', 'Non-object résumés should be rejected at the root');
+
+(async () => {
+  // Test 3: Jobs with missing optional fields
+  console.log('  ✓ Testing partial work history...');
+  const { SOURCE_TYPES } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const resume = { name: 'Ada', workHistory: [{ role: 'Engineer', company: 'Acme' }, { role: 'Intern', company: 'Initech', period: '2019' }] };
+  const [bare, dated] = SOURCE_TYPES.resume.passages(resume);
+  assert.strictEqual(bare.text, 'Engineer at Acme', 'Missing period and description are left out');
+  assert.strictEqual(dated.text, 'Intern at Initech (2019)');
+  assert.deepStrictEqual(SOURCE_TYPES.resume.cite(bare), { title: 'Engineer at Acme', text: '' });
+  assert(!SOURCE_TYPES.resume.render(resume).items.join('\n').includes('undefined'), 'No "undefined" in the résumé section');
+
+  // Test 4: Strict mode rejects an invalid résumé instead of dropping it
+  console.log('  ✓ Testing strict mode...');
+  const { DataLoader, getContentSources } = await import(pathToFileURL(path.resolve('assets/context.js')).href);
+  const { SITE_CONFIG } = await import(pathToFileURL(path.resolve('assets/site-config.js')).href);
+  const invalid = { technicalSkills: 'JavaScript' };
+  const fetchInvalid = async () => ({ ok: true, status: 200, json: async () => invalid });
+  const resumeSource = () => getContentSources().find(source => source.id === 'resume');
+  const warn = console.warn;
+  console.warn = () => { };
+  SITE_CONFIG.gracefulDegradation = false;
+  try {
+    await assert.rejects(new DataLoader([resumeSource()], { fetch: fetchInvalid }).loadResumeData(), /workHistory|name: is required/,
+      'An invalid résumé should fail the load with graceful degradation off');
+  } finally {
+    SITE_CONFIG.gracefulDegradation = true;
+  }
+  assert.deepStrictEqual(await new DataLoader([resumeSource()], { fetch: fetchInvalid }).loadResumeData(), invalid,
+    'With graceful degradation on, it loads and the bad sections are skipped');
+  console.warn = warn;
+
+  console.log('\n✅ Résumé schema tests passed!');
+  console.log('- Validator reports exact field paths and type errors');
+  console.log('- Prompt builder skips malformed sections');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// Test for BM25 relevance retrieval over site content
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing retrieval module functionality...');
+
+const retrievalJs = fs.readFileSync('assets/retrieval.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+
+// Test 1: Module structure
+console.log('  ✓ Testing retrieval.js structure...');
+assert(retrievalJs.includes('class BM25Index'), 'BM25Index class missing');
+assert(retrievalJs.includes('function tokenize'), 'tokenize function missing');
+assert(!retrievalJs.includes('import '), 'retrieval.js should have no imports so Node and the browser share it');
+
+// Test 2: Context integration
+console.log('  ✓ Testing context integration...');
+assert(contextJs.includes("import { BM25Index } from './retrieval.js'"), 'context.js should import BM25Index');
+assert(contextJs.includes('async loadRetrievalIndex()'), 'DataLoader should build the retrieval index');
+assert(contextJs.includes('function collectPassages'), 'collectPassages function missing');
+assert(contextJs.includes('function selectRelevantPassages'), 'selectRelevantPassages function missing');
+assert(contextJs.includes("trace.mode = 'random'"), 'Random selection should remain as a fallback');
+assert(chatJs.includes('generateSystemPromptSections({ query: userText, persona: this.persona })'), 'formatPrompt should pass the user message as the query');
+assert(siteConfigJs.includes('retrieval: {'), 'site-config.js should configure retrieval');
+
+// Test 3: Ranking behaviour, evaluated from the module source
+console.log('  ✓ Testing BM25 ranking...');
+const { BM25Index, tokenize } = new Function(
+  `${retrievalJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { BM25Index, tokenize };`
+)();
+
+assert.deepStrictEqual(tokenize('Debugging the résumé'), ['debug', 'resume'], 'tokenize should stem and strip accents');
+
+const index = new BM25Index().addAll([
+  { id: 'a', text: 'Debugging is like being a detective in a crime scene.' },
+  { id: 'b', text: 'Built the platform with WebRTC and WebSockets at StartupXYZ.' },
+  { id: 'c', text: 'Care about your craft and fix broken windows.' }
+]);
+
+assert.strictEqual(index.size, 3, 'Index should contain every passage');
+assert.strictEqual(index.search('how do I debug?')[0].passage.id, 'a', 'Debugging passage should rank first');
+assert.strictEqual(index.search('what did you build at StartupXYZ')[0].passage.id, 'b', 'Work passage should rank first');
+assert.deepStrictEqual(index.search('quantum gardening'), [], 'Unrelated queries should return nothing');
+assert.deepStrictEqual(index.search('debug', { minScore: 100 }), [], 'minScore should filter weak matches');
+
+console.log('\n✅ Retrieval tests passed!');
+console.log('- BM25 index ranks passages against the query');
+console.log('- Context builder injects top-k passages with random fallback');
@@ -10,6 +10,31 @@ const testFiles = [
   { name: 'Basic Functionality', file: 'basic.test.js', critical: true },
   { name: 'Context Module', file: 'context.test.js', critical: true },
   { name: 'Manuscript Features', file: 'simple-manuscript.test.js', critical: true },
+  { name: 'Retrieval', file: 'retrieval.test.js', critical: true },
+  { name: 'Embedding Index', file: 'embeddings.test.js', critical: true },
+  { name: 'Prompt Budget', file: 'prompt-budget.test.js', critical: true },
+  { name: 'Content Sources', file: 'content-sources.test.js', critical: true },
+  { name: 'JSON Resume', file: 'json-resume.test.js', critical: true },
+  { name: 'Resume Schema', file: 'resume-schema.test.js', critical: true },
+  { name: 'Manuscript Chapters', file: 'manuscript-chapters.test.js', critical: true },
+  { name: 'Kindle Clippings', file: 'kindle-clippings.test.js', critical: true },
+  { name: 'Seeded Random', file: 'seeded-random.test.js', critical: true },
+  { name: 'Prompt Templates', file: 'prompt-templates.test.js', critical: true },
+  { name: 'Personas', file: 'personas.test.js', critical: true },
+  { name: 'Citations', file: 'citations.test.js', critical: true },
+  { name: 'Content Bundle', file: 'content-bundle.test.js', critical: true },
+  { name: 'Model Registry', file: 'model-registry.test.js', critical: true },
+  { name: 'Download Progress', file: 'download-progress.test.js', critical: true },
+  { name: 'Model Worker', file: 'model-worker.test.js', critical: true },
+  { name: 'Offline Support', file: 'offline.test.js', critical: true },
+  { name: 'Self-hosting', file: 'self-host.test.js', critical: true },
+  { name: 'Stop Generation', file: 'stop-generation.test.js', critical: true },
+  { name: 'Chat Server Backend', file: 'openai-backend.test.js', critical: true },
+  { name: 'KV Cache', file: 'kv-cache.test.js', critical: true },
+  { name: 'Generation Presets', file: 'generation-presets.test.js', critical: true },
+  { name: 'Post-processing', file: 'post-process.test.js', critical: true },
+  { name: 'Quality Gate', file: 'quality-gate.test.js', critical: true },
+  { name: 'Model Fallback', file: 'model-fallback.test.js', critical: true },
   { name: 'Dynamic Configuration', file: 'dynamic-config.test.js', critical: true },
   { name: 'Dynamic Generation', file: 'dynamic-generation.test.js', critical: true },
   { name: 'Model Availability', file: 'model-availability.test.js', critical: false }
@@ -0,0 +1,73 @@
+// Test for the seeded session random generator
+const fs = require('fs');
+const assert = require('assert');
+
+console.log('Testing seeded random generator...');
+
+const randomJs = fs.readFileSync('assets/random.js', 'utf8');
+const contextJs = fs.readFileSync('assets/context.js', 'utf8');
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const backendJs = fs.readFileSync('assets/transformers-backend.js', 'utf8');
+
+// Test 1: Every random choice goes through the generator
+console.log('  ✓ Testing that Math.random is not used directly...');
+assert(!/Math\.random\(\)/.test(contextJs), 'context.js should draw from the seeded generator');
+assert(!/Math\.random\(\)/.test(chatJs), 'chat.js should draw from the seeded generator');
+assert(chatJs.includes('const samplingSeed = Math.floor(sessionRandom() * 0x100000000)'), 'Token sampling should use the session seed');
+assert(backendJs.includes('this.seedSampling ? await withRandom(createRandom(seed), sample) : await sample()'), 'Token sampling should be seeded when asked');
+assert(fs.readFileSync('assets/model-worker.js', 'utf8').includes('new TransformersBackend({ url, env, seedSampling: true })'), 'Only the worker should patch Math.random');
+assert(!/Math\.random\(\)/.test(backendJs), 'transformers-backend.js should draw from the seeded generator');
+assert(chatJs.includes('pick(sessionRandom, cannedResponses)'), 'Greetings should use the session seed');
+assert(chatJs.includes('sessionRandom() < this.bookPromoChance'), 'Promo chance should use the session seed');
+assert(chatJs.includes('seed: getSessionSeed()'), 'Seed should be exposed in debug hooks');
+
+// Test 2: Generator behaviour, evaluated from the module source
+console.log('  ✓ Testing reproducibility...');
+const { toSeed, createRandom, sample, seedFromLocation, setSessionSeed, getSessionSeed, sessionRandom, withRandom } = new Function(
+  `${randomJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { toSeed, createRandom, sample, seedFromLocation, setSessionSeed, getSessionSeed, sessionRandom, withRandom };`
+)();
+
+const draw = (random, n) => Array.from({ length: n }, () => random());
+assert.deepStrictEqual(draw(createRandom(123), 5), draw(createRandom(123), 5), 'Same seed should give the same sequence');
+assert.notDeepStrictEqual(draw(createRandom(123), 5), draw(createRandom(124), 5), 'Different seeds should differ');
+assert(draw(createRandom(7), 1000).every(x => x >= 0 && x < 1), 'Values should be in [0, 1)');
+assert.strictEqual(toSeed('123'), 123, 'Numeric seeds should be used as-is');
+assert.strictEqual(toSeed('demo-day'), toSeed('demo-day'), 'String seeds should hash consistently');
+
+const picked = sample(createRandom(1), [1, 2, 3, 4, 5], 3);
+assert.strictEqual(new Set(picked).size, 3, 'Samples should be distinct');
+assert.deepStrictEqual(picked, sample(createRandom(1), [1, 2, 3, 4, 5], 3), 'Samples should be reproducible');
+
+assert.strictEqual(seedFromLocation({ search: '?seed=123' }), '123', 'Seed should be read from the URL');
+assert.strictEqual(seedFromLocation({ search: '' }), null, 'No seed in the URL');
+
+setSessionSeed('123');
+const first = draw(sessionRandom, 3);
+setSessionSeed('123');
+assert.deepStrictEqual(draw(sessionRandom, 3), first, 'Session sequence should replay from the seed');
+assert.strictEqual(getSessionSeed(), '123');
+assert(/^\d+$/.test(setSessionSeed(null)), 'Unseeded sessions should still get a replayable seed');
+
+// Test 3: Math.random is restored after seeded sampling
+console.log('  ✓ Testing Math.random override...');
+(async () => {
+  const original = Math.random;
+  const inside = await withRandom(createRandom(5), async () => Math.random());
+  assert.strictEqual(inside, createRandom(5)(), 'Math.random should draw from the seed inside withRandom');
+  assert.strictEqual(Math.random, original, 'Math.random should be restored');
+  await assert.rejects(withRandom(createRandom(5), async () => { throw new Error('boom'); }));
+  assert.strictEqual(Math.random, original, 'Math.random should be restored after errors');
+  let release;
+  const held = withRandom(createRandom(1), () => new Promise(resolve => { release = resolve; }));
+  await withRandom(createRandom(2), async () => { });
+  release();
+  await held;
+  assert.strictEqual(Math.random, original, 'Math.random should be restored after overlapping calls');
+
+  console.log('\n✅ Seeded random tests passed!');
+  console.log('- One seeded generator drives context picks, parameters, greetings and promos');
+  console.log('- ?seed=123 in the URL replays a conversation');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+// Test for self-hosted transformers.js and model files
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+const { RUNTIME_FILES, findSnapshot, snapshotFiles } = require('../scripts/self-host');
+const { precacheManifest } = require('../scripts/service-worker');
+
+console.log('Testing self-hosting...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const siteConfigJs = fs.readFileSync('assets/site-config.js', 'utf8');
+const offlineJs = fs.readFileSync('assets/offline.js', 'utf8');
+const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+
+function write(file, content = '') {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+(async () => {
+  // Test 1: Wiring
+  console.log('  ✓ Testing configuration...');
+  assert(siteConfigJs.includes('selfHosted: {'), 'site-config.js should have a selfHosted section');
+  assert(/runtimePath: null/.test(siteConfigJs) && /localModelPath: null/.test(siteConfigJs), 'The CDN and the Hub stay the default');
+  assert(chatJs.includes('transformersSettings(SITE_CONFIG.selfHosted'), 'chat.js should resolve self-hosted paths');
+  assert(chatJs.includes('configureTransformers(this.tf, TRANSFORMERS.env)'), 'The main-thread tokenizer should use the same settings');
+  assert.strictEqual(packageJson.scripts['build:models'], 'node scripts/self-host.js');
+  const hosting = JSON.parse(fs.readFileSync('firebase.json', 'utf8')).hosting;
+  assert.strictEqual(hosting.public, 'dist', 'Firebase should serve the built site');
+  assert.deepStrictEqual(hosting.predeploy, ['npm run validate:resume', 'npm run build', 'npm run build:models'],
+    'Any firebase deploy should build dist/ with the self-hosted models first');
+  assert.strictEqual(JSON.parse(fs.readFileSync('assets/package.json', 'utf8')).type, 'module', 'Node should load the browser modules as ES modules');
+
+  // Test 2: Settings, imported from the browser module
+  console.log('  ✓ Testing transformers.js settings...');
+  const { RUNTIME_ENTRY, transformersSettings, configureTransformers } = await import(pathToFileURL(path.resolve('assets/transformers-backend.js')).href);
+  assert.strictEqual(RUNTIME_FILES[0], RUNTIME_ENTRY, 'The build should vendor the file the browser imports');
+
+  const cdnUrl = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.2';
+  const baseUrl = 'https://me.github.io/site/index.html';
+  assert.deepStrictEqual(transformersSettings(null, { cdnUrl, baseUrl }), {
+    url: cdnUrl,
+    env: { wasmPaths: null, localModelPath: null, allowRemoteModels: true }
+  }, 'Without selfHosted everything comes from the CDN and the Hub');
+
+  const settings = transformersSettings(
+    { runtimePath: 'vendor/transformers', localModelPath: 'models/', allowRemoteModels: false },
+    { cdnUrl, baseUrl }
+  );
+  assert.deepStrictEqual(settings, {
+    url: 'https://me.github.io/site/vendor/transformers/transformers.min.js',
+    env: {
+      wasmPaths: 'https://me.github.io/site/vendor/transformers/',
+      localModelPath: 'https://me.github.io/site/models/',
+      allowRemoteModels: false
+    }
+  }, 'Paths should resolve against the page, so they work under a subpath and in the worker');
+
+  const tf = { env: { allowLocalModels: false, allowRemoteModels: true, backends: { onnx: { wasm: { wasmPaths: cdnUrl } } } } };
+  configureTransformers(tf, settings.env);
+  assert.strictEqual(tf.env.backends.onnx.wasm.wasmPaths, settings.env.wasmPaths, 'WASM files should come from the vendored copy');
+  assert.strictEqual(tf.env.localModelPath, settings.env.localModelPath);
+  assert.strictEqual(tf.env.allowLocalModels, true);
+  assert.strictEqual(tf.env.allowRemoteModels, false);
+
+  // Test 3: Snapshots, from a Hugging Face cache or plain folders
+  console.log('  ✓ Testing model snapshots...');
+  const source = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+  const cached = path.join(source, 'models--org--cached');
+  write(path.join(cached, 'refs', 'main'), 'abc123\n');
+  write(path.join(cached, 'snapshots', 'old', 'config.json'));
+  write(path.join(cached, 'snapshots', 'abc123', 'config.json'));
+  write(path.join(source, 'org', 'plain', 'config.json'));
+  assert.strictEqual(findSnapshot(source, 'org/cached'), path.join(cached, 'snapshots', 'abc123'), 'refs/main picks the snapshot');
+  assert.strictEqual(findSnapshot(source, 'org/plain'), path.join(source, 'org', 'plain'));
+  assert.strictEqual(findSnapshot(source, 'org/missing'), null);
+
+  const snapshot = path.join(source, 'org', 'plain');
+  ['tokenizer.json', 'README.md', 'model.safetensors', 'onnx/model.onnx', 'onnx/model_q4.onnx',
+    'onnx/model_q4.onnx_data', 'onnx/model_fp16.onnx', 'onnx/model_quantized.onnx'].forEach(file => write(path.join(snapshot, file)));
+  assert.deepStrictEqual(snapshotFiles(snapshot, ['q4', 'q8']).sort(), [
+    'config.json', 'onnx/model_q4.onnx', 'onnx/model_q4.onnx_data', 'onnx/model_quantized.onnx', 'tokenizer.json'
+  ], 'Only config, tokenizer and the listed dtypes are copied');
+  fs.rmSync(source, { recursive: true, force: true });
+
+  // Test 4: Self-hosted models are cached as they download, not precached
+  console.log('  ✓ Testing offline support for self-hosted models...');
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dist-'));
+  write(path.join(outDir, 'index.html'));
+  write(path.join(outDir, 'vendor', 'transformers', 'transformers.min.js'));
+  write(path.join(outDir, 'models', 'org', 'plain', 'config.json'));
+  const manifest = precacheManifest(outDir, 'sw.js', 'models');
+  assert.deepStrictEqual(manifest.urls, ['./', 'index.html', 'vendor/transformers/transformers.min.js'], 'The vendored runtime is precached, models are not');
+  assert.strictEqual(manifest.localModelPath, 'models/', 'The service worker should know where models live');
+  fs.rmSync(outDir, { recursive: true, force: true });
+
+  const { cachedModelIds } = new Function(
+    `${offlineJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { cachedModelIds };`
+  )();
+  const local = 'https://me.github.io/site/models/';
+  const ids = cachedModelIds([
+    `${local}org/plain/config.json`, `${local}org/plain/tokenizer.json`, `${local}org/plain/onnx/model_q4.onnx`
+  ], [{ id: 'org/plain', dtypes: ['q4'] }], local);
+  assert.deepStrictEqual([...ids], ['org/plain'], 'Cached self-hosted models are available offline');
+
+  console.log('\n✅ Self-hosting tests passed!');
+  console.log('- selfHosted in site-config.js points transformers.js, its WASM files and models at this site');
+  console.log('- npm run build vendors the runtime; npm run build:models copies model snapshots into dist/');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
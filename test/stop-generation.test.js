@@ -0,0 +1,86 @@
+// Test for stopping an answer mid-generation
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { pathToFileURL } = require('url');
+
+console.log('Testing stop generation...');
+
+const chatJs = fs.readFileSync('assets/chat.js', 'utf8');
+const chatCss = fs.readFileSync('assets/chat.css', 'utf8');
+const workerJs = fs.readFileSync('assets/model-worker.js', 'utf8');
+const workerBackendJs = fs.readFileSync('assets/worker-backend.js', 'utf8');
+
+(async () => {
+  // Test 1: UI wiring
+  console.log('  ✓ Testing Stop button...');
+  assert(chatJs.includes('<button id="stopButton" type="button"'), 'Component should have a Stop button');
+  assert(chatJs.includes('this.ui.$("stopButton").addEventListener("click", () => this._stopGeneration())'), 'Stop should be wired up');
+  assert(chatJs.includes('this.ui.setGenerating(true);'), 'Stop should show while generating');
+  assert(chatCss.includes('#stopButton[hidden]') && chatCss.includes('.message .stopped-tag'), 'Stop button and tag should be styled');
+
+  const stop = chatJs.slice(chatJs.indexOf('  _stopGeneration() {'), chatJs.indexOf('  async _generateResponse('));
+  assert(stop.includes('this.chatEngine.cancelGeneration()'), 'Late tokens from the stopped answer should be dropped');
+  assert(stop.includes('this.modelManager.stopGeneration()'), 'Stop should interrupt decoding');
+  assert(stop.includes('stopped: true'), 'The partial answer should be kept in history as stopped');
+  assert(stop.includes('this.ui.markStopped(answer.responseEl)'), 'The partial answer should be marked as stopped');
+  assert(stop.includes('this.ui.setControlsEnabled(true)'), 'Input should come back right away');
+  assert(chatJs.includes('await previous;'), 'A new answer should wait for the stopped one to finish its last token');
+  assert(chatJs.includes('if (call.stopped) return [{ generated_text: "" }];'), 'An answer stopped while waiting should not start');
+  assert(chatJs.includes('if (this._call) this._call.stopped = true;'), 'Stop should reach the waiting answer');
+  assert(workerJs.includes('else if (generating === id) backend.stopGeneration();'), 'The worker should interrupt its generation');
+
+  // Test 2: The interrupt reaches transformers.js as a stopping criteria
+  console.log('  ✓ Testing interrupt...');
+  const { TransformersBackend } = await import(pathToFileURL(path.resolve('assets/transformers-backend.js')).href);
+
+  class InterruptableStoppingCriteria {
+    constructor() { this.interrupted = false; }
+    interrupt() { this.interrupted = true; }
+  }
+  const backend = new TransformersBackend({ url: 'unused' });
+  backend.tf = { InterruptableStoppingCriteria };
+  let steps = 0;
+  backend.pipe = async (prompt, options) => {
+    let text = '';
+    for (let i = 0; i < options.max_new_tokens && !options.stopping_criteria.interrupted; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      text += ` t${i}`;
+      steps++;
+    }
+    return [{ generated_text: text }];
+  };
+
+  const generating = backend.generate('prompt', { max_new_tokens: 1000 });
+  while (steps < 3) await new Promise(resolve => setImmediate(resolve));
+  backend.stopGeneration();
+  const [{ generated_text: partial }] = await generating;
+  assert(steps < 10, `Decoding should end right after Stop, ran ${steps} steps`);
+  assert(partial.startsWith(' t0 t1 t2'), 'The text so far should be returned');
+  backend.stopGeneration(); // Nothing running: no-op
+
+  // Test 3: WorkerBackend names the generation to stop, evaluated from the module source
+  console.log('  ✓ Testing worker stop...');
+  const { WorkerBackend } = new Function(
+    `${workerBackendJs.replace(/export\s*{[\s\S]*?};?\s*$/, '')}\nreturn { WorkerBackend };`
+  )();
+  const sent = [];
+  const listeners = {};
+  const worker = { addEventListener: (type, fn) => { listeners[type] = fn; }, postMessage: (message) => sent.push(message) };
+  const workerBackend = new WorkerBackend(worker, { url: 'unused', env: {} });
+  const pending = workerBackend.generate('prompt', {});
+  const { id } = sent[1];
+  workerBackend.stopGeneration();
+  assert.deepStrictEqual(sent[2], { type: 'cancel', id }, 'Stop should cancel the generation in progress');
+  listeners.message({ data: { type: 'done', id, result: [{ generated_text: 'partial' }] } });
+  assert.deepStrictEqual(await pending, [{ generated_text: 'partial' }]);
+  workerBackend.stopGeneration();
+  assert.strictEqual(sent.length, 3, 'Nothing to stop once the generation has finished');
+
+  console.log('\n✅ Stop generation tests passed!');
+  console.log('- Stop interrupts decoding through an InterruptableStoppingCriteria, in the worker or on the main thread');
+  console.log('- The partial answer stays, marked as stopped, and input comes back right away');
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});